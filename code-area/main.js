@@ -5,11 +5,19 @@ const path = require('path');
 const fs = require('fs');
 const { exec } = require('child_process');
 const os = require('os');
+const PerlEnvironment = require('../conceptualMap/perl-environment');
+const PerlModuleResolver = require('../conceptualMap/perl-module-resolver');
+const PerlModuleIndexer = require('../conceptualMap/perl-module-indexer');
 
 let mainWindow;
 let tempFile = null;
 let installedModules = null;
-let moduleCache = {}; // Cache modules by first letter
+
+// The same module catalogue as conceptualMap, for the perl on PATH
+const perlModuleIndexer = new PerlModuleIndexer({
+  resolver: new PerlModuleResolver({ environment: new PerlEnvironment({ perlPath: 'perl' }) }),
+  cachePath: path.join(os.homedir(), '.conceptualmap-modules.json')
+});
 
 // Create a temporary file for Perl syntax checking
 function createTempFile() {
@@ -18,58 +26,15 @@ function createTempFile() {
   return tempFile;
 }
 
-// Run the FetchModules.pl script to get modules starting with a letter
+// Installed modules starting with a letter, from conceptualMap's catalogue
+// of @INC (read once, cached on disk); the fallback list when perl can't be run
 async function fetchModulesByLetter(letter) {
-  if (moduleCache[letter]) {
-    return moduleCache[letter];
+  const { modules } = await perlModuleIndexer.getCatalogue();
+  if (modules.length === 0) {
+    return getFallbackModulesForLetter(letter);
   }
-  
-  return new Promise((resolve, reject) => {
-    // Create the FetchModules.pl script content with proper variable replacement
-    const scriptContent = `use strict;
- use warnings;
- use ExtUtils::Installed;
- 
- my $prefix = shift || die "Usage: $0 Prefix\\n";
- my $inst = ExtUtils::Installed->new();
- 
- print "Modules starting with '$prefix':\\n";
- for my $mod ($inst->modules()) {
-     print "$mod\\n" if $mod =~ /^$prefix/i;
- }`;
-    
-    // Write script to temp file
-    const scriptFile = path.join(os.tmpdir(), `fetch_modules_${Date.now()}.pl`);
-    fs.writeFileSync(scriptFile, scriptContent);
-    
-    // Run the script
-    exec(`perl "${scriptFile}" "${letter}"`, (error, stdout, stderr) => {
-      // Clean up temp file
-      try { fs.unlinkSync(scriptFile); } catch (e) {}
-      
-      if (error) {
-        console.log(`Failed to fetch modules for letter '${letter}':`, error.message);
-        // Fallback to common modules for this letter
-        const fallbackModules = getFallbackModulesForLetter(letter);
-        moduleCache[letter] = fallbackModules;
-        resolve(fallbackModules);
-      } else {
-        // Parse the output
-        const lines = stdout.split('\n').filter(line => line.trim());
-        const modules = [];
-        
-        lines.forEach(line => {
-          if (line && !line.includes('Modules starting with')) {
-            modules.push(line.trim());
-          }
-        });
-        
-        moduleCache[letter] = modules;
-        console.log(`Cached ${modules.length} modules for letter '${letter}'`);
-        resolve(modules);
-      }
-    });
-  });
+  const prefix = String(letter).toLowerCase();
+  return modules.map(module => module.name).filter(name => name.toLowerCase().startsWith(prefix));
 }
  
 // Get fallback modules for a specific letter
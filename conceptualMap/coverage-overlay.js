@@ -0,0 +1,148 @@
+// Devel::Cover results over the editor: every line Devel::Cover saw gets a
+// bar in the gutter (green: run, red: never run, yellow: run but a branch
+// outcome never taken), with counts and the missed branches on hover. The
+// per-file percentages go next to the files in the explorer tree. Coverage
+// comes from the workspace's cover_db, after a Test Explorer run with
+// coverage or from `cover -test` run elsewhere.
+const COVERAGE_COLORS = {
+    covered: 'rgba(137, 209, 133, 0.6)',
+    partial: 'rgba(204, 167, 0, 0.8)',
+    uncovered: 'rgba(244, 135, 113, 0.8)'
+};
+
+class CoverageOverlay {
+    constructor(monacoEditor) {
+        this.monacoEditor = monacoEditor;
+        this.editor = null;
+        this.decorations = null;
+        this.files = new Map(); // filePath -> { name, statements, branches, summary }
+        this.visible = true;
+        this.listeners = [];
+
+        const runButton = document.getElementById('test-run-coverage');
+        if (runButton) runButton.addEventListener('click', () => this.run());
+        // Another folder's coverage says nothing about this one
+        window.electronAPI.onPerlEnvironmentChanged(() => this.clear());
+    }
+
+    // Follow a (re)created Monaco editor; switching tabs redraws the overlay
+    attach(editor) {
+        this.listeners.forEach(listener => listener.dispose());
+        this.editor = editor;
+        this.decorations = editor.createDecorationsCollection();
+        this.listeners = [
+            editor.onDidChangeModelContent((event) => {
+                if (event.isFlush) this.apply();
+            })
+        ];
+        this.apply();
+    }
+
+    // All the tests under Devel::Cover, then the database they wrote
+    run() {
+        const { testExplorer } = this.monacoEditor;
+        if (!testExplorer) return;
+        this.monacoEditor.updateStatusMessage('Running the tests with Devel::Cover...', '#858585');
+        testExplorer.run(null, { coverage: true, onFinished: () => this.load() });
+    }
+
+    async load() {
+        const result = await window.electronAPI.loadPerlCoverage();
+        if (!result.success) {
+            this.monacoEditor.updateStatusMessage(result.error, '#f44336');
+            return;
+        }
+
+        this.files = new Map(result.files.map(file => [file.filePath, file]));
+        this.visible = true;
+        this.apply();
+        this.updateExplorer();
+
+        const totals = result.files.reduce((sum, file) => {
+            const total = file.summary.total || { covered: 0, total: 0 };
+            return { covered: sum.covered + total.covered, total: sum.total + total.total };
+        }, { covered: 0, total: 0 });
+        const percentage = totals.total > 0 ? (100 * totals.covered / totals.total).toFixed(1) : '0.0';
+        this.monacoEditor.updateStatusMessage(`Coverage: ${percentage}% over ${result.files.length} ${result.files.length === 1 ? 'file' : 'files'}`, '#4ec9b0');
+    }
+
+    clear() {
+        this.files.clear();
+        this.apply();
+        this.updateExplorer();
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.apply();
+    }
+
+    // ---- Editor ----
+
+    apply() {
+        if (!this.decorations) return;
+        const model = this.editor.getModel();
+        const file = this.visible && model ? this.files.get(this.monacoEditor.activeTab) : null;
+        if (!file) {
+            this.decorations.clear();
+            return;
+        }
+
+        const decorations = [];
+        Object.entries(file.statements).forEach(([lineText, counts]) => {
+            const line = Number(lineText);
+            if (line > model.getLineCount()) return;
+            const branches = file.branches[lineText] || [];
+            const missedBranch = branches.some(branch => branch.outcomes.some(count => count === 0));
+            const kind = counts.every(count => count === 0) ? 'uncovered' : missedBranch ? 'partial' : 'covered';
+
+            const hover = [counts.every(count => count === 0) ? 'Not run by the tests' : `Run ${this.describeCounts(counts)}`];
+            branches.forEach(branch => hover.push(this.describeBranch(branch)));
+
+            decorations.push({
+                range: new monaco.Range(line, 1, line, 1),
+                options: {
+                    isWholeLine: true,
+                    className: kind === 'covered' ? null : `coverage-line-${kind}`,
+                    linesDecorationsClassName: `coverage-gutter coverage-gutter-${kind}`,
+                    hoverMessage: hover.map(value => ({ value })),
+                    overviewRuler: kind === 'covered' ? null : {
+                        color: COVERAGE_COLORS[kind],
+                        position: monaco.editor.OverviewRulerLane.Left
+                    }
+                }
+            });
+        });
+        this.decorations.set(decorations);
+    }
+
+    describeCounts(counts) {
+        const times = (count) => `${count} ${count === 1 ? 'time' : 'times'}`;
+        if (counts.length === 1) return times(counts[0]);
+        return `${times(Math.max(...counts))} (statements: ${counts.join(', ')})`;
+    }
+
+    // Devel::Cover's branch outcomes are true, then false
+    describeBranch(branch) {
+        const labels = branch.outcomes.length === 2 ? ['true', 'false'] : branch.outcomes.map((count, index) => `#${index + 1}`);
+        const outcomes = branch.outcomes.map((count, index) => `${labels[index]} ${count === 0 ? 'never' : `${count}×`}`);
+        return `Branch \`${branch.text.replace(/`/g, "'")}\`: ${outcomes.join(', ')}`;
+    }
+
+    // ---- Explorer ----
+
+    updateExplorer() {
+        if (!window.cmFileExplorer || typeof window.cmFileExplorer.setCoverage !== 'function') return;
+        window.cmFileExplorer.setCoverage(new Map(Array.from(this.files.values(), file => [file.filePath, file.summary])));
+    }
+
+    dispose() {
+        this.listeners.forEach(listener => listener.dispose());
+        this.listeners = [];
+        if (this.decorations) this.decorations.clear();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoverageOverlay;
+}
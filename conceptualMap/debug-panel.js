@@ -0,0 +1,208 @@
+// The Debug tab of the bottom panel: toolbar, variables, call stack and a
+// console that evaluates expressions while the program is stopped and feeds
+// its STDIN while it runs. Holds no session state; PerlDebugSession drives it.
+class DebugPanel {
+    // handlers: { onCommand(command), onSelectFrame(index), onExpand(ref) -> Promise of variables, onSubmit(text) }
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.status = document.getElementById('debug-status');
+        this.variables = document.getElementById('debug-variables');
+        this.stack = document.getElementById('debug-stack');
+        this.output = document.getElementById('debug-output');
+        this.input = document.getElementById('debug-input');
+        this.buttons = Array.from(document.querySelectorAll('.debug-toolbar [data-command]'));
+        this.history = [];
+        this.historyIndex = 0;
+
+        this.buttons.forEach(button => {
+            button.addEventListener('click', () => this.handlers.onCommand(button.dataset.command));
+        });
+        if (this.input) {
+            this.input.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        }
+        this.setState('idle');
+    }
+
+    show() {
+        if (typeof window.showBottomPanelTab === 'function') {
+            window.showBottomPanelTab('debug');
+        }
+    }
+
+    // 'idle', 'running' or 'stopped'
+    setState(state, message) {
+        const enabled = {
+            continue: state !== 'running',
+            over: state === 'stopped',
+            into: state === 'stopped',
+            out: state === 'stopped',
+            stop: state !== 'idle'
+        };
+        this.buttons.forEach(button => {
+            button.disabled = !enabled[button.dataset.command];
+        });
+        const continueButton = this.buttons.find(button => button.dataset.command === 'continue');
+        if (continueButton) continueButton.title = state === 'stopped' ? 'Continue (F5)' : 'Start Debugging (F5)';
+
+        if (this.status) {
+            this.status.textContent = message || { idle: 'Not debugging', running: 'Running', stopped: 'Paused' }[state];
+        }
+        if (this.input) {
+            this.input.placeholder = state === 'running' ? 'Input for the program' : 'Evaluate an expression while paused';
+        }
+        if (state !== 'stopped') {
+            this.showStack([], 0);
+            this.showVariablesMessage(state === 'running' ? 'Running...' : '');
+        }
+    }
+
+    clear() {
+        if (this.output) this.output.innerHTML = '';
+    }
+
+    // ---- Call stack ----
+
+    showStack(frames, selectedIndex) {
+        if (!this.stack) return;
+        this.stack.innerHTML = '';
+        frames.forEach((frame, index) => {
+            const row = document.createElement('div');
+            row.className = 'debug-frame' + (index === selectedIndex ? ' selected' : '');
+            row.title = `${frame.filePath}:${frame.line}`;
+
+            const name = document.createElement('span');
+            name.className = 'debug-frame-function';
+            name.textContent = frame.function;
+            const location = document.createElement('span');
+            location.className = 'debug-frame-location';
+            location.textContent = `${frame.filePath.split(/[/\\]/).pop()}:${frame.line}`;
+
+            row.append(name, location);
+            row.addEventListener('click', () => this.handlers.onSelectFrame(index));
+            this.stack.appendChild(row);
+        });
+    }
+
+    // ---- Variables ----
+
+    // variables: [{ name, value, type, ref }]; a ref can be expanded
+    showVariables(variables) {
+        if (!this.variables) return;
+        this.variables.innerHTML = '';
+        if (variables.length === 0) {
+            this.showVariablesMessage('No variables in scope');
+            return;
+        }
+        variables.forEach(variable => this.variables.appendChild(this.renderVariable(variable)));
+    }
+
+    showVariablesMessage(message) {
+        if (!this.variables) return;
+        this.variables.innerHTML = '';
+        if (!message) return;
+        const note = document.createElement('div');
+        note.className = 'debug-note';
+        note.textContent = message;
+        this.variables.appendChild(note);
+    }
+
+    renderVariable(variable) {
+        const node = document.createElement('div');
+        node.className = 'debug-variable';
+
+        const row = document.createElement('div');
+        row.className = 'debug-variable-row';
+        const twistie = document.createElement('span');
+        twistie.className = 'debug-twistie';
+        twistie.textContent = variable.ref ? '▸' : '';
+        row.appendChild(twistie);
+        if (variable.name) {
+            const name = document.createElement('span');
+            name.className = 'debug-variable-name';
+            name.textContent = variable.name;
+            row.append(name, ': ');
+        }
+        const value = document.createElement('span');
+        value.className = `debug-value debug-value-${variable.type}`;
+        value.textContent = variable.value;
+        value.title = variable.type;
+        row.appendChild(value);
+        node.appendChild(row);
+
+        if (variable.ref) {
+            const children = document.createElement('div');
+            children.className = 'debug-variable-children';
+            children.hidden = true;
+            node.appendChild(children);
+
+            let loaded = false;
+            row.addEventListener('click', async () => {
+                children.hidden = !children.hidden;
+                twistie.textContent = children.hidden ? '▸' : '▾';
+                if (children.hidden || loaded) return;
+                loaded = true;
+                try {
+                    const items = await this.handlers.onExpand(variable.ref);
+                    items.forEach(item => children.appendChild(this.renderVariable(item)));
+                } catch (error) {
+                    loaded = false;
+                    children.textContent = error.message;
+                }
+            });
+        }
+        return node;
+    }
+
+    // ---- Console ----
+
+    // category: 'stdout', 'stderr', 'input', 'error' or 'info'
+    appendOutput(text, category) {
+        if (!this.output || !text) return;
+        const last = this.output.lastElementChild;
+        // Program output arrives in chunks that don't end at line breaks
+        if (last && last.dataset.category === category && (category === 'stdout' || category === 'stderr')) {
+            last.textContent += text;
+        } else {
+            const entry = document.createElement('div');
+            entry.className = `debug-output-entry debug-output-${category}`;
+            entry.dataset.category = category;
+            entry.textContent = text;
+            this.output.appendChild(entry);
+        }
+        this.scrollToEnd();
+    }
+
+    // An evaluated value, expandable like a variable
+    appendValue(value) {
+        if (!this.output) return;
+        const entry = this.renderVariable(value);
+        entry.classList.add('debug-output-entry');
+        this.output.appendChild(entry);
+        this.scrollToEnd();
+    }
+
+    scrollToEnd() {
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+
+    handleKeyDown(event) {
+        if (event.key === 'Enter') {
+            const text = this.input.value;
+            this.input.value = '';
+            if (text.trim()) this.history.push(text);
+            this.historyIndex = this.history.length;
+            this.handlers.onSubmit(text);
+        } else if (event.key === 'ArrowUp' && this.historyIndex > 0) {
+            this.input.value = this.history[--this.historyIndex];
+            event.preventDefault();
+        } else if (event.key === 'ArrowDown' && this.historyIndex < this.history.length) {
+            this.historyIndex++;
+            this.input.value = this.history[this.historyIndex] || '';
+            event.preventDefault();
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DebugPanel;
+}
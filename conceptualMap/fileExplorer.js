@@ -13,6 +13,7 @@ class ConceptualMapFileExplorer {
         this.clipboard = null;
         this.watcher = null;
         this.contextMenuTarget = null; // Track the folder where context menu was opened
+        this.coverage = new Map(); // filePath -> Devel::Cover summary, shown beside the file
         this.fileTree = document.getElementById('cm-file-tree');
         this.contextMenu = document.getElementById('cm-context-menu');
         this.currentPathElement = document.getElementById('cm-current-path');
@@ -138,15 +139,24 @@ class ConceptualMapFileExplorer {
         }
         this.watcher = chokidar.watch(this.currentPath, {
             ignored: /(^|[\/\\])\./, // ignore dotfiles
-            persistent: true
+            persistent: true,
+            // The tree and the symbol index read what's already there themselves
+            ignoreInitial: true
         });
-        // Only refresh the top-level tree when actual file/folder changes occur
+        // Only refresh the top-level tree when actual file/folder changes occur;
+        // workspace-aware features (symbol index, ...) also get the changed path
+        const onChange = (type) => (changedPath) => {
+            this.loadFileTree();
+            document.dispatchEvent(new CustomEvent('workspace-file-changed', {
+                detail: { type: type, path: changedPath }
+            }));
+        };
         this.watcher
-            .on('add', () => this.loadFileTree())
-            .on('change', () => this.loadFileTree())
-            .on('unlink', () => this.loadFileTree())
-            .on('addDir', () => this.loadFileTree())
-            .on('unlinkDir', () => this.loadFileTree());
+            .on('add', onChange('add'))
+            .on('change', onChange('change'))
+            .on('unlink', onChange('unlink'))
+            .on('addDir', onChange('addDir'))
+            .on('unlinkDir', onChange('unlinkDir'));
     }
 
     updateCurrentPath() {
@@ -199,6 +209,7 @@ class ConceptualMapFileExplorer {
             </div>
             ${item.isDirectory ? '<div class="cm-tree-item-children"></div>' : ''}
         `;
+        if (!item.isDirectory) this.updateCoverageBadge(treeItem);
 
         // Event listeners
         treeItem.addEventListener('click', (e) => this.handleItemClick(e, item));
@@ -255,6 +266,31 @@ class ConceptualMapFileExplorer {
 
 
 
+    // coverage: Map of file path -> { statement, branch, ..., total: { covered, total, percentage } }
+    setCoverage(coverage) {
+        this.coverage = coverage;
+        this.fileTree.querySelectorAll('.cm-tree-item[data-is-directory="false"]').forEach(treeItem => {
+            this.updateCoverageBadge(treeItem);
+        });
+    }
+
+    updateCoverageBadge(treeItem) {
+        const content = treeItem.querySelector('.cm-tree-item-content');
+        const existing = content.querySelector('.cm-tree-item-coverage');
+        if (existing) existing.remove();
+
+        const summary = this.coverage.get(treeItem.dataset.path);
+        if (!summary || !summary.total || summary.total.percentage === null) return;
+        const { percentage } = summary.total;
+        const badge = document.createElement('div');
+        badge.className = `cm-tree-item-coverage ${percentage >= 90 ? 'high' : percentage >= 70 ? 'medium' : 'low'}`;
+        badge.textContent = `${Math.floor(percentage)}%`;
+        badge.title = Object.entries(summary)
+            .map(([criterion, counts]) => `${criterion}: ${counts.percentage === null ? 'n/a' : counts.percentage + '%'} (${counts.covered}/${counts.total})`)
+            .join('\n');
+        content.appendChild(badge);
+    }
+
     getFileIcon(fileName) {
         const ext = path.extname(fileName).toLowerCase();
         const iconMap = {
@@ -1059,8 +1095,14 @@ class ConceptualMapFileExplorer {
                 await ipcRenderer.invoke('save-current-directory', result.folderPath);
 
                 this.loadFileTree();
+                this.setupFileWatcher();
                 // Update the current path display
                 document.getElementById('cm-current-path').textContent = result.folderPath;
+
+                // Let workspace-aware features (language server, ...) follow the new root
+                document.dispatchEvent(new CustomEvent('workspace-changed', {
+                    detail: { path: result.folderPath }
+                }));
             } else if (result.cancelled) {
                 console.log('Folder selection cancelled');
             } else {
@@ -3,6 +3,20 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const pty = require('@lydell/node-pty');
+const PerlEnvironment = require('./perl-environment');
+const PerlSandbox = require('./perl-sandbox');
+const PerlDiagnosticsScheduler = require('./perl-diagnostics-scheduler');
+const WorkspaceTrust = require('./workspace-trust');
+const PerlLanguageServer = require('./perl-language-server');
+const PerlModuleResolver = require('./perl-module-resolver');
+const PerlModuleIndexer = require('./perl-module-indexer');
+const PerlDocumentation = require('./perl-documentation');
+const PerlCritic = require('./perl-critic');
+const PerlTidy = require('./perl-tidy');
+const PerlDebugger = require('./perl-debugger');
+const PerlRunner = require('./perl-runner');
+const PerlTestRunner = require('./perl-test-runner');
+const PerlCoverage = require('./perl-coverage');
 
 // Suppress deprecation warnings
 process.removeAllListeners('warning');
@@ -54,6 +68,12 @@ function createWindow() {
 
   mainWindow.loadFile('index.html');
 
+  // Web links (e.g. Perl::Critic policy docs) open in the default browser
+  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+    if (/^https?:/.test(url)) shell.openExternal(url);
+    return { action: 'deny' };
+  });
+
   mainWindow.once('ready-to-show', () => {
     mainWindow.show();
   });
@@ -85,19 +105,57 @@ function spawnAllTerminals() {
     if (info.pty) return; // Already spawned
     let args = [];
     if (type === 'nodejs') args = ['-i']; // Interactive node shell
-    info.pty = pty.spawn(info.shell, args, {
+    // Start in the workspace with its perl, PERL5LIB and local::lib on the path
+    const { cwd, env } = perlEnvironment.getSpawnOptions();
+    const terminal = pty.spawn(info.shell, args, {
       name: 'xterm-color',
-      cols: 80,
-      rows: 24,
-      cwd: process.env.HOME || process.cwd(),
-      env: process.env
+      cols: info.cols || 80,
+      rows: info.rows || 24,
+      cwd: cwd,
+      env: env
     });
-    info.pty.on('data', (data) => {
-      if (mainWindow) mainWindow.webContents.send(`terminal-output-${type}`, data);
+    info.pty = terminal;
+    terminal.on('data', (data) => {
+      if (mainWindow && info.pty === terminal) mainWindow.webContents.send(`terminal-output-${type}`, data);
     });
   });
 }
 
+// Running shells keep the environment they started with; replacing them ends
+// whatever is running in them, so ask first
+async function offerTerminalRestart() {
+  const running = Object.values(terminalTypes).filter(info => info.pty);
+  if (running.length === 0 || !mainWindow) return;
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    title: 'Terminals',
+    message: 'Restart the terminals with the new Perl environment?',
+    detail: `The open terminals still use the previous perl, PERL5LIB and local::lib. Restarting them in ${perlEnvironment.getSpawnOptions().cwd} ends anything running in them.`,
+    buttons: ['Restart Terminals', 'Keep Running'],
+    defaultId: 1,
+    cancelId: 1
+  });
+  if (response === 0) restartTerminals();
+}
+
+// Replace running shells so they pick up a new workspace environment
+function restartTerminals() {
+  const running = Object.values(terminalTypes).filter(info => info.pty);
+  if (running.length === 0) return;
+
+  running.forEach(info => {
+    info.pty.kill();
+    info.pty = null;
+  });
+  spawnAllTerminals();
+  Object.keys(terminalTypes).forEach(type => {
+    if (mainWindow) {
+      mainWindow.webContents.send(`terminal-output-${type}`, `\r\n[Restarted for ${perlEnvironment.getSpawnOptions().cwd}]\r\n`);
+    }
+  });
+}
+
 ipcMain.on('terminal-input', (event, { type, data }) => {
   if (terminalTypes[type] && terminalTypes[type].pty) {
     terminalTypes[type].pty.write(data);
@@ -107,6 +165,9 @@ ipcMain.on('terminal-input', (event, { type, data }) => {
 ipcMain.on('resize-terminal', (event, { type, cols, rows }) => {
   if (terminalTypes[type] && terminalTypes[type].pty) {
     terminalTypes[type].pty.resize(cols, rows);
+    // Remembered for shells started later
+    terminalTypes[type].cols = cols;
+    terminalTypes[type].rows = rows;
   }
 });
 
@@ -116,8 +177,10 @@ ipcMain.on('init-terminals', () => {
 
 app.whenReady().then(() => {
   // Optional: Clear cache on start (from second file)
-  session.defaultSession.clearCache().then(() => {
+  session.defaultSession.clearCache().then(async () => {
     console.log('Cache cleared');
+    // Terminals and the language server start with the last workspace's Perl
+    await applyPerlWorkspace(loadLastDirectory());
     createWindow();
   });
 
@@ -289,6 +352,10 @@ ipcMain.handle('open-folder-dialog', async () => {
 
       // Save the selected folder to cache
       saveLastDirectory(folderPath);
+      if (!(await workspaceTrust.isTrusted(folderPath))) {
+        await promptWorkspaceTrust(folderPath);
+      }
+      await applyPerlWorkspace(folderPath);
 
       return { success: true, folderPath: folderPath };
     }
@@ -298,8 +365,9 @@ ipcMain.handle('open-folder-dialog', async () => {
   }
 });
 
-ipcMain.handle('save-current-directory', (event, directoryPath) => {
+ipcMain.handle('save-current-directory', async (event, directoryPath) => {
   saveLastDirectory(directoryPath);
+  await applyPerlWorkspace(directoryPath);
   return { success: true };
 });
 
@@ -323,6 +391,8 @@ ipcMain.handle('save-file', async (event, { path: filePath, content }) => {
   try {
     if (filePath) {
       await fs.promises.writeFile(filePath, content);
+      // Edited workspace Perl settings take effect on save
+      if (perlEnvironment.isConfigFile(filePath)) await applyPerlWorkspace(perlEnvironment.rootPath);
       return { success: true, path: filePath };
     } else {
       const result = await dialog.showSaveDialog(mainWindow, {
@@ -347,41 +417,215 @@ ipcMain.handle('save-file', async (event, { path: filePath, content }) => {
   }
 });
 
-// Perl syntax checking functionality
-const { exec } = require('child_process');
+// Perl sources under a workspace root, for the renderer's symbol index.
+// Skips hidden folders, dependencies and build output, and stops at a
+// fixed number of files so opening a home directory stays cheap.
+const PERL_SOURCE_EXTENSIONS = ['.pl', '.pm', '.t'];
+const SKIPPED_WORKSPACE_DIRECTORIES = ['node_modules', 'blib', 'local', '_build'];
+const MAX_INDEXED_FILES = 5000;
+
+async function listPerlFiles(rootPath) {
+  const files = [];
+  const pending = [rootPath];
+
+  while (pending.length > 0 && files.length < MAX_INDEXED_FILES) {
+    const dirPath = pending.shift();
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      continue; // unreadable folder
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_WORKSPACE_DIRECTORIES.includes(entry.name)) pending.push(entryPath);
+      } else if (PERL_SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(entryPath);
+        if (files.length >= MAX_INDEXED_FILES) break;
+      }
+    }
+  }
+  return files;
+}
+
+ipcMain.handle('list-perl-files', async (event, rootPath) => {
+  try {
+    const files = await listPerlFiles(rootPath);
+    return { success: true, files: files, truncated: files.length >= MAX_INDEXED_FILES };
+  } catch (error) {
+    console.error('Error listing Perl files:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ========== PERL ENVIRONMENT ========== //
+// Interpreter, include paths and environment of the open workspace
+const perlEnvironment = new PerlEnvironment({ perlPath: 'perl' });
+// Folders trusted to run code; the rest are checked in Restricted Mode
+const workspaceTrust = new WorkspaceTrust({ storePath: path.join(os.homedir(), '.conceptualmap-trust.json') });
+const perlSandbox = new PerlSandbox({ perlPath: 'perl' });
+
+// Load a workspace's Perl settings and hand them to everything that runs perl
+async function applyPerlWorkspace(rootPath) {
+  try {
+    const trusted = await workspaceTrust.isTrusted(rootPath);
+    const changed = await perlEnvironment.load(rootPath, { trusted });
+    if (!changed) return;
+    console.log('Perl environment:', perlEnvironment.describe());
 
-// Create a temporary file for Perl syntax checking
-function createTempFile() {
-  const tempDir = os.homedir();
-  return path.join(tempDir, `perl_check_${Date.now()}.pl`);
+    perlModuleResolver.reset();
+    perlModuleIndexer.reset();
+    perlDocumentation.reset();
+    perlLanguageServer.updateSettings(getLanguageServerSettings());
+    if (mainWindow) {
+      mainWindow.webContents.send('perl-environment-changed', { rootPath: perlEnvironment.rootPath, trusted: perlEnvironment.trusted });
+    }
+    // Not awaited: the rest of the app moves to the new workspace meanwhile
+    offerTerminalRestart().catch(error => console.error('Error restarting terminals:', error));
+  } catch (error) {
+    console.error('Error loading workspace Perl settings:', error);
+  }
+}
+
+// Ask whether to trust a folder; resolves to the answer
+async function promptWorkspaceTrust(folderPath) {
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    title: 'Workspace Trust',
+    message: `Do you trust the authors of the files in ${folderPath}?`,
+    detail: 'Checking Perl code runs its BEGIN blocks and imports. In Restricted Mode the code is checked ' +
+      'in a sandbox with those left out, and the folder\'s Perl settings, lib/ and local/ are not used.',
+    buttons: ['Trust Folder', 'Stay in Restricted Mode'],
+    defaultId: 1,
+    cancelId: 1
+  });
+  if (response !== 0) return false;
+  await workspaceTrust.setTrusted(folderPath, true);
+  return true;
 }
 
-// Parse Perl errors from output
-function parsePerlErrors(output, originalCode) {
+ipcMain.handle('workspace-trust', async () => {
+  return { success: true, rootPath: perlEnvironment.rootPath, trusted: perlEnvironment.trusted };
+});
+
+// The status bar indicator: trust a restricted workspace, or restrict a trusted one
+ipcMain.handle('workspace-trust-prompt', async () => {
+  try {
+    const rootPath = perlEnvironment.rootPath;
+    if (!rootPath) return { success: false, error: 'No folder is open' };
+
+    if (perlEnvironment.trusted) {
+      const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'question',
+        title: 'Workspace Trust',
+        message: `${rootPath} is trusted.`,
+        detail: 'Switch to Restricted Mode to check its code in a sandbox without its Perl settings.',
+        buttons: ['Restrict Folder', 'Keep Trusted'],
+        defaultId: 1,
+        cancelId: 1
+      });
+      if (response === 0) await workspaceTrust.setTrusted(rootPath, false);
+    } else {
+      await promptWorkspaceTrust(rootPath);
+    }
+
+    await applyPerlWorkspace(rootPath);
+    return { success: true, rootPath: rootPath, trusted: perlEnvironment.trusted };
+  } catch (error) {
+    console.error('Error changing workspace trust:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Perl syntax checking functionality
+const { execFile } = require('child_process');
+
+// Parse Perl errors from output. `fileName` is the name the code was checked
+// under; messages about other files (a module that failed to compile) are put
+// on the line that loaded it, with the original location as related information.
+function parsePerlErrors(output, fileName) {
   const errors = [];
-  const lines = output.split('\n');
+  // perl prints `near "..."` text verbatim, so it can run over several lines;
+  // join those back into one message
+  const lines = output.split('\n').reduce((joined, line) => {
+    const previous = joined[joined.length - 1];
+    if (previous !== undefined && /, near "/.test(previous) && !/"\s*$/.test(previous)) {
+      joined[joined.length - 1] = previous + '\n' + line;
+    } else {
+      joined.push(line);
+    }
+    return joined;
+  }, []);
 
-  console.log('Parsing Perl errors from output:', output);
-  console.log('Lines to parse:', lines);
 
-  // Check if original code already has any form of 'use warnings' directive
-  // This handles 'use warnings;', 'use warning;' (typo), etc.
-  const hasWarningsDirective = /use\s+warnings?\s*;/i.test(originalCode);
-  const lineOffset = hasWarningsDirective ? 0 : 1;
-  
-  console.log('Has warnings directive:', hasWarningsDirective, 'Line offset:', lineOffset);
+  let external = []; // messages about other files, waiting for the line that loaded them
 
   lines.forEach((line, index) => {
-    console.log(`Processing line ${index}: "${line}"`);
-    
+
+    // The chain of requires that led there; only the link in this file matters
+    const loadedAt = line.match(/^(?:Compilation failed in require|BEGIN failed--compilation aborted) at (.+) line (\d+)\.?$/);
+    if (loadedAt) {
+      if (loadedAt[1] === fileName && external.length > 0) {
+        const [first] = external;
+        errors.push({
+          line: parseInt(loadedAt[2]),
+          message: `${first.message} (in ${first.filePath} line ${first.line})`,
+          severity: 'error',
+          related: external
+        });
+        external = [];
+      }
+      return;
+    }
+
+    const otherFile = line.match(/^([\s\S]+?) at (.+?) line (\d+)(?:, (near "[\s\S]*")|, <\w+> line \d+)?\.?\s*$/);
+    if (otherFile && !line.includes(` at ${fileName} line `)) {
+      const message = otherFile[1].replace(/ \((?:you may need to install|@INC (?:contains|entries checked))[\s\S]*$/, '');
+      external.push({
+        filePath: otherFile[2],
+        line: parseInt(otherFile[3]),
+        message: otherFile[4] ? `${message}, ${otherFile[4].replace(/\s+/g, ' ')}` : message
+      });
+      return;
+    }
+
+    // "(Might be a runaway multi-line "" string starting on line 3)" belongs
+    // to the error before it
+    const runawayMatch = line.match(/\(Might be a runaway multi-line (\S+) string starting on line (\d+)\)/);
+    if (runawayMatch) {
+      const previous = errors[errors.length - 1];
+      if (previous) {
+        previous.related = {
+          line: parseInt(runawayMatch[2]),
+          message: `Possible runaway ${runawayMatch[1]} string starts here`
+        };
+      }
+      return;
+    }
+
+    // Match "Can't find string terminator" errors; the line is where the string starts
+    const terminatorMatch = line.match(/(Can't find string terminator (.+?) anywhere before EOF) at .+? line (\d+)/);
+    if (terminatorMatch) {
+      const [, message, terminator, lineNum] = terminatorMatch;
+      errors.push({
+        line: Math.max(1, parseInt(lineNum)),
+        message: message,
+        severity: 'error',
+        terminator: terminator.replace(/^"(.*)"$|^'(.*)'$/, '$1$2')
+      });
+      return;
+    }
+
     // Match syntax errors with "at [file] line [number], near [text]" format
-    const syntaxMatch = line.match(/(.+?) at .+? line (\d+), near "(.+?)"/);
+    const syntaxMatch = line.match(/(.+?) at .+? line (\d+), near "([\s\S]+?)"\s*$/);
     if (syntaxMatch) {
       const [, message, lineNum, near] = syntaxMatch;
-      const adjustedLine = parseInt(lineNum) - lineOffset;
-      console.log('Found syntax error:', { message, lineNum, adjustedLine, near });
+      const lineNumber = parseInt(lineNum);
       errors.push({
-        line: Math.max(1, adjustedLine),
+        line: Math.max(1, lineNumber),
         message: message.trim(),
         severity: 'error',
         near: near
@@ -393,10 +637,9 @@ function parsePerlErrors(output, originalCode) {
     const endOfLineMatch = line.match(/(.+?) at .+? line (\d+), at end of line/);
     if (endOfLineMatch) {
       const [, message, lineNum] = endOfLineMatch;
-      const adjustedLine = parseInt(lineNum) - lineOffset;
-      console.log('Found end-of-line error:', { message, lineNum, adjustedLine });
+      const lineNumber = parseInt(lineNum);
       errors.push({
-        line: Math.max(1, adjustedLine),
+        line: Math.max(1, lineNumber),
         message: message.trim(),
         severity: 'error'
       });
@@ -407,10 +650,9 @@ function parsePerlErrors(output, originalCode) {
     const simpleErrorMatch = line.match(/(.+?) at .+? line (\d+)$/);
     if (simpleErrorMatch && line.includes('syntax error')) {
       const [, message, lineNum] = simpleErrorMatch;
-      const adjustedLine = parseInt(lineNum) - lineOffset;
-      console.log('Found simple syntax error:', { message, lineNum, adjustedLine });
+      const lineNumber = parseInt(lineNum);
       errors.push({
-        line: Math.max(1, adjustedLine),
+        line: Math.max(1, lineNumber),
         message: message.trim(),
         severity: 'error'
       });
@@ -421,10 +663,9 @@ function parsePerlErrors(output, originalCode) {
     const globalSymbolMatch = line.match(/Global symbol "(.+?)" requires explicit package name.*? at .+? line (\d+)/);
     if (globalSymbolMatch) {
       const [, symbol, lineNum] = globalSymbolMatch;
-      const adjustedLine = parseInt(lineNum) - lineOffset;
-      console.log('Found global symbol error:', { symbol, lineNum, adjustedLine });
+      const lineNumber = parseInt(lineNum);
       errors.push({
-        line: Math.max(1, adjustedLine),
+        line: Math.max(1, lineNumber),
         message: `Global symbol "${symbol}" requires explicit package name (did you forget to declare "my ${symbol}"?)`,
         severity: 'error',
         near: symbol
@@ -442,10 +683,9 @@ function parsePerlErrors(output, originalCode) {
          line.includes('Undefined subroutine') ||
          line.includes('Can\'t use'))) {
       const [, message, lineNum, additional] = compilationErrorMatch;
-      const adjustedLine = parseInt(lineNum) - lineOffset;
-      console.log('Found compilation error:', { message, lineNum, adjustedLine, additional });
+      const lineNumber = parseInt(lineNum);
       errors.push({
-        line: Math.max(1, adjustedLine),
+        line: Math.max(1, lineNumber),
         message: message.trim() + (additional ? `, ${additional}` : ''),
         severity: 'error'
       });
@@ -457,10 +697,9 @@ function parsePerlErrors(output, originalCode) {
     if (moduleMatch) {
       const lineMatch = line.match(/line (\d+)/);
       if (lineMatch) {
-        const lineNum = parseInt(lineMatch[1]);
-        const adjustedLine = lineNum - lineOffset;
+        const lineNumber = parseInt(lineMatch[1]);
         errors.push({
-          line: Math.max(1, adjustedLine),
+          line: Math.max(1, lineNumber),
           message: `Can't locate module: ${moduleMatch[1]}`,
           severity: 'error',
           near: moduleMatch[1]
@@ -475,10 +714,9 @@ function parsePerlErrors(output, originalCode) {
       const [, message, lineNum] = warningMatch;
       if (message.includes('Unquoted string') || message.includes('Use of uninitialized value') ||
         message.includes('Name "') || message.includes('Subroutine') || message.includes('Scalar value')) {
-        const adjustedLine = parseInt(lineNum) - lineOffset;
-        console.log('Found warning:', { message, lineNum, adjustedLine });
+        const lineNumber = parseInt(lineNum);
         errors.push({
-          line: Math.max(1, adjustedLine),
+          line: Math.max(1, lineNumber),
           message: message.trim(),
           severity: 'warning'
         });
@@ -486,39 +724,448 @@ function parsePerlErrors(output, originalCode) {
     }
   });
 
-  console.log('Final parsed errors:', errors);
   return errors;
 }
 
-ipcMain.handle('check-perl-syntax', async (event, code) => {
+// perl -cw over the code as if it were saved at `filePath`: read from stdin in
+// the file's directory, with $0 and a #line directive naming the real file, so
+// FindBin, relative requires and __FILE__ resolve as they would when it runs.
+// Untrusted files are checked sandboxed instead, so their own code can't run.
+// `prelude` goes before the #line directive and doesn't shift line numbers.
+// Aborting `signal` kills perl.
+async function runPerlCheck(code, filePath, fileName, prelude, signal) {
+  const directives = `\n#line 1 "${fileName}"\n`;
+  const trusted = filePath ? await workspaceTrust.isTrusted(path.dirname(filePath)) : perlEnvironment.trusted;
+  if (!trusted) {
+    const { stdout, stderr, error } = await perlSandbox.check(code, { header: prelude + directives, signal });
+    return { error, output: stdout + stderr, restricted: true };
+  }
+
+  // $0 is what FindBin looks at; it has to exist, so a deleted file keeps perl's "-"
+  const exists = filePath && await fs.promises.access(filePath).then(() => true, () => false);
+  const setScriptName = exists ? ` BEGIN { $0 = '${filePath.replace(/[\\']/g, '\\$&')}' }` : '';
+  const spawnOptions = perlEnvironment.getSpawnOptions();
+  return new Promise((resolve) => {
+    const child = execFile(perlEnvironment.perlPath, ['-cw', '-'], {
+      ...spawnOptions,
+      cwd: filePath ? path.dirname(filePath) : spawnOptions.cwd,
+      timeout: 30000,
+      signal: signal
+    }, (error, stdout, stderr) => {
+      resolve({ error, output: stdout + stderr, restricted: false });
+    });
+    child.stdin.on('error', () => { }); // perl may exit before reading everything
+    child.stdin.end(prelude + setScriptName + directives + code);
+  });
+}
+
+// request: { code, filePath } - filePath is where the buffer lives, if it has been saved
+async function checkPerlSyntax({ code, filePath }, signal) {
+  // Add use warnings; at the beginning if not already present
+  // Check for any form of warnings directive (including typos like 'use warning;')
+  const prelude = /use\s+warnings?\s*;/i.test(code) ? '' : 'use warnings;';
+
+  // #line can't name a file with a double quote in it
+  const realPath = filePath && path.isAbsolute(filePath) ? filePath : null;
+  const fileName = realPath && !/["\n]/.test(realPath) ? realPath : '-';
+
+  const { error, output, restricted } = await runPerlCheck(code, realPath, fileName, prelude, signal);
+  if (error) {
+    const errors = parsePerlErrors(output, fileName);
+    return { success: false, errors: errors, output: output, fileName: fileName, restricted: restricted };
+  }
+  return { success: true, message: 'Syntax OK', output: output, fileName: fileName, restricted: restricted };
+}
+
+// One check per document at a time, at most two overall; edits made while a
+// check runs kill it and start over
+const perlDiagnosticsScheduler = new PerlDiagnosticsScheduler({
+  run: checkPerlSyntax,
+  delay: 250,
+  maxConcurrent: 2
+});
+
+// version: the renderer's model version, echoed back so it can drop stale results
+ipcMain.handle('check-perl-syntax', async (event, code, filePath, version) => {
+  try {
+    const outcome = await perlDiagnosticsScheduler.schedule(filePath || 'untitled', version, { code, filePath });
+    if (outcome.superseded) return { success: false, superseded: true, version: version };
+    return { ...outcome.result, version: outcome.version };
+  } catch (err) {
+    return { success: false, errors: [], output: err.message, version: version };
+  }
+});
+
+ipcMain.on('cancel-perl-syntax', (event, filePath) => {
+  perlDiagnosticsScheduler.cancel(filePath || 'untitled');
+  perlCriticScheduler.cancel(filePath || 'untitled');
+});
+
+// ========== PERL LANGUAGE SERVER ========== //
+// Perl Navigator runs perl itself: same interpreter, include paths and variables
+function getLanguageServerSettings() {
+  const perlEnv = {};
+  Object.entries(perlEnvironment.variables).forEach(([name, value]) => {
+    if (value !== null) perlEnv[name] = value;
+  });
+  return {
+    perlPath: perlEnvironment.perlPath,
+    includePaths: perlEnvironment.includePaths,
+    perlEnv: perlEnv,
+    perlEnvAdd: true,
+    // Its perl -c runs BEGIN blocks; only for trusted folders
+    perlcompileEnabled: perlEnvironment.trusted
+  };
+}
+
+const perlLanguageServer = new PerlLanguageServer({
+  settings: {
+    enableWarnings: true,
+    perlcriticEnabled: false,
+    ...getLanguageServerSettings()
+  },
+  onDiagnostics: (diagnostics) => {
+    if (mainWindow) mainWindow.webContents.send('perl-lsp-diagnostics', diagnostics);
+  }
+});
+
+ipcMain.handle('perl-lsp-start', async (event, rootPath) => {
+  try {
+    const capabilities = await perlLanguageServer.start(rootPath);
+    return { success: true, capabilities: capabilities };
+  } catch (error) {
+    console.error('Error starting Perl language server:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('perl-lsp-request', async (event, method, filePath, params) => {
+  try {
+    const result = await perlLanguageServer.request(method, filePath, params);
+    return { success: true, result: result };
+  } catch (error) {
+    console.error(`Error in language server request ${method}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.on('perl-lsp-document', (event, { action, filePath, text }) => {
+  switch (action) {
+    case 'open':
+      perlLanguageServer.openDocument(filePath, text);
+      break;
+    case 'change':
+      perlLanguageServer.changeDocument(filePath, text);
+      break;
+    case 'save':
+      perlLanguageServer.saveDocument(filePath);
+      break;
+    case 'close':
+      perlLanguageServer.closeDocument(filePath);
+      break;
+  }
+});
+
+app.on('before-quit', () => {
+  perlLanguageServer.stop();
+});
+
+// ========== PERL MODULE RESOLUTION ========== //
+const perlModuleResolver = new PerlModuleResolver({ environment: perlEnvironment });
+
+ipcMain.handle('perl-resolve-module', async (event, moduleName, rootPath) => {
+  try {
+    const resolved = await perlModuleResolver.resolve(moduleName, rootPath);
+    if (!resolved) {
+      return { success: false, error: `Can't locate ${moduleName} in @INC` };
+    }
+    return { success: true, ...resolved };
+  } catch (error) {
+    console.error('Error resolving Perl module:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ========== PERL MODULE CATALOGUE ========== //
+const perlModuleIndexer = new PerlModuleIndexer({
+  resolver: perlModuleResolver,
+  cachePath: path.join(os.homedir(), '.conceptualmap-modules.json')
+});
+
+ipcMain.handle('perl-module-catalogue', async (event, options) => {
+  try {
+    const catalogue = await perlModuleIndexer.getCatalogue(options);
+    return { success: true, ...catalogue };
+  } catch (error) {
+    console.error('Error indexing Perl modules:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Installed modules whose name starts with `letter` (code-area's API, backed by the catalogue)
+ipcMain.handle('get-modules-for-letter', async (event, letter) => {
   try {
-    const tempFile = createTempFile();
+    const { modules } = await perlModuleIndexer.getCatalogue();
+    const prefix = String(letter).toLowerCase();
+    return { success: true, modules: modules.map(module => module.name).filter(name => name.toLowerCase().startsWith(prefix)) };
+  } catch (error) {
+    console.error('Error listing Perl modules:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ========== PERL DOCUMENTATION ========== //
+const perlDocumentation = new PerlDocumentation();
 
-    // Add use warnings; at the beginning if not already present
-    // Check for any form of warnings directive (including typos like 'use warning;')
-    let codeWithWarnings = code;
-    if (!/use\s+warnings?\s*;/i.test(code)) {
-      codeWithWarnings = 'use warnings;\n' + code;
+ipcMain.handle('perl-doc', async (event, name, kind) => {
+  try {
+    const pod = await perlDocumentation.lookup(name, kind, { perlPath: perlEnvironment.perlPath, ...perlEnvironment.getSpawnOptions() });
+    if (!pod) {
+      return { success: false, error: `No documentation found for ${name}` };
     }
-    await fs.promises.writeFile(tempFile, codeWithWarnings);
+    return { success: true, pod };
+  } catch (error) {
+    console.error('Error running perldoc:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-    // Run perl -cw
-    return new Promise((resolve) => {
-      exec(`perl -cw "${tempFile}"`, (error, stdout, stderr) => {
-        const output = stdout + stderr;
+// ========== PERL::CRITIC ========== //
+const perlCritic = new PerlCritic();
 
-        // Clean up temp file
-        fs.promises.unlink(tempFile).catch(() => { });
+// Coalesced and cancelled per document like perl -c; one run at a time, as
+// perlcritic is the slower of the two
+const perlCriticScheduler = new PerlDiagnosticsScheduler({
+  run: ({ code, options }, signal) => {
+    const { env } = perlEnvironment.getSpawnOptions();
+    return perlCritic.critique(code, { ...options, perlPath: perlEnvironment.perlPath, env, signal });
+  },
+  delay: 250,
+  maxConcurrent: 1
+});
 
-        if (error) {
-          const errors = parsePerlErrors(output, code);
-          resolve({ success: false, errors: errors, output: output });
-        } else {
-          resolve({ success: true, message: 'Syntax OK', output: output });
-        }
-      });
+// options: { filePath, rootPath, severity }; version as for check-perl-syntax
+ipcMain.handle('perl-critic', async (event, code, options, version) => {
+  try {
+    const outcome = await perlCriticScheduler.schedule(options.filePath || 'untitled', version, { code, options });
+    if (outcome.superseded) return { success: false, superseded: true, version: version };
+    return { success: true, violations: outcome.result, version: outcome.version };
+  } catch (error) {
+    console.error('Error running perlcritic:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// ========== PERL::TIDY ========== //
+const perlTidy = new PerlTidy();
+
+// options: { rootPath }
+ipcMain.handle('perl-tidy', async (event, code, options) => {
+  try {
+    const { env } = perlEnvironment.getSpawnOptions();
+    const formatted = await perlTidy.format(code, { ...options, perlPath: perlEnvironment.perlPath, env });
+    return { success: true, formatted };
+  } catch (error) {
+    console.error('Error running perltidy:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// ========== PERL DEBUGGER ========== //
+const perlDebugger = new PerlDebugger({
+  onEvent: (event) => {
+    if (mainWindow) mainWindow.webContents.send('perl-debug-event', event);
+  }
+});
+
+// options: { filePath, args, breakpoints: { filePath: [lines] }, stopOnEntry }
+ipcMain.handle('perl-debug-start', async (event, options) => {
+  try {
+    // Debugging runs the program; Restricted Mode only ever compiles it sandboxed
+    if (!(await workspaceTrust.isTrusted(path.dirname(options.filePath)))) {
+      return { success: false, error: 'Debugging is disabled in Restricted Mode. Trust this folder to run its code.' };
+    }
+    const { cwd, env } = perlEnvironment.getSpawnOptions();
+    await perlDebugger.start({
+      scriptPath: options.filePath,
+      args: options.args || [],
+      breakpoints: options.breakpoints || {},
+      stopOnEntry: !!options.stopOnEntry,
+      perlPath: perlEnvironment.perlPath,
+      cwd: cwd,
+      env: env
     });
-  } catch (err) {
-    return { success: false, errors: [], output: err.message };
+    return { success: true };
+  } catch (error) {
+    console.error('Error starting the Perl debugger:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// mode: 'continue', 'over', 'into' or 'out'
+ipcMain.handle('perl-debug-resume', async (event, mode) => {
+  try {
+    perlDebugger.resume(mode);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('perl-debug-breakpoints', async (event, filePath, lines) => {
+  try {
+    const actual = await perlDebugger.setBreakpoints(filePath, lines);
+    return { success: true, lines: actual };
+  } catch (error) {
+    console.error('Error setting breakpoints:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('perl-debug-variables', async (event, frameIndex) => {
+  try {
+    const variables = await perlDebugger.variables(frameIndex);
+    return { success: true, variables };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('perl-debug-expand', async (event, ref) => {
+  try {
+    const variables = await perlDebugger.expand(ref);
+    return { success: true, variables };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('perl-debug-evaluate', async (event, expression) => {
+  try {
+    const value = await perlDebugger.evaluate(expression);
+    return { success: true, value };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.on('perl-debug-stop', () => {
+  perlDebugger.stop();
+});
+
+// Program input typed into the debug console
+ipcMain.on('perl-debug-input', (event, text) => {
+  perlDebugger.writeInput(text);
+});
+
+app.on('before-quit', () => {
+  perlDebugger.stop();
+});
+
+// ========== RUN ========== //
+const perlRunner = new PerlRunner({
+  onEvent: (event) => {
+    if (mainWindow) mainWindow.webContents.send('perl-run-event', event);
+  }
+});
+
+// args: the command line typed for Run with Arguments, split like a shell would
+ipcMain.handle('perl-run-start', async (event, filePath, args) => {
+  try {
+    if (!(await workspaceTrust.isTrusted(path.dirname(filePath)))) {
+      return { success: false, error: 'Running scripts is disabled in Restricted Mode. Trust this folder to run its code.' };
+    }
+    const { cwd, env } = perlEnvironment.getSpawnOptions();
+    const argv = PerlRunner.splitArguments(args || '');
+    perlRunner.start({ scriptPath: filePath, args: argv, perlPath: perlEnvironment.perlPath, cwd, env });
+    return { success: true, cwd: cwd, command: [perlEnvironment.perlPath, filePath, ...argv] };
+  } catch (error) {
+    console.error('Error running Perl script:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('perl-run-stop', async () => {
+  return { success: true, stopped: perlRunner.stop() };
+});
+
+app.on('before-quit', () => {
+  perlRunner.stop();
+});
+
+// ========== TESTS ========== //
+const perlTestRunner = new PerlTestRunner({
+  onEvent: (event) => {
+    if (mainWindow) mainWindow.webContents.send('perl-test-event', event);
+  }
+});
+
+// The .t files under t/ and xt/ of the open workspace
+ipcMain.handle('perl-tests-discover', async () => {
+  try {
+    const rootPath = perlEnvironment.rootPath;
+    const files = rootPath ? await perlTestRunner.discover(rootPath) : [];
+    return { success: true, rootPath: rootPath, files: files };
+  } catch (error) {
+    console.error('Error finding test files:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// files: the test files to run; all of them when not given
+// options: { coverage } to record a fresh Devel::Cover database while they run
+ipcMain.handle('perl-tests-run', async (event, files, options = {}) => {
+  try {
+    const rootPath = perlEnvironment.rootPath;
+    if (!rootPath) {
+      return { success: false, error: 'Open a folder to run its tests' };
+    }
+    if (!(await workspaceTrust.isTrusted(rootPath))) {
+      return { success: false, error: 'Running tests is disabled in Restricted Mode. Trust this folder to run its code.' };
+    }
+    const testFiles = files || (await perlTestRunner.discover(rootPath)).map(file => file.filePath);
+    if (testFiles.length === 0) {
+      return { success: false, error: 'No test files under t/ or xt/' };
+    }
+    let { env } = perlEnvironment.getSpawnOptions();
+    if (options.coverage) {
+      env = { ...env, ...(await perlCoverage.prepare({ rootPath, perlPath: perlEnvironment.perlPath, env })) };
+    }
+    await perlTestRunner.run({ rootPath, files: testFiles, perlPath: perlEnvironment.perlPath, env });
+    return { success: true, files: testFiles };
+  } catch (error) {
+    console.error('Error running tests:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('perl-tests-stop', async () => {
+  return { success: true, stopped: perlTestRunner.stop() };
+});
+
+app.on('before-quit', () => {
+  perlTestRunner.stop();
+});
+
+// ========== COVERAGE ========== //
+const perlCoverage = new PerlCoverage();
+
+// The workspace's cover_db, whether from a coverage run or `cover -test`
+ipcMain.handle('perl-coverage-load', async () => {
+  try {
+    const rootPath = perlEnvironment.rootPath;
+    if (!rootPath) {
+      return { success: false, error: 'Open a folder to see its coverage' };
+    }
+    // Reading cover_db deserializes whatever the folder put there
+    if (!(await workspaceTrust.isTrusted(rootPath))) {
+      return { success: false, error: 'Coverage is disabled in Restricted Mode. Trust this folder to load its cover_db.' };
+    }
+    const { env } = perlEnvironment.getSpawnOptions();
+    const files = await perlCoverage.load({ rootPath, perlPath: perlEnvironment.perlPath, env });
+    return { success: true, rootPath: rootPath, files: files };
+  } catch (error) {
+    console.error('Error loading coverage:', error);
+    return { success: false, error: error.message };
   }
-});
\ No newline at end of file
+});
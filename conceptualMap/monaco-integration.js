@@ -7,10 +7,22 @@ class MonacoEditor {
         this.isInitialized = false;
         this.openTabs = new Map(); // Store open tabs: filePath -> { name, content, modified }
         this.activeTab = null;
+        this.languageClient = null; // Perl Navigator bridge, created with the editor
+        this.outline = null; // Outline in the Bitools panel, created with the editor
+        this.podPreview = null; // POD preview beside the editor, created with the editor
+        this.debugSession = null; // Breakpoints and the Debug panel, created with the editor
+        this.outputPanel = null; // The Output tab, created with the editor
+        this.runningScript = null; // { filePath } while Run has a script going
+        this.testExplorer = null; // Tests in the Bitools panel, created with the editor
+        this.coverage = null; // Devel::Cover overlay, created with the editor
+        this.workspaceIndex = null; // Workspace symbol index, created with the editor
+        this.symbolPicker = null;
+        this.lastPeekedResource = null; // Installed module shown in a peek view; opened in a tab on the next request
 
         // Don't auto-initialize Monaco - wait for first file click
         this.loadModules(); // Still load modules for completion
         this.setupEventListeners();
+        this.setupWorkspaceTrust();
         this.showWelcomeScreen();
     }
 
@@ -56,6 +68,13 @@ class MonacoEditor {
                 </div>`;
         }
         
+        if (this.outline) {
+            this.outline.clear();
+        }
+        if (this.podPreview) {
+            this.podPreview.clear();
+        }
+
         // Update breadcrumb to show welcome state
         this.updateBreadcrumbPath(null, null);
         const breadcrumbCursor = document.getElementById('breadcrumb-cursor');
@@ -389,6 +408,11 @@ print "Hello, World!\\n";
         console.log('switchToTab called with:', filePath);
         console.log('Current activeTab:', this.activeTab);
         
+        // A check still running for the previous tab would be dropped anyway
+        if (this.activeTab && this.activeTab !== filePath) {
+            window.electronAPI.cancelPerlSyntaxCheck(this.activeTab);
+        }
+
         // Set the active tab state FIRST
         this.activeTab = filePath;
         
@@ -409,6 +433,12 @@ print "Hello, World!\\n";
             // Clear Perl syntax error markers for non-Perl files
             if (!this.isPerlFile(filePath)) {
                 monaco.editor.setModelMarkers(this.editor.getModel(), 'perl', []);
+                monaco.editor.setModelMarkers(this.editor.getModel(), 'perlnavigator', []);
+                monaco.editor.setModelMarkers(this.editor.getModel(), 'perlcritic', []);
+            } else if (this.languageClient) {
+                // Keep the language server's view of this document current
+                this.languageClient.didOpen(filePath, tabData.content);
+                this.languageClient.applyDiagnostics(filePath);
             }
             
             this.editor.focus();
@@ -429,6 +459,37 @@ print "Hello, World!\\n";
         console.log('switchToTab completed. New activeTab:', this.activeTab);
     }
 
+    // Monaco can only peek or jump into locations that have a model, so load
+    // files other than the active tab into a model of their own
+    async getFileModelUri(filePath) {
+        if (filePath === this.activeTab && this.editor) {
+            return this.editor.getModel().uri;
+        }
+
+        const uri = monaco.Uri.file(filePath);
+        if (!monaco.editor.getModel(uri)) {
+            const result = await window.electronAPI.readFile(filePath);
+            if (!result.success) return null;
+            if (!monaco.editor.getModel(uri)) {
+                monaco.editor.createModel(result.content, this.getLanguageFromFileName(filePath), uri);
+            }
+        }
+        return uri;
+    }
+
+    // Open a file (if needed) and move the cursor to the given range
+    async revealLocation(filePath, range) {
+        if (filePath !== this.activeTab) {
+            const fileName = filePath.split(/[/\\]/).pop();
+            await this.openFileInTab(filePath, fileName);
+        }
+        if (!this.editor || this.activeTab !== filePath) return;
+
+        this.editor.setSelection(range);
+        this.editor.revealRangeInCenter(range);
+        this.editor.focus();
+    }
+
     // New method to update all tab states based on activeTab
     updateAllTabStates() {
         console.log('updateAllTabStates called. activeTab:', this.activeTab);
@@ -480,6 +541,10 @@ print "Hello, World!\\n";
 
         // Remove tab from storage
         this.openTabs.delete(filePath);
+        window.electronAPI.cancelPerlSyntaxCheck(filePath);
+        if (this.languageClient) {
+            this.languageClient.didClose(filePath);
+        }
 
         // Remove tab element with more robust selection
         console.log('Looking for tab element with path:', filePath);
@@ -531,6 +596,10 @@ print "Hello, World!\\n";
         if (!this.activeTab || !this.editor) return;
 
         try {
+            if (this.isFormatOnSaveEnabled() && this.isPerlFile(this.activeTab)) {
+                await this.formatDocument();
+            }
+
             const content = this.editor.getValue();
             
             // Use Electron API to save file
@@ -566,6 +635,10 @@ print "Hello, World!\\n";
                 }
             }
 
+            if (this.languageClient && this.isPerlFile(this.activeTab)) {
+                this.languageClient.didSave(this.activeTab);
+            }
+
             this.updateStatusMessage('File saved successfully', '#4ec9b0');
             console.log('File saved:', this.activeTab);
 
@@ -692,6 +765,45 @@ print "Hello, World!\\n";
             console.error('Failed to load modules.json:', error);
             this.modules = { modules: [], moduleFunctions: {} };
         }
+
+        // Indexing @INC can take a while the first time; don't hold up the editor
+        this.loadModuleCatalogue();
+    }
+
+    // Merge the catalogue of installed modules (perl-module-indexer.js) into
+    // this.modules so every completion provider sees what's really installed.
+    // modules.json's entries stay first and keep their signatures.
+    async loadModuleCatalogue(options = {}) {
+        if (!window.electronAPI || !window.electronAPI.getPerlModuleCatalogue) return;
+        const result = await window.electronAPI.getPerlModuleCatalogue(options);
+        if (!result.success) {
+            console.warn('Module catalogue unavailable:', result.error);
+            return;
+        }
+
+        const modules = new Set(this.modules.modules || []);
+        const moduleFunctions = { ...(this.modules.moduleFunctions || {}) };
+        this.moduleCatalogue = new Map();
+        result.modules.forEach(module => {
+            modules.add(module.name);
+            this.moduleCatalogue.set(module.name, module);
+
+            // Exported functions; for OO modules without exports, the public subs
+            const exported = module.exports.concat(module.exportOk).filter(name => /^\w/.test(name));
+            const functions = exported.length > 0
+                ? exported
+                : module.subs.filter(name => !name.startsWith('_') && name !== name.toUpperCase());
+            moduleFunctions[module.name] = Array.from(new Set((moduleFunctions[module.name] || []).concat(functions)));
+        });
+        this.modules = { ...this.modules, modules: Array.from(modules), moduleFunctions };
+        console.log(`Module catalogue: ${result.modules.length} installed modules`);
+    }
+
+    // Completion documentation for a module name: version and location when installed
+    describeModule(moduleName) {
+        const installed = this.moduleCatalogue && this.moduleCatalogue.get(moduleName);
+        if (!installed) return `Perl module: ${moduleName}`;
+        return `Perl module: ${moduleName}${installed.version ? ' ' + installed.version : ''}\n\n${installed.filePath}`;
     }
 
     async loadMonacoFromCDN() {
@@ -788,11 +900,13 @@ print "Hello, World!\\n";
                 minimap: { enabled: true },
                 wordWrap: 'on',
                 lineNumbers: 'on',
+                glyphMargin: true, // breakpoints
                 folding: true,
                 bracketMatching: 'always',
                 autoIndent: 'full',
-                formatOnPaste: true,
-                formatOnType: true,
+                // Formatting is perltidy, which would rewrite the code around a paste
+                formatOnPaste: false,
+                formatOnType: false,
                 suggest: {
                     showKeywords: true,
                     showSnippets: true,
@@ -831,6 +945,39 @@ print "Hello, World!\\n";
             // Set up completion providers
             this.setupCompletionProviders();
 
+            // Start the Perl Navigator language server bridge
+            this.setupLanguageClient();
+
+            // Keep the Bitools outline in step with the active tab
+            this.setupOutline();
+            this.setupPodPreview();
+            this.setupDebugger();
+            this.setupRunCommands();
+            this.setupTestExplorer();
+            this.setupCoverage();
+
+            // Index workspace symbols for Go to Symbol and cross-file definitions
+            this.setupWorkspaceIndex();
+            this.setupEditorOpener();
+
+            // perldoc hovers for builtins and modules
+            this.setupDocumentationHover();
+            this.setupPerlCritic();
+            this.setupFormatting();
+            this.setupRename();
+            this.setupReferences();
+            this.setupSignatureHelp();
+            this.setupQuickFixes();
+            this.editor.addAction({
+                id: 'perl.rebuildModuleCatalogue',
+                label: 'Rebuild Installed Module Catalogue',
+                run: async () => {
+                    this.updateStatusMessage('Indexing installed Perl modules...', '#007acc');
+                    await this.loadModuleCatalogue({ refresh: true });
+                    this.updateStatusMessage('');
+                }
+            });
+
             // Track modifications and update error underline with debounce
             let syntaxCheckTimeout = null;
             this.editor.onDidChangeModelContent(() => {
@@ -867,6 +1014,11 @@ print "Hello, World!\\n";
                             console.log('Tab element not found for:', this.activeTab);
                         }
                     }
+
+                    // Keep the language server in sync with the buffer
+                    if (this.languageClient && this.isPerlFile(this.activeTab)) {
+                        this.languageClient.didChange(this.activeTab, this.editor.getValue());
+                    }
                 }
 
                 // Clear existing timeout
@@ -874,7 +1026,8 @@ print "Hello, World!\\n";
                     clearTimeout(syntaxCheckTimeout);
                 }
 
-                // Set new timeout for syntax checking (600ms delay) - only for Perl files
+                // Set new timeout for syntax checking (300ms delay, main waits a little
+                // longer for further edits) - only for Perl files
                 syntaxCheckTimeout = setTimeout(() => {
                     const code = this.editor.getValue();
                     
@@ -882,7 +1035,7 @@ print "Hello, World!\\n";
                     if (this.activeTab && this.isPerlFile(this.activeTab)) {
                         this.checkPerlSyntax(code);
                     }
-                }, 600);
+                }, 300);
             });
 
             // Update cursor position tracking
@@ -939,41 +1092,15 @@ print "Hello, World!";
     }
 
     configurePerlLanguage() {
-        // Define Perl language if not already defined
-        if (!monaco.languages.getLanguages().find(lang => lang.id === 'perl')) {
-            monaco.languages.register({ id: 'perl' });
-
-            monaco.languages.setMonarchTokensProvider('perl', {
-                tokenizer: {
-                    root: [
-                        [/#.*$/, 'comment'],
-                        [/"([^"\\]|\\.)*$/, 'string.invalid'],
-                        [/"/, 'string', '@string_double'],
-                        [/'/, 'string', '@string_single'],
-                        [/\$\w+/, 'variable'],
-                        [/@\w+/, 'variable.array'],
-                        [/%\w+/, 'variable.hash'],
-                        [/&\w+/, 'variable.function'],
-                        [/\b(sub|my|our|local|use|require|package|if|else|elsif|unless|while|for|foreach|do|until|next|last|redo|return|die|warn|print|printf|say)\b/, 'keyword'],
-                        [/\b(strict|warnings|feature|Exporter|Carp|Data::Dumper|JSON|XML::Simple|DBI|CGI|LWP::UserAgent|File::Slurp|DateTime|Moose|Moo)\b/, 'type'],
-                        [/\b\d+(\.\d+)?\b/, 'number'],
-                        [/[{}()\[\]]/, 'bracket'],
-                        [/[;,.]/, 'delimiter'],
-                        [/[=!<>]+/, 'operator']
-                    ],
-                    string_double: [
-                        [/[^\\"]+/, 'string'],
-                        [/\\./, 'string.escape'],
-                        [/"/, 'string', '@pop']
-                    ],
-                    string_single: [
-                        [/[^\\']+/, 'string'],
-                        [/\\./, 'string.escape'],
-                        [/'/, 'string', '@pop']
-                    ]
-                }
-            });
+        // The tokenizer lives in perl-monarch.js so code-area uses the same grammar
+        if (typeof registerPerlLanguage === 'undefined') {
+            console.warn('perl-monarch.js not loaded, using Monaco\'s built-in Perl highlighting');
+            return;
         }
+        if (this.perlLanguageRegistered) return;
+        this.perlLanguageRegistered = true;
+
+        registerPerlLanguage(monaco);
     }
 
     setupFallbackEditor() {
@@ -1048,70 +1175,9 @@ print "Hello, World!";
         // Variables completion provider (improved with better parsing)
         const variableProvider = monaco.languages.registerCompletionItemProvider('perl', {
             triggerCharacters: ['$', '@', '%'],
-            provideCompletionItems: function (model, position) {
-                const fullText = model.getValue();
-                const suggestions = [];
-
-                console.log('Variable completion provider triggered');
-
-                // Get the text at current position to see what was typed
-                const currentLine = model.getLineContent(position.lineNumber);
-                const textBeforeCursor = currentLine.substring(0, position.column - 1);
-
-                console.log('Current line:', currentLine);
-                console.log('Text before cursor:', textBeforeCursor);
-
-                // Check if we're typing a variable (starts with $, @, or %)
-                const variableMatch = textBeforeCursor.match(/([$@%][\w]*)$/);
-                if (variableMatch) {
-                    const typedText = variableMatch[1];
-                    const sigil = typedText[0]; // $, @, or %
-                    const variableName = typedText.substring(1); // rest of the variable name
-
-                    console.log('Typed text:', typedText, 'Sigil:', sigil, 'Variable name:', variableName);
-
-                    // Find all variables with this sigil
-                    // Look for both 'my' declarations and direct assignments
-                    const patterns = [
-                        new RegExp(`my\\s+(${sigil.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[\\w]+)`, 'g'),
-                        new RegExp(`(${sigil.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[\\w]+)\\s*=`, 'g')
-                    ];
-
-                    patterns.forEach((pattern, index) => {
-                        console.log(`Checking pattern ${index}:`, pattern);
-                        let match;
-                        while ((match = pattern.exec(fullText)) !== null) {
-                            const fullVariableName = match[1];
-                            const varNameWithoutSigil = fullVariableName.substring(1);
-
-                            console.log('Found variable:', fullVariableName, 'without sigil:', varNameWithoutSigil);
-
-                            // Only suggest if it matches what we're typing and avoid duplicates
-                            if (varNameWithoutSigil.toLowerCase().startsWith(variableName.toLowerCase()) &&
-                                !suggestions.find(s => s.label === fullVariableName)) {
-                                suggestions.push({
-                                    label: fullVariableName,
-                                    kind: monaco.languages.CompletionItemKind.Variable,
-                                    insertText: fullVariableName,
-                                    documentation: `Variable (${sigil === '$' ? 'scalar' : sigil === '@' ? 'array' : 'hash'})`,
-                                    sortText: '0' + fullVariableName.toLowerCase(), // High priority
-                                    range: {
-                                        startLineNumber: position.lineNumber,
-                                        startColumn: position.column - typedText.length,
-                                        endLineNumber: position.lineNumber,
-                                        endColumn: position.column
-                                    }
-                                });
-                            }
-                        }
-                    });
-
-                    console.log('Found variable suggestions:', suggestions);
-                } else {
-                    console.log('No variable match found');
-                }
-
-                return { suggestions: suggestions };
+            provideCompletionItems: (model, position) => {
+                if (this.isLanguageServerReady()) return { suggestions: [] };
+                return this.provideVariableCompletions(model, position);
             }
         });
 
@@ -1119,6 +1185,8 @@ print "Hello, World!";
         const functionProvider = monaco.languages.registerCompletionItemProvider('perl', {
             triggerCharacters: ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm', 'n', 'o', 'p', 'q', 'r', 's', 't', 'u', 'v', 'w', 'x', 'y', 'z', 'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z'],
             provideCompletionItems: function (model, position) {
+                if (this.isLanguageServerReady()) return { suggestions: [] };
+
                 const fullText = model.getValue();
                 const suggestions = [];
 
@@ -1277,6 +1345,8 @@ print "Hello, World!";
         const moduleProvider = monaco.languages.registerCompletionItemProvider('perl', {
             triggerCharacters: [' ', 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm', 'n', 'o', 'p', 'q', 'r', 's', 't', 'u', 'v', 'w', 'x', 'y', 'z', 'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z', ':'],
             provideCompletionItems: async (model, position) => {
+                if (this.isLanguageServerReady()) return { suggestions: [] };
+
                 const suggestions = [];
 
                 // Get the text at current position to see what was typed
@@ -1309,7 +1379,7 @@ print "Hello, World!";
                             label: module,
                             kind: monaco.languages.CompletionItemKind.Module,
                             insertText: module + ';',
-                            documentation: `Perl module: ${module}`,
+                            documentation: this.describeModule(module),
                             sortText: '0' + module.toLowerCase(), // High priority
                             range: {
                                 startLineNumber: position.lineNumber,
@@ -1340,7 +1410,7 @@ print "Hello, World!";
                             label: module,
                             kind: monaco.languages.CompletionItemKind.Module,
                             insertText: module + ';',
-                            documentation: `Perl module: ${module}`,
+                            documentation: this.describeModule(module),
                             sortText: '0' + module.toLowerCase(), // High priority
                             range: {
                                 startLineNumber: position.lineNumber,
@@ -1362,7 +1432,1361 @@ print "Hello, World!";
         this.completionProviders.push(variableProvider, moduleProvider, boilerplateProvider, functionProvider);
     }
 
+    // Variables in scope at the cursor, nearest declarations first. An
+    // element of %h or @a is offered as $h{} / $a[] when typing `$`.
+    provideVariableCompletions(model, position) {
+        const textBeforeCursor = model.getLineContent(position.lineNumber).substring(0, position.column - 1);
+        const variableMatch = textBeforeCursor.match(/([$@%])(\w*)$/);
+        if (!variableMatch || typeof PerlScopeAnalyzer === 'undefined') return { suggestions: [] };
+
+        const [typedText, sigil, typedName] = variableMatch;
+        const range = {
+            startLineNumber: position.lineNumber,
+            startColumn: position.column - typedText.length,
+            endLineNumber: position.lineNumber,
+            endColumn: position.column
+        };
+        const offset = model.getOffsetAt(position) - typedText.length;
+        const variables = PerlScopeAnalyzer.getVisibleVariables(model.getValue(), offset);
+        const typeNames = { '$': 'scalar', '@': 'array', '%': 'hash' };
+
+        const suggestions = [];
+        variables.forEach((variable, index) => {
+            if (!variable.name.toLowerCase().startsWith(typedName.toLowerCase())) return;
+
+            const declared = `${variable.sigil}${variable.name}`;
+            const declaration = variable.declarator === 'global'
+                ? `${declared} (package variable)`
+                : `${variable.declarator} ${declared}`;
+            const add = (label, insertText, description) => suggestions.push({
+                label,
+                kind: monaco.languages.CompletionItemKind.Variable,
+                insertText,
+                insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                filterText: sigil + variable.name,
+                detail: `${declaration} - line ${variable.line}`,
+                documentation: description,
+                sortText: '0' + String(index).padStart(4, '0'), // nearest scope first
+                range
+            });
+
+            if (variable.sigil === sigil) {
+                add(declared, declared.replace('$', '\\$'), `Variable (${typeNames[sigil]})`);
+            }
+            // Sigil follows what is accessed: $a[0] and $h{k} are scalars, @h{...} is a slice
+            const brackets = variable.sigil === '@' ? ['[', ']'] : ['{', '}'];
+            if (variable.sigil !== '$' && sigil === '$') {
+                add(`$${variable.name}${brackets.join('')}`, `\\$${variable.name}${brackets[0]}$0${brackets[1]}`,
+                    `Element of ${typeNames[variable.sigil]} ${declared}`);
+            } else if (variable.sigil === '%' && sigil === '@') {
+                add(`@${variable.name}{}`, `@${variable.name}{$0}`, `Slice of hash ${declared}`);
+            }
+        });
+
+        return { suggestions };
+    }
+
+    // Perl Navigator offers variables, subs and modules itself; the built-in
+    // providers above only stand in while it is not running
+    isLanguageServerReady() {
+        return !!(this.languageClient && this.languageClient.ready);
+    }
+
+    setupLanguageClient() {
+        // The client outlives editor re-creation, so only start it once
+        if (this.languageClient || typeof PerlLanguageClient === 'undefined') return;
+
+        this.languageClient = new PerlLanguageClient(this);
+        this.languageClient.start(this.getWorkspaceRoot());
+    }
+
+    getWorkspaceRoot() {
+        return window.cmFileExplorer ? window.cmFileExplorer.currentPath : null;
+    }
+
+    isInWorkspace(filePath) {
+        return this.isInFolder(filePath, this.getWorkspaceRoot());
+    }
+
+    // Below folderPath, not merely sharing its prefix (/work/app-old for /work/app)
+    isInFolder(filePath, folderPath) {
+        return !!folderPath && !!filePath && filePath.startsWith(folderPath) && /[/\\]/.test(filePath[folderPath.length]);
+    }
+
+    setupOutline() {
+        if (typeof PerlOutline === 'undefined') return;
+
+        if (!this.outline) {
+            this.outline = new PerlOutline(this);
+        }
+        this.outline.attach(this.editor);
+    }
+
+    setupPodPreview() {
+        if (typeof PodPreview === 'undefined') return;
+
+        if (!this.podPreview) {
+            this.podPreview = new PodPreview(this);
+        }
+        this.podPreview.attach(this.editor);
+
+        this.editor.addAction({
+            id: 'perl.togglePodPreview',
+            label: 'Toggle POD Preview',
+            keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.KeyV],
+            run: () => this.podPreview.toggle()
+        });
+    }
+
+    setupDebugger() {
+        if (typeof PerlDebugSession === 'undefined') return;
+
+        if (!this.debugSession) {
+            this.debugSession = new PerlDebugSession(this);
+        }
+        this.debugSession.attach(this.editor);
+
+        const actions = [
+            ['perl.debugStart', 'Debug: Start or Continue', monaco.KeyCode.F5, () => this.debugSession.start()],
+            ['perl.debugToggleBreakpoint', 'Debug: Toggle Breakpoint', monaco.KeyCode.F9, () => this.debugSession.toggleBreakpoint()],
+            ['perl.debugStepOver', 'Debug: Step Over', monaco.KeyCode.F10, () => this.debugSession.resume('over')],
+            ['perl.debugStepInto', 'Debug: Step Into', monaco.KeyCode.F11, () => this.debugSession.resume('into')],
+            ['perl.debugStepOut', 'Debug: Step Out', monaco.KeyMod.Shift | monaco.KeyCode.F11, () => this.debugSession.resume('out')],
+            ['perl.debugStop', 'Debug: Stop', monaco.KeyMod.Shift | monaco.KeyCode.F5, () => this.debugSession.stop()]
+        ];
+        actions.forEach(([id, label, keybinding, run]) => {
+            this.editor.addAction({ id, label, keybindings: [keybinding], run });
+        });
+    }
+
+    setupRunCommands() {
+        if (typeof OutputPanel === 'undefined') return;
+
+        if (!this.outputPanel) {
+            this.outputPanel = new OutputPanel({
+                onOpenLocation: (filePath, line) => this.revealLocation(filePath, { startLineNumber: line, startColumn: 1, endLineNumber: line, endColumn: 1 })
+            });
+            window.electronAPI.onPerlRunEvent((event, runEvent) => this.handleRunEvent(runEvent));
+        }
+
+        this.editor.addAction({
+            id: 'perl.run',
+            label: 'Run Perl Script',
+            keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.F5],
+            run: () => this.runScript('')
+        });
+        this.editor.addAction({
+            id: 'perl.runWithArguments',
+            label: 'Run Perl Script with Arguments...',
+            keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.F5],
+            run: () => this.promptRunArguments()
+        });
+        this.editor.addAction({
+            id: 'perl.stopRun',
+            label: 'Stop Running Perl Script',
+            run: () => this.stopScript()
+        });
+    }
+
+    // Runs the active file on disk in the workspace folder, with its perl and
+    // PERL5LIB, into the 'Perl' output channel
+    async runScript(args) {
+        const filePath = this.activeTab;
+        if (!filePath || !this.isPerlFile(filePath)) {
+            this.updateStatusMessage('Open a Perl script to run it', '#f44336');
+            return;
+        }
+        const tabData = this.openTabs.get(filePath);
+        if (tabData && tabData.modified) await this.saveFile();
+
+        if (this.runningScript) this.outputPanel.appendLine('Perl', '[Stopped] replaced by a new run');
+        this.runningScript = null;
+        const result = await window.electronAPI.runPerlScript(filePath, args);
+        if (!result.success) {
+            this.outputPanel.appendLine('Perl', result.error, 'stderr');
+            this.outputPanel.show('Perl');
+            this.updateStatusMessage(result.error, '#f44336');
+            return;
+        }
+
+        this.runningScript = { filePath };
+        const quote = (arg) => (arg === '' || /[\s'"\\$`]/.test(arg) ? `'${arg.replace(/'/g, "'\\''")}'` : arg);
+        this.outputPanel.setDirectory('Perl', result.cwd);
+        this.outputPanel.appendLine('Perl', `[Running] ${result.command.map(quote).join(' ')}`);
+        this.outputPanel.show('Perl');
+        this.updateStatusMessage(`Running ${filePath.split(/[/\\]/).pop()}`, '#4ec9b0');
+    }
+
+    // Arguments typed in the picker, or picked from the ones used before
+    promptRunArguments() {
+        const filePath = this.activeTab;
+        if (!filePath || !this.isPerlFile(filePath)) {
+            this.updateStatusMessage('Open a Perl script to run it', '#f44336');
+            return;
+        }
+        let recent = [];
+        try {
+            recent = JSON.parse(localStorage.getItem('perlRunArguments') || '[]');
+        } catch (error) {
+            recent = [];
+        }
+
+        this.getSymbolPicker().show({
+            placeholder: `Arguments for ${filePath.split(/[/\\]/).pop()} (Enter to run)`,
+            getItems: (query) => [
+                { label: query.trim() ? query : '(no arguments)', kind: 'run', description: 'Run with these arguments', args: query },
+                ...recent
+                    .filter(args => args !== query && args.includes(query))
+                    .map(args => ({ label: args, kind: 'run', description: 'recent', args }))
+            ],
+            onSelect: ({ args }) => {
+                if (args.trim()) {
+                    localStorage.setItem('perlRunArguments', JSON.stringify([args, ...recent.filter(other => other !== args)].slice(0, 10)));
+                }
+                this.runScript(args);
+            }
+        });
+    }
+
+    async stopScript() {
+        const result = await window.electronAPI.stopPerlScript();
+        if (!result.stopped) return;
+        this.runningScript = null;
+        this.outputPanel.appendLine('Perl', '[Stopped]');
+        this.updateStatusMessage('Script stopped', '#858585');
+    }
+
+    handleRunEvent(event) {
+        if (!this.outputPanel) return;
+        if (event.event === 'output') {
+            this.outputPanel.append('Perl', event.text, event.stream === 'stderr' ? 'stderr' : null);
+        } else if (event.event === 'exited') {
+            const seconds = (event.duration / 1000).toFixed(3);
+            const outcome = event.signal ? `ended by ${event.signal}` : `exited with code=${event.code}`;
+            this.outputPanel.appendLine('Perl', `[Done] ${outcome} in ${seconds} seconds`, event.code === 0 ? 'info' : 'stderr');
+            this.updateStatusMessage(`Script ${outcome}`, event.code === 0 ? '#4ec9b0' : '#f44336');
+            this.runningScript = null;
+        }
+    }
+
+    setupTestExplorer() {
+        if (typeof TestExplorer === 'undefined') return;
+
+        if (!this.testExplorer) {
+            this.testExplorer = new TestExplorer(this);
+        }
+        this.testExplorer.attach(this.editor);
+
+        this.editor.addAction({
+            id: 'perl.runAllTests',
+            label: 'Run All Tests',
+            run: () => this.testExplorer.run(null)
+        });
+        this.editor.addAction({
+            id: 'perl.runTestFile',
+            label: 'Run Tests in Current File',
+            run: () => this.testExplorer.runActiveFile()
+        });
+        this.editor.addAction({
+            id: 'perl.runFailedTests',
+            label: 'Run Failed Tests',
+            run: () => this.testExplorer.runFailed()
+        });
+    }
+
+    setupCoverage() {
+        if (typeof CoverageOverlay === 'undefined') return;
+
+        if (!this.coverage) {
+            this.coverage = new CoverageOverlay(this);
+        }
+        this.coverage.attach(this.editor);
+
+        const actions = [
+            ['perl.runTestsWithCoverage', 'Coverage: Run Tests with Devel::Cover', () => this.coverage.run()],
+            ['perl.loadCoverage', 'Coverage: Load cover_db', () => this.coverage.load()],
+            ['perl.toggleCoverage', 'Coverage: Toggle Overlay', () => this.coverage.toggle()],
+            ['perl.clearCoverage', 'Coverage: Clear', () => this.coverage.clear()]
+        ];
+        actions.forEach(([id, label, run]) => this.editor.addAction({ id, label, run }));
+    }
+
+    setupWorkspaceIndex() {
+        if (typeof PerlWorkspaceIndex === 'undefined') return;
+
+        // The index and its provider outlive editor re-creation; the action does not
+        if (!this.workspaceIndex) {
+            this.workspaceIndex = new PerlWorkspaceIndex();
+            this.workspaceIndex.build(this.getWorkspaceRoot());
+            this.workspaceDefinitionProvider = monaco.languages.registerDefinitionProvider('perl', {
+                provideDefinition: (model, position) => this.providePerlDefinition(model, position)
+            });
+            this.methodCompletionProvider = monaco.languages.registerCompletionItemProvider('perl', {
+                triggerCharacters: ['>'],
+                provideCompletionItems: (model, position) => this.provideMethodCompletions(model, position)
+            });
+        }
+
+        this.editor.addAction({
+            id: 'perl.goToWorkspaceSymbol',
+            label: 'Go to Symbol in Workspace...',
+            keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyT],
+            run: () => this.showWorkspaceSymbolPicker()
+        });
+    }
+
+    setupFormatting() {
+        // Providers outlive editor re-creation; the actions do not
+        if (!this.formattingProviders) {
+            this.formattingProviders = [
+                monaco.languages.registerDocumentFormattingEditProvider('perl', {
+                    displayName: 'Perl::Tidy',
+                    provideDocumentFormattingEdits: (model) => this.provideFormattingEdits(model, model.getFullModelRange())
+                }),
+                monaco.languages.registerDocumentRangeFormattingEditProvider('perl', {
+                    displayName: 'Perl::Tidy',
+                    provideDocumentRangeFormattingEdits: (model, range) => this.provideFormattingEdits(model, range)
+                })
+            ];
+        }
+
+        this.editor.addAction({
+            id: 'perl.formatDocument',
+            label: 'Format Document with Perl::Tidy',
+            keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.KeyI],
+            precondition: 'editorLangId == perl',
+            run: () => this.formatDocument()
+        });
+        this.editor.addAction({
+            id: 'perl.toggleFormatOnSave',
+            label: 'Toggle Format on Save',
+            run: () => {
+                const enabled = !this.isFormatOnSaveEnabled();
+                localStorage.setItem('formatOnSave', enabled);
+                this.updateStatusMessage(`Format on save ${enabled ? 'enabled' : 'disabled'}`, '#4ec9b0');
+            }
+        });
+    }
+
+    isFormatOnSaveEnabled() {
+        return localStorage.getItem('formatOnSave') === 'true';
+    }
+
+    formatDocument() {
+        const action = this.editor.getAction('editor.action.formatDocument');
+        return action ? action.run() : Promise.resolve();
+    }
+
+    // Ranges are widened to whole lines and tidied on their own, then
+    // shifted back to the indentation of their first line
+    async provideFormattingEdits(model, range) {
+        const lineRange = new monaco.Range(
+            range.startLineNumber, 1,
+            range.endLineNumber, model.getLineMaxColumn(range.endLineNumber)
+        );
+        const text = model.getValueInRange(lineRange);
+        const baseIndent = text.match(/^[ \t]*/)[0];
+
+        this.updateStatusMessage('Formatting...', '#007acc');
+        const result = await window.electronAPI.formatPerlCode(text, { rootPath: this.getWorkspaceRoot() });
+        if (!result.success) {
+            this.updateStatusMessage('perltidy: ' + result.error.split('\n')[0], '#f44336');
+            return [];
+        }
+        this.updateStatusMessage('');
+
+        const formatted = baseIndent
+            ? result.formatted.split('\n').map(line => (line ? baseIndent + line : line)).join('\n')
+            : result.formatted;
+        return formatted === text ? [] : [{ range: lineRange, text: formatted }];
+    }
+
+    // F2 uses Monaco's rename box, but the edits go through RenamePreview:
+    // Monaco's own bulk edit can't touch files that aren't open
+    setupRename() {
+        if (this.renameProvider || typeof PerlScopeAnalyzer === 'undefined') return;
+
+        this.renameProvider = monaco.languages.registerRenameProvider('perl', {
+            resolveRenameLocation: (model, position) => this.resolveRenameLocation(model, position),
+            provideRenameEdits: (model, position, newName) => this.provideRenameEdits(model, position, newName)
+        });
+    }
+
+    // { kind: 'variable' | 'sub', name, range, ... } for the symbol at the position
+    findRenameTarget(model, position) {
+        const code = model.getValue();
+        const offset = model.getOffsetAt(position);
+        const toRange = (index, length) => monaco.Range.fromPositions(model.getPositionAt(index), model.getPositionAt(index + length));
+
+        const variable = PerlScopeAnalyzer.findVariableOccurrences(code, offset);
+        if (variable) {
+            const current = variable.occurrences.find(ref => offset >= ref.index && offset <= ref.nameIndex + ref.name.length);
+            return {
+                kind: 'variable',
+                name: variable.declaration.name,
+                range: toRange(current.nameIndex, current.name.length),
+                occurrences: variable.occurrences.map(ref => ref.nameIndex)
+            };
+        }
+
+        const word = this.getQualifiedWordAt(model, position);
+        if (!word) return null;
+        const name = word.text.split('::').pop();
+        const packages = this.findSubPackages(code, name);
+        if (packages.size === 0) return null;
+
+        // The package whose sub this is: the qualifier's, the invocant's or the
+        // current package's if it defines one, else the one package imported or
+        // known to define it. packageName is null when that leaves a choice.
+        const nameColumn = word.endColumn - name.length;
+        const nameIndex = model.getOffsetAt({ lineNumber: position.lineNumber, column: nameColumn });
+        const qualifier = word.text.includes('::') ? word.text.slice(0, -name.length - 2) : null;
+        const candidates = [PerlScopeAnalyzer.findInvocantClass(code, nameIndex), PerlScopeAnalyzer.findPackageAt(code, nameIndex)];
+        const imported = Array.from(packages).filter(packageName =>
+            new RegExp(`^\\s*use\\s+${packageName.replace(/\W/g, '\\$&')}\\b`, 'm').test(code));
+        const packageName = qualifier
+            || candidates.find(candidate => candidate && packages.has(candidate))
+            || (imported.length === 1 ? imported[0] : null)
+            || (packages.size === 1 ? Array.from(packages)[0] : null);
+
+        return {
+            kind: 'sub',
+            name,
+            packageName,
+            packages: Array.from(packages),
+            filePath: this.getFilePathForModel(model),
+            range: new monaco.Range(position.lineNumber, nameColumn, position.lineNumber, word.endColumn)
+        };
+    }
+
+    // Packages with a sub `name`, from the workspace index and `code`
+    findSubPackages(code, name) {
+        const packages = new Set();
+        if (this.workspaceIndex) {
+            this.workspaceIndex.findDefinitions(name)
+                .filter(definition => definition.kind === 'sub')
+                .forEach(definition => packages.add(definition.container));
+        }
+        for (const match of code.matchAll(new RegExp(`\\bsub\\s+((?:\\w+::)*)${name}\\b`, 'g'))) {
+            packages.add(match[1] ? match[1].slice(0, -2) : PerlScopeAnalyzer.findPackageAt(code, match.index));
+        }
+        return packages;
+    }
+
+    // Why a rename target can't be renamed, or null
+    getRenameRejectReason(target) {
+        if (target.kind !== 'sub' || target.packageName) return null;
+        return `${target.name} is defined in ${target.packages.join(', ')}; rename it at its definition or a qualified call`;
+    }
+
+    resolveRenameLocation(model, position) {
+        const target = this.findRenameTarget(model, position);
+        if (!target) {
+            return { range: null, text: '', rejectReason: 'Only lexical variables and subs can be renamed' };
+        }
+        const rejectReason = this.getRenameRejectReason(target);
+        if (rejectReason) return { range: null, text: '', rejectReason };
+        return { range: target.range, text: target.name };
+    }
+
+    async provideRenameEdits(model, position, newName) {
+        newName = newName.replace(/^[$@%&]/, '');
+        if (!/^[A-Za-z_]\w*$/.test(newName)) {
+            return { edits: [], rejectReason: `'${newName}' is not a valid Perl identifier` };
+        }
+        const target = this.findRenameTarget(model, position);
+        if (!target) return { edits: [], rejectReason: 'Nothing to rename here' };
+        const rejectReason = this.getRenameRejectReason(target);
+        if (rejectReason) return { edits: [], rejectReason };
+
+        this.updateStatusMessage(`Finding occurrences of ${target.name}...`, '#007acc');
+        const changes = target.kind === 'variable'
+            ? [this.createRenameChange(this.getFilePathForModel(model), model.getValue(), target.occurrences)]
+            : await this.findSubRenameChanges(model, target.name, target.packageName);
+        this.updateStatusMessage('');
+
+        if (!this.renamePreview) {
+            this.renamePreview = new RenamePreview();
+        }
+        this.renamePreview.show({
+            oldName: target.name,
+            newName,
+            changes: changes.filter(change => change.edits.length > 0),
+            onApply: (selected) => this.applyRenameChanges(selected, target.name, newName)
+        });
+        return { edits: [] };
+    }
+
+    // Only `packageName`'s sub; method calls that may not be are left
+    // unchecked in the preview
+    async findSubRenameChanges(model, name, packageName) {
+        const sources = await this.searchWorkspace(model, name);
+        return sources.map(({ filePath, content }) => {
+            const occurrences = PerlScopeAnalyzer.findPackageSubOccurrences(content, name, packageName);
+            const change = this.createRenameChange(filePath, content, occurrences.map(occurrence => occurrence.index));
+            change.edits.forEach((edit, index) => {
+                edit.uncertain = occurrences[index].uncertain;
+            });
+            return change;
+        });
+    }
+
+    // { filePath, content } for every workspace file mentioning `text`, plus the
+    // one being edited (filePath null when untitled), using open tabs' unsaved text
+    async searchWorkspace(model, text) {
+        const currentPath = this.getFilePathForModel(model);
+        const filePaths = new Set(this.workspaceIndex ? this.workspaceIndex.files.keys() : []);
+        if (currentPath) filePaths.add(currentPath);
+
+        const sources = [];
+        for (const filePath of filePaths) {
+            const content = await this.getWorkspaceSource(filePath, model);
+            if (content === null || !content.includes(text)) continue;
+            sources.push({ filePath, content });
+        }
+        if (!currentPath) {
+            sources.push({ filePath: null, content: model.getValue() });
+        }
+        return sources;
+    }
+
+    async getWorkspaceSource(filePath, model) {
+        if (filePath === this.getFilePathForModel(model)) return model.getValue();
+        const tabData = this.openTabs.get(filePath);
+        if (tabData) return tabData.content;
+
+        const result = await window.electronAPI.readFile(filePath);
+        return result.success ? result.content : null;
+    }
+
+    createRenameChange(filePath, content, indexes) {
+        return {
+            filePath,
+            label: this.getWorkspaceLabel(filePath),
+            edits: indexes.map(index => this.getLineInfo(content, index))
+        };
+    }
+
+    // Path relative to the workspace root, for result lists
+    getWorkspaceLabel(filePath) {
+        const rootPath = this.getWorkspaceRoot();
+        if (!filePath) return 'Untitled';
+        return this.isInFolder(filePath, rootPath) ? filePath.slice(rootPath.length + 1) : filePath;
+    }
+
+    // { index, line, column, lineText } for an offset into `content`
+    getLineInfo(content, index) {
+        const lineStart = content.lastIndexOf('\n', index - 1) + 1;
+        const lineEnd = content.indexOf('\n', index);
+        return {
+            index,
+            line: content.slice(0, lineStart).split('\n').length,
+            column: index - lineStart + 1,
+            lineText: content.slice(lineStart, lineEnd < 0 ? content.length : lineEnd).replace(/\r$/, '')
+        };
+    }
+
+    // The active tab is edited in the editor (undoable), other open tabs in
+    // their buffers, and files that aren't open on disk
+    async applyRenameChanges(changes, oldName, newName) {
+        const replaceAll = (content, edits) => edits
+            .slice()
+            .sort((a, b) => b.index - a.index)
+            .reduce((text, edit) => (text.substr(edit.index, oldName.length) === oldName
+                ? text.slice(0, edit.index) + newName + text.slice(edit.index + oldName.length)
+                : text), content);
+
+        let fileCount = 0;
+        for (const change of changes) {
+            try {
+                if (!change.filePath || change.filePath === this.activeTab) {
+                    const model = this.editor.getModel();
+                    const content = model.getValue();
+                    this.editor.pushUndoStop();
+                    this.editor.executeEdits('rename', change.edits
+                        .filter(edit => content.substr(edit.index, oldName.length) === oldName)
+                        .map(edit => ({
+                            range: monaco.Range.fromPositions(model.getPositionAt(edit.index), model.getPositionAt(edit.index + oldName.length)),
+                            text: newName
+                        })));
+                    this.editor.pushUndoStop();
+                } else if (this.openTabs.has(change.filePath)) {
+                    const tabData = this.openTabs.get(change.filePath);
+                    tabData.content = replaceAll(tabData.content, change.edits);
+                    tabData.modified = tabData.content !== tabData.originalContent;
+                    const tabElement = document.querySelector(`.editor-tab[data-file-path="${CSS.escape(change.filePath)}"]`);
+                    if (tabElement) tabElement.classList.toggle('modified', tabData.modified);
+                } else {
+                    const result = await window.electronAPI.readFile(change.filePath);
+                    if (!result.success) throw new Error(result.error);
+                    const saved = await window.electronAPI.saveFile({
+                        path: change.filePath,
+                        content: replaceAll(result.content, change.edits)
+                    });
+                    if (!saved.success) throw new Error(saved.error);
+                }
+                fileCount++;
+            } catch (error) {
+                console.error('Rename failed for', change.filePath, error);
+                this.updateStatusMessage(`Rename failed in ${change.label}: ${error.message}`, '#f44336');
+                return;
+            }
+        }
+        this.updateStatusMessage(`Renamed ${oldName} to ${newName} in ${fileCount} ${fileCount === 1 ? 'file' : 'files'}`, '#4ec9b0');
+    }
+
+    setupReferences() {
+        this.editor.addAction({
+            id: 'perl.findAllReferences',
+            label: 'Find All References',
+            keybindings: [monaco.KeyMod.Shift | monaco.KeyCode.F12],
+            precondition: 'editorLangId == perl',
+            contextMenuGroupId: 'navigation',
+            contextMenuOrder: 1.5,
+            run: () => this.findAllReferences()
+        });
+        // The highlight belongs to the editor, so it's re-created with it
+        this.referenceHighlight = this.editor.createDecorationsCollection();
+        this.editor.onDidChangeCursorSelection((e) => {
+            if (e.source !== 'api') this.referenceHighlight.clear();
+        });
+        // Switching tabs replaces the model's text
+        this.editor.onDidChangeModelContent((e) => {
+            if (e.isFlush) this.referenceHighlight.clear();
+        });
+    }
+
+    // What Find All References searches for at the position:
+    // { kind, name, text, find(content) => [{ index, length }] }. Lexicals
+    // only have the current file; `text` prefilters the other files.
+    findReferenceTarget(model, position) {
+        const code = model.getValue();
+        const offset = model.getOffsetAt(position);
+        const line = model.getLineContent(position.lineNumber);
+
+        // Fully qualified package variable: $Foo::Bar::name
+        for (const match of line.matchAll(/([$@%])((?:\w+::)+)(\w+)/g)) {
+            const start = match.index + 1;
+            if (position.column < start || position.column > start + match[0].length) continue;
+            const packageName = match[2].slice(0, -2);
+            const sigil = PerlScopeAnalyzer.getDeclaredSigil(match[1], line[match.index + match[0].length]);
+            return this.createPackageVariableTarget(sigil, match[3], packageName);
+        }
+
+        const { references } = PerlScopeAnalyzer.scan(code);
+        const variable = PerlScopeAnalyzer.findReferenceAt(references, offset);
+        if (variable) {
+            const declarator = variable.declaration && variable.declaration.declarator;
+            if (declarator === 'my' || declarator === 'state') {
+                const occurrences = references.filter(ref => ref.declaration === variable.declaration);
+                return {
+                    kind: 'lexical',
+                    name: variable.declaration.sigil + variable.name,
+                    find: () => occurrences.map(ref => ({ index: ref.nameIndex, length: ref.name.length }))
+                };
+            }
+            const packageName = PerlScopeAnalyzer.findPackageAt(code, variable.index) || 'main';
+            return this.createPackageVariableTarget(variable.sigil, variable.name, packageName);
+        }
+
+        const word = this.getQualifiedWordAt(model, position);
+        if (!word) return null;
+        const before = line.slice(0, word.startColumn - 1);
+        const isPackage = /\bpackage\s+$/.test(before)
+            || this.isModuleReference(model, position.lineNumber, word)
+            || (this.workspaceIndex && this.workspaceIndex.isKnownPackage(word.text));
+        if (isPackage) {
+            return {
+                kind: 'package',
+                name: word.text,
+                text: word.text,
+                find: (content) => PerlScopeAnalyzer.findPackageOccurrences(content, word.text)
+            };
+        }
+
+        const target = this.findRenameTarget(model, position);
+        if (!target || target.kind !== 'sub') return null;
+        return {
+            kind: 'sub',
+            name: target.name,
+            text: target.name,
+            find: (content) => PerlScopeAnalyzer.findSubOccurrences(content, target.name)
+                .map(index => ({ index, length: target.name.length }))
+        };
+    }
+
+    createPackageVariableTarget(sigil, name, packageName) {
+        return {
+            kind: 'variable',
+            name: `${sigil}${packageName}::${name}`,
+            text: name,
+            find: (content) => PerlScopeAnalyzer.findPackageVariableOccurrences(content, sigil, name, packageName)
+        };
+    }
+
+    async findAllReferences() {
+        const model = this.editor && this.editor.getModel();
+        if (!model || typeof PerlScopeAnalyzer === 'undefined') return;
+
+        const target = this.findReferenceTarget(model, this.editor.getPosition());
+        if (!target) {
+            this.updateStatusMessage('No sub, variable or package under the cursor', '#ff9800');
+            return;
+        }
+
+        this.updateStatusMessage(`Finding references to ${target.name}...`, '#007acc');
+        const sources = target.kind === 'lexical'
+            ? [{ filePath: this.getFilePathForModel(model), content: model.getValue() }]
+            : await this.searchWorkspace(model, target.text);
+        this.updateStatusMessage('');
+
+        const results = sources.map(({ filePath, content }) => ({
+            filePath,
+            label: this.getWorkspaceLabel(filePath),
+            matches: target.find(content).map(({ index, length }) => ({ ...this.getLineInfo(content, index), length }))
+        }));
+        // Current file first, the rest by path
+        const currentPath = this.getFilePathForModel(model);
+        results.sort((a, b) => (b.filePath === currentPath) - (a.filePath === currentPath) || a.label.localeCompare(b.label));
+
+        if (!this.referencesPanel) {
+            this.referencesPanel = new ReferencesPanel();
+        }
+        this.referencesPanel.show({
+            name: target.name,
+            results,
+            onOpen: (result, match) => this.openReference(result.filePath, match)
+        });
+    }
+
+    async openReference(filePath, match) {
+        const range = new monaco.Range(match.line, match.column, match.line, match.column + match.length);
+        if (filePath) {
+            await this.revealLocation(filePath, range);
+        } else {
+            this.editor.setSelection(range);
+            this.editor.revealRangeInCenter(range);
+            this.editor.focus();
+        }
+        if (!this.editor || (filePath && this.activeTab !== filePath)) return;
+
+        this.referenceHighlight.set([{
+            range,
+            options: { isWholeLine: true, className: 'reference-highlight-line' }
+        }]);
+    }
+
+    // Parameter hints inside `name(` for builtins and modules (modules.json's
+    // functionSignatures) and for workspace subs
+    setupSignatureHelp() {
+        if (this.signatureHelpProvider || typeof PerlScopeAnalyzer === 'undefined') return;
+
+        this.signatureHelpProvider = monaco.languages.registerSignatureHelpProvider('perl', {
+            signatureHelpTriggerCharacters: ['(', ','],
+            signatureHelpRetriggerCharacters: [','],
+            provideSignatureHelp: (model, position) => this.provideSignatureHelp(model, position)
+        });
+    }
+
+    async provideSignatureHelp(model, position) {
+        const offset = model.getOffsetAt(position);
+        const call = PerlScopeAnalyzer.findCallAt(model.getValue(), offset);
+        if (!call) return null;
+
+        const signatures = await this.findSignatures(model, call, offset);
+        if (signatures.length === 0) return null;
+
+        // Extra arguments stay on a trailing list parameter (LIST, @rest, ...)
+        const fits = (signature) => signature.parameters.length > call.argumentIndex || signature.variadic;
+        signatures.forEach(signature => {
+            signature.activeParameter = signature.variadic
+                ? Math.min(call.argumentIndex, signature.parameters.length - 1)
+                : call.argumentIndex;
+        });
+        return {
+            value: {
+                signatures,
+                activeSignature: Math.max(0, signatures.findIndex(fits)),
+                activeParameter: call.argumentIndex
+            },
+            dispose: () => { }
+        };
+    }
+
+    async findSignatures(model, call, offset) {
+        const code = model.getValue();
+        const known = (this.modules && this.modules.functionSignatures) || {};
+        const qualified = call.name.match(/^(.+)::(\w+)$/);
+        const name = qualified ? qualified[2] : call.name;
+        const fromData = (moduleName, method) => {
+            const entry = known[moduleName] && known[moduleName][name];
+            if (!entry || !!entry.method !== method) return null;
+            const label = method ? `${call.invocant}->${name}` : call.name;
+            return entry.signatures.map(params => this.createSignature(label, params, entry.description));
+        };
+
+        if (call.invocant) {
+            let className = call.invocant;
+            if (call.invocant.startsWith('$')) {
+                className = PerlScopeAnalyzer.inferVariableClass(code, offset, call.invocant);
+            } else if (call.invocant === '__PACKAGE__') {
+                className = PerlScopeAnalyzer.findPackageAt(code, offset);
+            }
+            // An object of unknown class: try the methods of the modules in use
+            const candidates = className ? [className] : this.getImportedModules(code);
+            for (const moduleName of candidates) {
+                const signatures = fromData(moduleName, true);
+                if (signatures) return signatures;
+            }
+            if (!className || !this.workspaceIndex) return [];
+
+            const filePath = this.getFilePathForModel(model);
+            const overlay = { filePath, definitions: this.workspaceIndex.parseFile(filePath, code) };
+            const method = this.workspaceIndex.getClassMethods(className, overlay)
+                .find(({ definition }) => definition.name === name && definition.kind === 'sub');
+            return method ? this.createSubSignatures(model, [method.definition], `${call.invocant}->`) : [];
+        }
+
+        const modules = qualified ? [qualified[1]] : ['CORE', ...this.getImportedModules(code)];
+        const local = qualified ? null : code.match(new RegExp(`^[ \\t]*sub\\s+${name}\\b`, 'm'));
+        if (local && !(known.CORE && known.CORE[name])) {
+            const params = PerlScopeAnalyzer.findSubParameters(code, local.index + local[0].indexOf('sub'));
+            const line = code.slice(0, local.index).split('\n').length;
+            return params ? [this.createSignature(name, params, `Defined on line ${line}`)] : [];
+        }
+        for (const moduleName of modules) {
+            const signatures = fromData(moduleName, false);
+            if (signatures) return signatures;
+        }
+        if (!this.workspaceIndex) return [];
+
+        const definitions = this.workspaceIndex.findDefinitions(call.name)
+            .filter(definition => definition.kind === 'sub' && (!qualified || definition.fullName === call.name));
+        return this.createSubSignatures(model, definitions, '');
+    }
+
+    // One signature per workspace definition whose parameters can be read.
+    // Called as a method, the invocant parameter ($self/$class) is left out.
+    async createSubSignatures(model, definitions, prefix) {
+        const signatures = [];
+        for (const definition of definitions.slice(0, 5)) {
+            const content = await this.getWorkspaceSource(definition.filePath, model);
+            if (content === null) continue;
+
+            const lineStart = content.split('\n').slice(0, definition.line - 1).reduce((total, line) => total + line.length + 1, 0);
+            const subIndex = content.indexOf('sub', lineStart);
+            if (subIndex < 0) continue;
+            let params = PerlScopeAnalyzer.findSubParameters(content, subIndex);
+            if (!params) continue;
+            if (prefix) params = params.slice(1);
+
+            const label = prefix ? `${prefix}${definition.name}` : definition.fullName.replace(/^main::/, '');
+            signatures.push(this.createSignature(label, params, `Defined in ${this.getWorkspaceLabel(definition.filePath)}:${definition.line}`));
+        }
+        return signatures;
+    }
+
+    // Parameter labels are [start, end] offsets into the signature label
+    createSignature(prefix, params, documentation) {
+        let label = `${prefix}(`;
+        const parameters = params.map((param, index) => {
+            if (index > 0) label += ', ';
+            const start = label.length;
+            label += param;
+            return { label: [start, label.length] };
+        });
+        label += ')';
+        const last = params[params.length - 1] || '';
+        return { label, documentation, parameters, variadic: /^[@%]|LIST|\.\.\./.test(last) };
+    }
+
+    // ---- Quick fixes ----
+
+    // Code actions for the perl -c errors parsePerlErrors recognises. Each fix
+    // opens in the edit preview first and is applied as one undoable edit.
+    setupQuickFixes() {
+        if (this.quickFixProviders || typeof PerlScopeAnalyzer === 'undefined') return;
+
+        this.quickFixProviders = [
+            monaco.editor.registerCommand('perl.previewQuickFix', (accessor, fix) => this.previewQuickFix(fix)),
+            monaco.languages.registerCodeActionProvider('perl', {
+                provideCodeActions: (model, range, context) => this.provideQuickFixes(model, range, context)
+            }, { providedCodeActionKinds: ['quickfix'] })
+        ];
+    }
+
+    provideQuickFixes(model, range, context) {
+        const code = model.getValue();
+        const actions = [];
+        const addFix = (marker, fix, isPreferred = false) => {
+            if (!fix) return;
+            actions.push({
+                title: fix.title,
+                kind: 'quickfix',
+                diagnostics: marker ? [marker] : undefined,
+                isPreferred,
+                command: { id: 'perl.previewQuickFix', title: fix.title, arguments: [fix] }
+            });
+        };
+
+        context.markers.forEach(marker => {
+            const globalSymbol = marker.message.match(/^Global symbol "([$@%])(\w+)" requires explicit package name/);
+            if (globalSymbol) {
+                addFix(marker, this.createDeclareFix(code, globalSymbol[1], globalSymbol[2], marker.startLineNumber), true);
+                return;
+            }
+
+            const bareword = marker.message.match(/^Bareword "([\w:]+)" not allowed/);
+            const undefinedSub = marker.message.match(/^Undefined subroutine &main::(\w+)/);
+            if (bareword || undefinedSub) {
+                const name = (bareword || undefinedSub)[1];
+                this.findModulesExporting(name, code).forEach(moduleName => addFix(marker, this.createUseFix(code, moduleName)));
+                if (bareword) addFix(marker, this.createQuoteFix(code, name, marker.startLineNumber), true);
+                return;
+            }
+
+            const missing = marker.message.match(/^Can't locate module: (\S+?)(?:\.pm)?$/);
+            if (missing) {
+                const moduleName = missing[1].replace(/\//g, '::');
+                this.findSimilarModules(moduleName).forEach((known, index) =>
+                    addFix(marker, this.createReplaceModuleFix(code, moduleName, known, marker.startLineNumber), index === 0));
+            }
+        });
+
+        // Offered alongside any diagnostic, and on the first line
+        const hasDiagnostics = context.markers.length > 0;
+        if (hasDiagnostics || range.startLineNumber === 1) {
+            addFix(null, this.createPragmaFix(code));
+        }
+        return { actions, dispose: () => { } };
+    }
+
+    // fix: { title, edits: [{ index, length, text }] } against the current buffer
+    previewQuickFix(fix) {
+        const model = this.editor && this.editor.getModel();
+        if (!model) return;
+        const content = model.getValue();
+        const filePath = this.getFilePathForModel(model);
+
+        if (!this.renamePreview) {
+            this.renamePreview = new RenamePreview();
+        }
+        this.renamePreview.show({
+            title: fix.title,
+            changes: [{
+                filePath,
+                label: this.getWorkspaceLabel(filePath),
+                edits: fix.edits.map(edit => ({
+                    ...this.getLineInfo(content, edit.index),
+                    length: edit.length,
+                    oldText: content.substr(edit.index, edit.length),
+                    newText: edit.text
+                }))
+            }],
+            onApply: (selected) => {
+                // The buffer may have changed while the preview was open
+                if (model.isDisposed() || model.getValue() !== content || selected.length === 0) return;
+                this.editor.pushUndoStop();
+                this.editor.executeEdits('quickfix', selected[0].edits.map(edit => ({
+                    range: monaco.Range.fromPositions(model.getPositionAt(edit.index), model.getPositionAt(edit.index + edit.length)),
+                    text: edit.newText
+                })));
+                this.editor.pushUndoStop();
+                this.editor.focus();
+            }
+        });
+    }
+
+    // `my` before the variable's first plain assignment, or a declaration
+    // on its own line above the first use when it's never assigned
+    createDeclareFix(code, sigil, name, line) {
+        const { literals } = PerlScopeAnalyzer.scan(code);
+        const assignment = new RegExp(`(?<![\\w$@%:>])\\${sigil}${name}\\s*=(?![=~>])`, 'g');
+        for (const match of code.matchAll(assignment)) {
+            if (PerlScopeAnalyzer.isInLiteral(literals, match.index)) continue;
+            if (/\b(?:my|our|local|state)\s*\(?\s*$/.test(code.slice(Math.max(0, match.index - 20), match.index))) continue;
+            const { line: assignedLine } = this.getLineInfo(code, match.index);
+            return {
+                title: `Declare 'my ${sigil}${name}' at its first assignment (line ${assignedLine})`,
+                edits: [{ index: match.index, length: 0, text: 'my ' }]
+            };
+        }
+
+        const lineStart = this.getLineStart(code, line);
+        const indent = code.slice(lineStart).match(/^[ \t]*/)[0];
+        return {
+            title: `Declare 'my ${sigil}${name};' above line ${line}`,
+            edits: [{ index: lineStart, length: 0, text: `${indent}my ${sigil}${name};\n` }]
+        };
+    }
+
+    createQuoteFix(code, word, line) {
+        const lineStart = this.getLineStart(code, line);
+        const lineText = code.slice(lineStart).split('\n')[0];
+        const { literals } = PerlScopeAnalyzer.scan(code);
+        const pattern = new RegExp(`(?<![\\w$@%&:'"])${word.replace(/\W/g, '\\$&')}(?![\\w:'"])`, 'g');
+        const match = Array.from(lineText.matchAll(pattern))
+            .find(found => !PerlScopeAnalyzer.isInLiteral(literals, lineStart + found.index));
+        if (!match) return null;
+        return {
+            title: `Quote bareword '${word}'`,
+            edits: [{ index: lineStart + match.index, length: word.length, text: `'${word}'` }]
+        };
+    }
+
+    createUseFix(code, moduleName) {
+        return {
+            title: `Add 'use ${moduleName};'`,
+            edits: [{ index: this.findUseInsertIndex(code), length: 0, text: `use ${moduleName};\n` }]
+        };
+    }
+
+    createReplaceModuleFix(code, moduleName, replacement, line) {
+        const lineStart = this.getLineStart(code, line);
+        const column = code.slice(lineStart).split('\n')[0].indexOf(moduleName);
+        if (column < 0) return null;
+        return {
+            title: `Change to 'use ${replacement}'`,
+            edits: [{ index: lineStart + column, length: moduleName.length, text: replacement }]
+        };
+    }
+
+    createPragmaFix(code) {
+        const missing = ['strict', 'warnings'].filter(pragma => !new RegExp(`^\\s*use\\s+${pragma}\\b`, 'm').test(code));
+        if (missing.length === 0) return null;
+        const text = missing.map(pragma => `use ${pragma};`).join(' ');
+        return {
+            title: `Add '${text}'`,
+            edits: [{ index: this.findUseInsertIndex(code, true), length: 0, text: missing.map(pragma => `use ${pragma};\n`).join('') }]
+        };
+    }
+
+    // After the last `use` line of the file header, else after the shebang,
+    // leading comments and package line. Pragmas go before the first `use`.
+    findUseInsertIndex(code, beforeUses = false) {
+        let index = 0;
+        let offset = 0;
+        let seenUse = false;
+        for (const line of code.split('\n')) {
+            if (/^\s*sub\b/.test(line)) break;
+            if (/^\s*use\s+[\w:]+/.test(line) && line.trim().endsWith(';')) {
+                if (beforeUses) return index;
+                index = offset + line.length + 1;
+                seenUse = true;
+            } else if (!seenUse && index === offset && /^\s*(?:#|package\s+[\w:]+\s*;|$)/.test(line)) {
+                index = offset + line.length + 1;
+            }
+            offset += line.length + 1;
+        }
+        return Math.min(index, code.length);
+    }
+
+    getLineStart(code, line) {
+        let index = 0;
+        for (let i = 1; i < line && index >= 0; i++) {
+            index = code.indexOf('\n', index) + 1;
+            if (index === 0) return code.length;
+        }
+        return index;
+    }
+
+    // Known modules (modules.json) with a function of this name that the
+    // buffer doesn't `use` yet
+    findModulesExporting(name, code) {
+        const imported = this.getImportedModules(code);
+        const known = this.modules || {};
+        const modules = new Set();
+        Object.entries(known.functionSignatures || {}).forEach(([moduleName, functions]) => {
+            if (moduleName !== 'CORE' && functions[name] && !functions[name].method) modules.add(moduleName);
+        });
+        Object.entries(known.moduleFunctions || {}).forEach(([moduleName, functions]) => {
+            if (functions.includes(name) && name !== 'new') modules.add(moduleName);
+        });
+        return Array.from(modules).filter(moduleName => !imported.includes(moduleName)).slice(0, 3);
+    }
+
+    // Known module names within two edits of a name that can't be found
+    findSimilarModules(moduleName) {
+        const distance = (a, b) => {
+            const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+            for (let i = 1; i <= a.length; i++) {
+                let previous = row[0];
+                row[0] = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const current = row[j];
+                    row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+                    previous = current;
+                }
+            }
+            return row[b.length];
+        };
+        const target = moduleName.toLowerCase();
+        return this.getAvailableModules()
+            .filter(known => known !== moduleName)
+            .map(known => ({ known, score: distance(known.toLowerCase(), target) }))
+            .filter(({ score }) => score <= 2)
+            .sort((a, b) => a.score - b.score)
+            .slice(0, 3)
+            .map(({ known }) => known);
+    }
+
+    setupPerlCritic() {
+        this.editor.addAction({
+            id: 'perl.setPerlCriticSeverity',
+            label: 'Perl::Critic: Set Severity...',
+            run: () => this.showPerlCriticSeverityPicker()
+        });
+    }
+
+    // Definitions in other files open in a tab instead of an embedded editor
+    setupEditorOpener() {
+        if (this.editorOpener || !monaco.editor.registerEditorOpener) return;
+
+        this.editorOpener = monaco.editor.registerEditorOpener({
+            openCodeEditor: async (source, resource, selectionOrPosition) => {
+                if (resource.scheme !== 'file') return false;
+
+                // Files outside the workspace (installed modules) are peeked first;
+                // asking for the same file again opens it in a tab
+                const peekAction = source.getAction('editor.action.peekDefinition');
+                if (!this.isInWorkspace(resource.fsPath) && peekAction && this.lastPeekedResource !== resource.toString()) {
+                    this.lastPeekedResource = resource.toString();
+                    await peekAction.run();
+                    return true;
+                }
+                this.lastPeekedResource = null;
+
+                const position = selectionOrPosition || { lineNumber: 1, column: 1 };
+                const range = position.startLineNumber ? position : {
+                    startLineNumber: position.lineNumber,
+                    startColumn: position.column,
+                    endLineNumber: position.lineNumber,
+                    endColumn: position.column
+                };
+                await this.revealLocation(resource.fsPath, range);
+                return true;
+            }
+        });
+    }
+
+    async providePerlDefinition(model, position) {
+        const word = this.getQualifiedWordAt(model, position);
+        if (!word) return null;
+
+        if (this.isModuleReference(model, position.lineNumber, word)) {
+            const location = await this.provideModuleDefinition(word.text);
+            if (location) return [location];
+        }
+        if (!this.workspaceIndex) return null;
+
+        const locations = [];
+        for (const definition of this.workspaceIndex.findDefinitions(word.text)) {
+            const uri = await this.getFileModelUri(definition.filePath);
+            if (uri) locations.push({ uri, range: this.getDefinitionRange(definition) });
+        }
+        return locations;
+    }
+
+    // Name under the cursor including package separators (Foo::Bar::baz).
+    // Variables are left to the language server.
+    getQualifiedWordAt(model, position) {
+        const line = model.getLineContent(position.lineNumber);
+        const pattern = /[A-Za-z_]\w*(?:::\w+)*/g;
+        let match;
+        while ((match = pattern.exec(line))) {
+            const startColumn = match.index + 1;
+            const endColumn = startColumn + match[0].length;
+            if (position.column >= startColumn && position.column <= endColumn) {
+                if (/[$@%]$/.test(line.slice(0, match.index))) return null;
+                return { text: match[0], startColumn, endColumn };
+            }
+        }
+        return null;
+    }
+
+    // `use Foo::Bar`, `require Foo::Bar`, `use parent 'Foo::Bar'`, `extends 'Foo::Bar'`, `Foo::Bar->new`
+    isModuleReference(model, lineNumber, word) {
+        const line = model.getLineContent(lineNumber);
+        const before = line.slice(0, word.startColumn - 1);
+        const after = line.slice(word.endColumn - 1);
+
+        return /\b(?:use|no|require)\s+$/.test(before)
+            || /^\s*->/.test(after)
+            || /^\s*(?:use\s+(?:parent|base)|extends|with)\b/.test(line);
+    }
+
+    // Resolve a module through the workspace lib/ folders and perl's @INC
+    async provideModuleDefinition(moduleName) {
+        const result = await window.electronAPI.resolvePerlModule(moduleName, this.getWorkspaceRoot());
+        if (!result.success) {
+            console.log(`Module ${moduleName} not resolved:`, result.error);
+            return null;
+        }
+
+        const uri = await this.getFileModelUri(result.filePath);
+        if (!uri) return null;
+
+        // Point at the package statement when the module has one
+        const targetModel = monaco.editor.getModel(uri);
+        const escapedName = moduleName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const matches = targetModel
+            ? targetModel.findMatches(`^\\s*package\\s+${escapedName}\\b`, false, true, true, null, false)
+            : [];
+        if (matches.length === 0) {
+            return { uri, range: { startLineNumber: 1, startColumn: 1, endLineNumber: 1, endColumn: 1 } };
+        }
+
+        const { range } = matches[0];
+        return {
+            uri,
+            range: {
+                startLineNumber: range.startLineNumber,
+                startColumn: range.endColumn - moduleName.length,
+                endLineNumber: range.startLineNumber,
+                endColumn: range.endColumn
+            }
+        };
+    }
+
+    // `$obj->` and `Some::Class->`: methods and accessors of the inferred
+    // class and its ancestors, own methods first
+    provideMethodCompletions(model, position) {
+        const textBeforeCursor = model.getLineContent(position.lineNumber).substring(0, position.column - 1);
+        const invocation = textBeforeCursor.match(/(\$\w+|[A-Za-z_]\w*(?:::\w+)*)\s*->\s*(\w*)$/);
+        if (!invocation || typeof PerlScopeAnalyzer === 'undefined') return { suggestions: [] };
+
+        const [, invocant, typedName] = invocation;
+        const code = model.getValue();
+        const offset = model.getOffsetAt(position);
+        let className = invocant;
+        if (invocant.startsWith('$')) {
+            className = PerlScopeAnalyzer.inferVariableClass(code, offset, invocant);
+        } else if (invocant === '__PACKAGE__') {
+            className = PerlScopeAnalyzer.findPackageAt(code, offset);
+        }
+        if (!className) return { suggestions: [] };
+
+        // The buffer being edited stands in for its saved copy in the index
+        const filePath = this.getFilePathForModel(model);
+        const overlay = { filePath, definitions: this.workspaceIndex.parseFile(filePath, code) };
+        const range = {
+            startLineNumber: position.lineNumber,
+            startColumn: position.column - typedName.length,
+            endLineNumber: position.lineNumber,
+            endColumn: position.column
+        };
+
+        const suggestions = this.workspaceIndex.getClassMethods(className, overlay)
+            .map(({ definition, className: owner }, index) => ({
+                label: definition.name,
+                kind: definition.kind === 'attribute'
+                    ? monaco.languages.CompletionItemKind.Property
+                    : monaco.languages.CompletionItemKind.Method,
+                insertText: definition.name,
+                detail: owner === className ? owner : `${owner} (inherited)`,
+                documentation: definition.kind === 'attribute' ? `Accessor for the '${definition.name}' attribute` : undefined,
+                // Private (_name) methods after public ones
+                sortText: (definition.name.startsWith('_') ? '1' : '0') + String(index).padStart(4, '0'),
+                range
+            }));
+        return { suggestions };
+    }
+
+    getFilePathForModel(model) {
+        if (this.editor && model === this.editor.getModel()) return this.activeTab;
+        return model.uri.scheme === 'file' ? model.uri.fsPath : null;
+    }
+
+    getDefinitionRange(definition) {
+        return {
+            startLineNumber: definition.line,
+            startColumn: definition.column,
+            endLineNumber: definition.line,
+            endColumn: definition.column + definition.name.length
+        };
+    }
+
+    getSymbolPicker() {
+        if (!this.symbolPicker) {
+            this.symbolPicker = new SymbolPicker();
+        }
+        return this.symbolPicker;
+    }
+
+    showWorkspaceSymbolPicker() {
+        if (!this.workspaceIndex) return;
+
+        const rootPath = this.workspaceIndex.rootPath || '';
+        this.getSymbolPicker().show({
+            placeholder: 'Go to symbol in workspace',
+            getItems: (query) => this.workspaceIndex.search(query).map(definition => {
+                const relativePath = this.isInFolder(definition.filePath, rootPath)
+                    ? definition.filePath.slice(rootPath.length + 1)
+                    : definition.filePath;
+                return {
+                    label: definition.name,
+                    kind: definition.kind,
+                    description: definition.container,
+                    detail: `${relativePath}:${definition.line}`,
+                    definition
+                };
+            }),
+            onSelect: ({ definition }) => this.revealLocation(definition.filePath, this.getDefinitionRange(definition))
+        });
+    }
+
+    setupDocumentationHover() {
+        if (this.documentationHoverProvider || typeof PodMarkdown === 'undefined') return;
+
+        this.documentationHoverProvider = monaco.languages.registerHoverProvider('perl', {
+            provideHover: (model, position) => this.provideDocumentationHover(model, position)
+        });
+    }
+
+    async provideDocumentationHover(model, position) {
+        const word = this.getQualifiedWordAt(model, position);
+        if (!word) return null;
+
+        const line = model.getLineContent(position.lineNumber);
+        const before = line.slice(0, word.startColumn - 1);
+        let kind = null;
+        if (this.isModuleReference(model, position.lineNumber, word)) {
+            kind = 'module';
+        } else if (!/(?:->|\bsub\s+)$/.test(before) && this.getBuiltinFunctions().includes(word.text)) {
+            // `$obj->print` and `sub print` aren't the builtin
+            kind = 'function';
+        }
+        if (!kind) return null;
+
+        const result = await window.electronAPI.getPerlDoc(word.text, kind);
+        if (!result.success) return null;
+
+        // Whole module POD is too long for a hover; keep the overview
+        const pod = kind === 'module'
+            ? PodMarkdown.extractSections(result.pod, ['NAME', 'SYNOPSIS', 'DESCRIPTION']) || result.pod
+            : result.pod;
+        const markdown = PodMarkdown.convert(pod, { headingOffset: 2 });
+        if (!markdown) return null;
+
+        return {
+            range: new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn),
+            contents: [{ value: markdown }]
+        };
+    }
+
     setupEventListeners() {
+        // Point the language server, the symbol index and the module catalogue at a newly opened folder
+        document.addEventListener('workspace-changed', (e) => {
+            if (this.languageClient) {
+                this.languageClient.restart(e.detail.path);
+            }
+            if (this.workspaceIndex) {
+                this.workspaceIndex.build(e.detail.path);
+            }
+            // @INC now includes the new workspace's lib/ and local/
+            this.loadModuleCatalogue();
+        });
+
         // Save shortcut (Ctrl+S and Ctrl+Shift+S)
         document.addEventListener('keydown', (e) => {
             // Use code instead of key for more reliable detection
@@ -1850,16 +3274,26 @@ print "Hello, World!";
 
     // Perl syntax checking function
     async checkPerlSyntax(code) {
+        const checkId = this.syntaxCheckId = (this.syntaxCheckId || 0) + 1;
         try {
             // Show loading indicator
             this.updateStatusMessage('Checking syntax...', '#007acc');
 
-            // Call the backend to check Perl syntax via IPC
-            const result = await window.electronAPI.checkPerlSyntax(code);
-            console.log('Perl syntax check result:', result);
+            // Perl::Critic runs alongside perl -c
+            const model = this.editor.getModel();
+            const criticPromise = this.runPerlCritic(code, model.getVersionId());
+
+            // Call the backend to check Perl syntax via IPC, compiled as the tab's own file.
+            // Main coalesces checks per file; a result for an older version of the
+            // buffer (edited since, or another tab loaded into the model) is dropped
+            const result = await window.electronAPI.checkPerlSyntax(code, this.activeTab, model.getVersionId());
+            if (result.superseded || model.isDisposed() || result.version !== model.getVersionId()) {
+                // Leave the indicator to a newer check, if there is one
+                if (checkId === this.syntaxCheckId) this.updateStatusMessage('');
+                return;
+            }
 
             // Clear previous markers
-            const model = this.editor.getModel();
             monaco.editor.setModelMarkers(model, 'perl', []);
 
             // Initialize counters
@@ -1875,31 +3309,15 @@ print "Hello, World!";
                     result.output.includes('Possible precedence problem');
 
                 if (hasWarnings) {
-                    console.log('⚠️ Syntax OK but with warnings');
                     // Parse warnings from output
-                    const warnings = this.parseWarningsFromOutput(result.output, code);
+                    const warnings = this.parseWarningsFromOutput(result.output, result.fileName);
                     warningCount = warnings.length;
-                    const markers = warnings.map(warning => ({
-                        severity: monaco.MarkerSeverity.Warning,
-                        message: warning.message,
-                        startLineNumber: warning.line,
-                        endLineNumber: warning.line,
-                        startColumn: 1,
-                        endColumn: 100
-                    }));
+                    const markers = warnings.map(warning => this.createSyntaxMarker(model, code, warning, monaco.MarkerSeverity.Warning));
                     monaco.editor.setModelMarkers(model, 'perl', markers);
-                } else {
-                    console.log('✅ Syntax OK:', result.message);
                 }
             } else {
-                console.log('❌ Perl syntax errors/warnings:');
                 const markers = [];
                 result.errors.forEach(error => {
-                    console.log(`Line ${error.line}: ${error.message} (${error.severity})`);
-                    if (error.near) {
-                        console.log(`  Near: "${error.near}"`);
-                    }
-
                     // Count errors and warnings
                     if (error.severity === 'error') {
                         errorCount++;
@@ -1908,18 +3326,19 @@ print "Hello, World!";
                     }
 
                     // Create marker for this error
-                    markers.push({
-                        severity: error.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
-                        message: error.message,
-                        startLineNumber: error.line,
-                        endLineNumber: error.line,
-                        startColumn: 1,
-                        endColumn: 100
-                    });
+                    markers.push(this.createSyntaxMarker(model, code, error,
+                        error.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning));
                 });
                 monaco.editor.setModelMarkers(model, 'perl', markers);
             }
 
+            // Checked again: perlcritic may finish after the buffer, or the tab, changed
+            const critic = await criticPromise;
+            if (critic && !model.isDisposed() && critic.version === model.getVersionId()) {
+                monaco.editor.setModelMarkers(model, 'perlcritic', critic.violations.map(violation => this.toPerlCriticMarker(violation)));
+                warningCount += critic.violations.length;
+            }
+
             // Update error and warning counters in status bar
             this.updateErrorWarningCounts(errorCount, warningCount);
 
@@ -1931,12 +3350,105 @@ print "Hello, World!";
         }
     }
 
+    // Marker for a perl -c error or warning, narrowed by PerlDiagnostics to the
+    // offending text, with related locations such as where a string started
+    createSyntaxMarker(model, code, diagnostic, severity) {
+        const { related, ...range } = PerlDiagnostics.locate(code, diagnostic);
+        return {
+            severity,
+            message: diagnostic.message,
+            ...range,
+            relatedInformation: related.map(({ message, filePath, ...location }) => ({
+                resource: filePath ? monaco.Uri.file(filePath) : model.uri,
+                message,
+                ...location
+            }))
+        };
+    }
+
+    // ---- Perl::Critic ----
+
+    // Stored in localStorage: 'off', '' (use .perlcriticrc / perlcritic's default) or 1-5
+    getPerlCriticSeverity() {
+        return localStorage.getItem('perlCriticSeverity') || '';
+    }
+
+    // Resolves to { violations, version } for the model version given, or null
+    // when a newer run replaced this one
+    async runPerlCritic(code, version) {
+        const severity = this.getPerlCriticSeverity();
+        if (severity === 'off') return { violations: [], version };
+
+        const result = await window.electronAPI.runPerlCritic(code, {
+            filePath: this.activeTab,
+            rootPath: this.getWorkspaceRoot(),
+            severity: severity ? Number(severity) : null
+        }, version);
+        if (result.superseded) return null;
+        if (!result.success) {
+            // Usually perlcritic isn't installed; say so once rather than on every keystroke
+            if (result.error !== this.lastPerlCriticError) {
+                console.warn('Perl::Critic unavailable:', result.error);
+                this.lastPerlCriticError = result.error;
+            }
+            return { violations: [], version };
+        }
+        this.lastPerlCriticError = null;
+        return { violations: result.violations, version: result.version };
+    }
+
+    toPerlCriticMarker(violation) {
+        return {
+            severity: monaco.MarkerSeverity.Warning,
+            message: violation.explanation ? `${violation.message}\n${violation.explanation}` : violation.message,
+            source: `Perl::Critic (severity ${violation.severity})`,
+            code: {
+                value: violation.policy,
+                target: monaco.Uri.parse(`https://metacpan.org/pod/Perl::Critic::Policy::${violation.policy}`)
+            },
+            startLineNumber: violation.line,
+            endLineNumber: violation.line,
+            startColumn: violation.column,
+            endColumn: violation.column + 1
+        };
+    }
+
+    showPerlCriticSeverityPicker() {
+        const levels = [
+            { value: '', label: 'Use .perlcriticrc', description: 'or perlcritic\'s default (gentle)' },
+            { value: '5', label: '5 - gentle' },
+            { value: '4', label: '4 - stern' },
+            { value: '3', label: '3 - harsh' },
+            { value: '2', label: '2 - cruel' },
+            { value: '1', label: '1 - brutal' },
+            { value: 'off', label: 'Off', description: 'only run perl -c' }
+        ];
+        const current = this.getPerlCriticSeverity();
+
+        this.getSymbolPicker().show({
+            placeholder: 'Perl::Critic severity',
+            getItems: (query) => levels
+                .filter(level => level.label.toLowerCase().includes(query.trim().toLowerCase()))
+                .map(level => ({ ...level, kind: 'setting', detail: level.value === current ? 'current' : '' })),
+            onSelect: ({ value }) => {
+                localStorage.setItem('perlCriticSeverity', value);
+                if (this.activeTab && this.isPerlFile(this.activeTab)) {
+                    this.checkPerlSyntax(this.editor.getValue());
+                }
+            }
+        });
+    }
+
     // Parse warnings from Perl output
-    parseWarningsFromOutput(output, code) {
+    // Only warnings about the checked file (named `fileName`); modules it loads can warn too
+    parseWarningsFromOutput(output, fileName) {
         const warnings = [];
         const lines = output.split('\n');
 
         lines.forEach(line => {
+            const location = line.match(/ at (.+?) line \d+/);
+            if (location && location[1] !== fileName) return;
+
             // Match warning patterns
             if (line.includes('Unquoted string') ||
                 line.includes('Name "main::') ||
@@ -1947,21 +3459,15 @@ print "Hello, World!";
                 // Try to extract line number from the warning
                 const lineMatch = line.match(/line (\d+)/);
                 if (lineMatch) {
+                    // Line numbers are the file's own: the check uses a #line directive
                     const lineNum = parseInt(lineMatch[1]);
-                    
-                    // Check if original code already has any form of warnings directive
-                    const hasWarningsDirective = /use\s+warnings?\s*;/i.test(code);
-                    const lineOffset = hasWarningsDirective ? 0 : 1;
-                    
-                    // Adjust the line number based on whether warnings were added
-                    const adjustedLine = lineNum - lineOffset;
 
                     warnings.push({
-                        line: Math.max(1, adjustedLine),
+                        line: Math.max(1, lineNum),
                         message: line.trim()
                     });
 
-                    console.log(`Warning at line ${adjustedLine}: ${line.trim()}`);
+                    console.log(`Warning at line ${lineNum}: ${line.trim()}`);
                 }
             }
         });
@@ -2090,6 +3596,41 @@ print "Hello, World!";
         }
     }
 
+    // Status bar indicator for Restricted Mode (workspace-trust.js); clicking
+    // it asks main to trust or restrict the open folder
+    setupWorkspaceTrust() {
+        this.workspaceTrusted = true;
+        const indicator = document.querySelector('.workspace-trust');
+        if (!indicator || !window.electronAPI.getWorkspaceTrust) return;
+
+        indicator.addEventListener('click', async () => {
+            const result = await window.electronAPI.promptWorkspaceTrust();
+            if (!result.success) {
+                this.updateStatusMessage(result.error, '#f44336');
+            }
+        });
+        window.electronAPI.onPerlEnvironmentChanged((event, state) => this.updateWorkspaceTrust(state));
+        window.electronAPI.getWorkspaceTrust().then(state => this.updateWorkspaceTrust(state));
+    }
+
+    updateWorkspaceTrust({ rootPath, trusted }) {
+        const indicator = document.querySelector('.workspace-trust');
+        indicator.hidden = !rootPath;
+        indicator.classList.toggle('restricted', !trusted);
+        indicator.textContent = trusted ? '🛡️ Trusted' : '🛡️ Restricted Mode';
+        indicator.title = trusted
+            ? `${rootPath} is trusted: syntax checks run its BEGIN blocks and imports with its Perl settings. Click to restrict it.`
+            : `${rootPath} is not trusted: syntax checks run in a sandbox without BEGIN blocks, computed imports or ` +
+              'the folder\'s Perl settings, so some errors may be missed or reported wrongly. Click to trust it.';
+
+        // Results from the other mode are stale
+        const changed = trusted !== this.workspaceTrusted;
+        this.workspaceTrusted = trusted;
+        if (changed && this.editor && this.activeTab && this.isPerlFile(this.activeTab)) {
+            this.checkPerlSyntax(this.editor.getValue());
+        }
+    }
+
     // Update status message
     updateStatusMessage(message, color = '#cccccc') {
         const statusElement = document.querySelector('.status-message') ||
@@ -2108,6 +3649,48 @@ print "Hello, World!";
             this.editor.dispose();
         }
         this.completionProviders.forEach(provider => provider.dispose());
+        if (this.languageClient) {
+            this.languageClient.dispose();
+        }
+        if (this.outline) {
+            this.outline.dispose();
+        }
+        if (this.podPreview) {
+            this.podPreview.dispose();
+        }
+        if (this.debugSession) {
+            this.debugSession.dispose();
+        }
+        if (this.testExplorer) {
+            this.testExplorer.dispose();
+        }
+        if (this.coverage) {
+            this.coverage.dispose();
+        }
+        if (this.workspaceDefinitionProvider) {
+            this.workspaceDefinitionProvider.dispose();
+        }
+        if (this.methodCompletionProvider) {
+            this.methodCompletionProvider.dispose();
+        }
+        if (this.editorOpener) {
+            this.editorOpener.dispose();
+        }
+        if (this.documentationHoverProvider) {
+            this.documentationHoverProvider.dispose();
+        }
+        if (this.formattingProviders) {
+            this.formattingProviders.forEach(provider => provider.dispose());
+        }
+        if (this.renameProvider) {
+            this.renameProvider.dispose();
+        }
+        if (this.signatureHelpProvider) {
+            this.signatureHelpProvider.dispose();
+        }
+        if (this.quickFixProviders) {
+            this.quickFixProviders.forEach(provider => provider.dispose());
+        }
 
         // Clean up resize observer
         if (this.resizeObserver) {
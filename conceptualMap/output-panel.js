@@ -0,0 +1,286 @@
+// The Output tab of the bottom panel: named channels of streamed text, one
+// shown at a time. ANSI colour (SGR) sequences are rendered, other escape
+// sequences dropped, and perl's "at FILE line N" locations become links.
+const OUTPUT_MAX_LINES = 10000; // per channel; the oldest lines go first
+const ANSI_PALETTE = [
+    '#000000', '#cd3131', '#0dbc79', '#e5e510', '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+    '#666666', '#f14c4c', '#23d18b', '#f5f543', '#3b8eea', '#d670d6', '#29b8db', '#ffffff'
+];
+const ANSI_SEQUENCE = /\x1b(?:\[([0-9;?]*)([A-Za-z])|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+const PERL_LOCATION = /\bat ((?:(?! at )\S)(?:(?! at ).)*?) line (\d+)\b/g;
+
+class OutputPanel {
+    // options: { onOpenLocation(filePath, line) }
+    constructor(options = {}) {
+        this.onOpenLocation = options.onOpenLocation || (() => { });
+        this.select = document.getElementById('output-channel');
+        this.content = document.getElementById('output-content');
+        this.channels = new Map(); // name -> { lines, style, pending, cwd }
+        this.current = null;
+
+        if (this.select) {
+            this.select.addEventListener('change', () => this.showChannel(this.select.value));
+        }
+        const clearButton = document.getElementById('output-clear');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.current && this.clear(this.current));
+        }
+        if (this.content) {
+            this.content.addEventListener('click', (event) => {
+                const link = event.target.closest('.output-link');
+                if (link) this.onOpenLocation(link.dataset.file, Number(link.dataset.line));
+            });
+        }
+    }
+
+    getChannel(name) {
+        if (!this.channels.has(name)) {
+            this.channels.set(name, { lines: [this.newLine()], style: {}, pending: '', cwd: null });
+            if (this.select) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                this.select.appendChild(option);
+            }
+            if (!this.current) this.showChannel(name);
+        }
+        return this.channels.get(name);
+    }
+
+    // Bring the channel up in the bottom panel
+    show(name) {
+        this.showChannel(name);
+        if (typeof window.showBottomPanelTab === 'function') {
+            window.showBottomPanelTab('output');
+        }
+    }
+
+    showChannel(name) {
+        this.getChannel(name);
+        this.current = name;
+        if (this.select) this.select.value = name;
+        if (!this.content) return;
+        this.content.innerHTML = '';
+        this.channels.get(name).lines.forEach(line => {
+            line.element = null;
+            this.renderLine(name, line);
+        });
+        this.scrollToEnd();
+    }
+
+    // Relative file names in locations are resolved against cwd
+    setDirectory(name, cwd) {
+        this.getChannel(name).cwd = cwd;
+    }
+
+    clear(name) {
+        const channel = this.getChannel(name);
+        channel.lines = [this.newLine()];
+        channel.style = {};
+        channel.pending = '';
+        if (name === this.current) this.showChannel(name);
+    }
+
+    // className: 'stderr' for error output, 'info' for the channel's own notes;
+    // text may stop anywhere, even inside an escape sequence
+    append(name, text, className) {
+        const channel = this.getChannel(name);
+        let input = channel.pending + text;
+        channel.pending = '';
+        // An escape sequence cut off by the end of the chunk waits for the next one
+        const partial = input.match(/\x1b(?:\[[0-9;?]*|\][^\x07\x1b]*)?$/);
+        if (partial) {
+            channel.pending = partial[0];
+            input = input.slice(0, partial.index);
+        }
+
+        const touched = new Set([channel.lines[channel.lines.length - 1]]);
+        let position = 0;
+        const addText = (chunk) => {
+            chunk.split(/(\r\n|\n|\r)/).forEach(part => {
+                const line = channel.lines[channel.lines.length - 1];
+                if (part === '\n' || part === '\r\n') {
+                    channel.lines.push(this.newLine());
+                    touched.add(channel.lines[channel.lines.length - 1]);
+                } else if (part === '\r') {
+                    line.segments = []; // a progress line rewriting itself
+                } else if (part) {
+                    line.segments.push({ text: part, style: { ...channel.style }, className });
+                }
+            });
+        };
+
+        ANSI_SEQUENCE.lastIndex = 0;
+        let match;
+        while ((match = ANSI_SEQUENCE.exec(input))) {
+            addText(input.slice(position, match.index));
+            if (match[2] === 'm') channel.style = this.applySgr(channel.style, match[1]);
+            position = ANSI_SEQUENCE.lastIndex;
+        }
+        addText(input.slice(position));
+
+        const dropped = channel.lines.splice(0, Math.max(0, channel.lines.length - OUTPUT_MAX_LINES));
+        if (name !== this.current || !this.content) return;
+        dropped.forEach(line => line.element && line.element.remove());
+        const atEnd = this.content.scrollTop + this.content.clientHeight >= this.content.scrollHeight - 4;
+        touched.forEach(line => {
+            if (channel.lines.includes(line)) this.renderLine(name, line);
+        });
+        if (atEnd) this.scrollToEnd();
+    }
+
+    // A whole line of the channel's own, such as a run's header
+    appendLine(name, text, className = 'info') {
+        const channel = this.getChannel(name);
+        const last = channel.lines[channel.lines.length - 1];
+        const prefix = last.segments.length > 0 ? '\n' : '';
+        channel.style = {};
+        this.append(name, prefix + text + '\n', className);
+    }
+
+    newLine() {
+        return { segments: [], element: null };
+    }
+
+    scrollToEnd() {
+        if (this.content) this.content.scrollTop = this.content.scrollHeight;
+    }
+
+    // ---- Rendering ----
+
+    renderLine(name, line) {
+        if (!line.element) {
+            line.element = document.createElement('div');
+            line.element.className = 'output-line';
+            this.content.appendChild(line.element);
+        }
+        line.element.innerHTML = '';
+
+        const links = this.findLocations(line.segments.map(segment => segment.text).join(''), this.channels.get(name).cwd);
+        let offset = 0;
+        line.segments.forEach(segment => {
+            let position = 0;
+            while (position < segment.text.length) {
+                const index = offset + position;
+                const link = links.find(candidate => candidate.start <= index && index < candidate.end);
+                const next = links.find(candidate => candidate.start > index);
+                const end = link ? link.end : next ? next.start : Infinity;
+                const piece = segment.text.slice(position, Math.min(segment.text.length, end - offset));
+
+                const span = document.createElement('span');
+                span.textContent = piece;
+                this.styleSpan(span, segment);
+                if (link) {
+                    span.classList.add('output-link');
+                    span.dataset.file = link.filePath;
+                    span.dataset.line = link.line;
+                    span.title = 'Open ' + link.filePath;
+                }
+                line.element.appendChild(span);
+                position += piece.length;
+            }
+            offset += segment.text.length;
+        });
+    }
+
+    // "FILE line N" spans of perl's die and warn messages; string evals have no file
+    findLocations(text, cwd) {
+        return Array.from(text.matchAll(PERL_LOCATION))
+            .filter(match => !match[1].startsWith('('))
+            .map(match => {
+                const start = match.index + 3;
+                return { start, end: match.index + match[0].length, filePath: this.resolvePath(match[1], cwd), line: match[2] };
+            });
+    }
+
+    resolvePath(filePath, cwd) {
+        if (!cwd || /^(?:[A-Za-z]:)?[\\/]/.test(filePath)) return filePath;
+        const separator = cwd.includes('\\') && !cwd.includes('/') ? '\\' : '/';
+        return cwd.replace(/[\\/]+$/, '') + separator + filePath.replace(/^\.[\\/]/, '');
+    }
+
+    styleSpan(span, segment) {
+        const { style } = segment;
+        if (segment.className) span.className = `output-${segment.className}`;
+        let foreground = style.foreground;
+        let background = style.background;
+        if (style.inverse) [foreground, background] = [background || '#1e1e1e', foreground || '#cccccc'];
+        if (foreground) span.style.color = foreground;
+        if (background) span.style.backgroundColor = background;
+        if (style.bold) span.style.fontWeight = 'bold';
+        if (style.dim) span.style.opacity = '0.7';
+        if (style.italic) span.style.fontStyle = 'italic';
+        if (style.underline) span.style.textDecoration = 'underline';
+    }
+
+    // ---- ANSI ----
+
+    // Select Graphic Rendition: ESC [ params m
+    applySgr(current, params) {
+        const style = { ...current };
+        const codes = (params || '0').split(';').map(code => Number(code) || 0);
+        for (let i = 0; i < codes.length; i++) {
+            const code = codes[i];
+            if (code === 0) {
+                Object.keys(style).forEach(key => delete style[key]);
+            } else if (code === 1) {
+                style.bold = true;
+            } else if (code === 2) {
+                style.dim = true;
+            } else if (code === 3) {
+                style.italic = true;
+            } else if (code === 4) {
+                style.underline = true;
+            } else if (code === 7) {
+                style.inverse = true;
+            } else if (code === 22) {
+                style.bold = style.dim = false;
+            } else if (code === 23) {
+                style.italic = false;
+            } else if (code === 24) {
+                style.underline = false;
+            } else if (code === 27) {
+                style.inverse = false;
+            } else if (code >= 30 && code <= 37) {
+                style.foreground = ANSI_PALETTE[code - 30];
+            } else if (code >= 90 && code <= 97) {
+                style.foreground = ANSI_PALETTE[code - 90 + 8];
+            } else if (code === 39) {
+                delete style.foreground;
+            } else if (code >= 40 && code <= 47) {
+                style.background = ANSI_PALETTE[code - 40];
+            } else if (code >= 100 && code <= 107) {
+                style.background = ANSI_PALETTE[code - 100 + 8];
+            } else if (code === 49) {
+                delete style.background;
+            } else if (code === 38 || code === 48) {
+                // 38;5;N (256 colours) or 38;2;R;G;B
+                const key = code === 38 ? 'foreground' : 'background';
+                if (codes[i + 1] === 5) {
+                    style[key] = this.getIndexedColor(codes[i + 2]);
+                    i += 2;
+                } else if (codes[i + 1] === 2) {
+                    style[key] = `rgb(${codes[i + 2]}, ${codes[i + 3]}, ${codes[i + 4]})`;
+                    i += 4;
+                }
+            }
+        }
+        return style;
+    }
+
+    // The xterm 256-colour palette
+    getIndexedColor(index) {
+        if (index < 16) return ANSI_PALETTE[index];
+        if (index >= 232) {
+            const level = 8 + (index - 232) * 10;
+            return `rgb(${level}, ${level}, ${level})`;
+        }
+        const cube = index - 16;
+        const level = (value) => (value === 0 ? 0 : 55 + value * 40);
+        return `rgb(${level(Math.floor(cube / 36))}, ${level(Math.floor(cube / 6) % 6)}, ${level(cube % 6)})`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutputPanel;
+}
@@ -0,0 +1,73 @@
+# Coverage reader for PerlCoverage (perl-coverage.js). Merges the runs of a
+# Devel::Cover database the way `cover` does and prints, as one JSON object,
+# what the editor overlay needs of each file it covers:
+#   { "files": [{
+#       "name": "lib/Foo.pm",
+#       "statements": { "12": [3], "13": [0, 0] },
+#       "branches": { "14": [{ "text": "if ($x)", "outcomes": [3, 0] }] },
+#       "summary": { "statement": { "covered": 10, "total": 12, "percentage": 83.3 }, "branch": ..., "total": ... }
+#   }] }
+# Execution counts are per statement or branch outcome, in source order on
+# their line; uncoverable ones are left out. File names are as Devel::Cover
+# recorded them, relative to the directory the tests ran in.
+#
+# Usage: perl perl-coverage-report.pl cover_db
+use strict;
+use warnings;
+
+use Devel::Cover::DB;
+use JSON::PP;
+
+my $CRITERIA = [qw(statement branch condition subroutine)];
+
+my $path = shift or die "Usage: $0 cover_db\n";
+die "No coverage database at $path\n" unless -d $path;
+
+my $db = Devel::Cover::DB->new(db => $path);
+$db = $db->merge_runs;
+$db->calculate_summary(map { $_ => 1 } @$CRITERIA);
+
+my $cover = $db->cover;
+my @files;
+for my $name (sort $cover->items) {
+    next if $name =~ /^\(eval \d+\)/;
+    my $file = $cover->file($name);
+
+    my %statements;
+    if (my $criterion = $file->statement) {
+        for my $line ($criterion->items) {
+            my @counts = map { $_->covered + 0 } grep { !$_->uncoverable } @{ $criterion->location($line) };
+            $statements{$line} = \@counts if @counts;
+        }
+    }
+
+    my %branches;
+    if (my $criterion = $file->branch) {
+        for my $line ($criterion->items) {
+            my @branches = map {
+                my $branch = $_;
+                { text => $branch->text, outcomes => [map { ($branch->value($_) || 0) + 0 } 0 .. $branch->total - 1] }
+            } grep { !$_->uncoverable } @{ $criterion->location($line) };
+            $branches{$line} = \@branches if @branches;
+        }
+    }
+
+    my $summary = $db->summary($name) || {};
+    push @files, {
+        name       => $name,
+        statements => \%statements,
+        branches   => \%branches,
+        summary    => { map { $_ => summarize($summary->{$_}) } grep { $summary->{$_} } @$CRITERIA, 'total' },
+    };
+}
+
+print JSON::PP->new->canonical->encode({ files => \@files }), "\n";
+
+sub summarize {
+    my ($counts) = @_;
+    return {
+        covered    => ($counts->{covered} || 0) + 0,
+        total      => ($counts->{total} || 0) + 0,
+        percentage => defined $counts->{percentage} ? sprintf('%.1f', $counts->{percentage}) + 0 : undef,
+    };
+}
@@ -0,0 +1,76 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const REPORT = path.join(__dirname, 'perl-coverage-report.pl');
+// Where `cover -test` keeps it too, so either can read what the other wrote
+const DATABASE = 'cover_db';
+const CRITERIA = ['statement', 'branch', 'condition', 'subroutine'];
+
+// Devel::Cover for the Test Explorer's runs. prepare() empties the
+// workspace's cover_db and returns what to add to the environment of a prove
+// run so every test process records into it; load() reads the database back
+// with perl-coverage-report.pl. The test files themselves are not covered.
+class PerlCoverage {
+    getDatabasePath(rootPath) {
+        return path.join(rootPath, DATABASE);
+    }
+
+    // options: { rootPath, perlPath, env }; resolves to the environment
+    // variables to run the tests with
+    async prepare(options) {
+        // Devel::Cover itself would start covering the check
+        await this.exec(options, ['-MDevel::Cover::DB', '-e', '1']).catch(() => {
+            throw new Error(`Devel::Cover is not installed for ${options.perlPath || 'perl'}. Install it with: cpanm Devel::Cover`);
+        });
+        await fs.promises.rm(this.getDatabasePath(options.rootPath), { recursive: true, force: true });
+
+        // A relative -db: HARNESS_PERL_SWITCHES is split on whitespace, and the
+        // tests run in rootPath
+        const switches = `-MDevel::Cover=-db,${DATABASE},-silent,1,-coverage,${CRITERIA.join(',')},+ignore,^x?t/`;
+        const current = (options.env || process.env).HARNESS_PERL_SWITCHES;
+        return { HARNESS_PERL_SWITCHES: current ? `${current} ${switches}` : switches };
+    }
+
+    // options: { rootPath, perlPath, env }; resolves to
+    // [{ filePath, name, statements, branches, summary }] for the files under
+    // rootPath, in the shape perl-coverage-report.pl describes
+    async load(options) {
+        const dbPath = this.getDatabasePath(options.rootPath);
+        if (!fs.existsSync(dbPath)) {
+            throw new Error('No cover_db in this folder yet. Run the tests with coverage first.');
+        }
+
+        const stdout = await this.exec(options, [REPORT, dbPath]).catch((error) => {
+            throw new Error(`Could not read ${dbPath}: ${this.firstLine(error.message)}`);
+        });
+        const report = JSON.parse(stdout);
+        return report.files
+            .map(file => ({ ...file, filePath: path.resolve(options.rootPath, file.name) }))
+            .filter(file => !path.relative(options.rootPath, file.filePath).startsWith('..'))
+            .map(file => ({ ...file, name: path.relative(options.rootPath, file.filePath) }));
+    }
+
+    exec(options, args) {
+        return new Promise((resolve, reject) => {
+            execFile(options.perlPath || 'perl', args, {
+                cwd: options.rootPath,
+                env: options.env || process.env,
+                maxBuffer: 64 * 1024 * 1024,
+                timeout: 120000
+            }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(stderr.trim() || error.message));
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    firstLine(text) {
+        return text.split('\n')[0];
+    }
+}
+
+module.exports = PerlCoverage;
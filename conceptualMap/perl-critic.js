@@ -0,0 +1,92 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Field order for perlcritic's --verbose format, one violation per line
+const VIOLATION_FORMAT = '%l\\t%c\\t%s\\t%p\\t%m\\t%e\\n';
+// What bin/perlcritic does, run by the workspace's perl rather than whichever
+// perlcritic is first on PATH
+const PERLCRITIC = 'use Perl::Critic::Command qw(run); exit run()';
+
+// Runs perlcritic over a buffer and returns its violations. A .perlcriticrc
+// at the workspace root is used as the profile when present. The buffer is
+// written to a scratch directory under its own path relative to the
+// workspace, so policies that look at the file name (a .pm's package, say)
+// see the real one.
+class PerlCritic {
+
+    async getProfilePath(rootPath) {
+        if (!rootPath) return null;
+        const profilePath = path.join(rootPath, '.perlcriticrc');
+        try {
+            await fs.promises.access(profilePath, fs.constants.R_OK);
+            return profilePath;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // The buffer's path inside the scratch directory
+    getRelativePath(filePath, rootPath) {
+        if (!filePath) return 'untitled.pl';
+        const relative = rootPath ? path.relative(rootPath, filePath) : '';
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return path.basename(filePath);
+        return relative;
+    }
+
+    // options: { filePath, rootPath, severity, perlPath, env, signal } -
+    // severity 1 (brutal) to 5 (gentle); left out, the profile or
+    // perlcritic's default decides. Aborting signal kills perlcritic.
+    async critique(code, options = {}) {
+        const args = ['-e', PERLCRITIC, '--', '--quiet', '--nocolor', '--verbose', VIOLATION_FORMAT];
+        const profilePath = await this.getProfilePath(options.rootPath);
+        if (profilePath) args.push('--profile', profilePath);
+        if (options.severity) args.push('--severity', String(options.severity));
+
+        const scratchDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'conceptualmap-critic-'));
+        const tempFile = path.join(scratchDir, this.getRelativePath(options.filePath, options.rootPath));
+        await fs.promises.mkdir(path.dirname(tempFile), { recursive: true });
+        await fs.promises.writeFile(tempFile, code);
+        args.push(tempFile);
+
+        try {
+            const stdout = await new Promise((resolve, reject) => {
+                execFile(options.perlPath || 'perl', args, {
+                    cwd: options.rootPath || scratchDir,
+                    env: options.env || process.env,
+                    timeout: 30000,
+                    maxBuffer: 4 * 1024 * 1024,
+                    signal: options.signal
+                }, (error, output, stderr) => {
+                    // Exit status 2 means violations were found, unless perl itself
+                    // failed (2 is also ENOENT: Perl::Critic isn't installed)
+                    if (error && (error.code !== 2 || (!output.trim() && stderr.trim()))) {
+                        reject(new Error(stderr.trim() || error.message));
+                        return;
+                    }
+                    resolve(output);
+                });
+            });
+            return this.parseViolations(stdout);
+        } finally {
+            fs.promises.rm(scratchDir, { recursive: true, force: true }).catch(() => { });
+        }
+    }
+
+    parseViolations(output) {
+        return output.split('\n')
+            .map(line => line.split('\t'))
+            .filter(fields => fields.length >= 5 && /^\d+$/.test(fields[0]))
+            .map(([line, column, severity, policy, message, explanation]) => ({
+                line: parseInt(line, 10),
+                column: parseInt(column, 10) || 1,
+                severity: parseInt(severity, 10),
+                policy,
+                message,
+                explanation: explanation || ''
+            }));
+    }
+}
+
+module.exports = PerlCritic;
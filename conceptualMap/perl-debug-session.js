@@ -0,0 +1,320 @@
+// Debugging from the editor: breakpoints in the glyph margin (kept per file
+// across restarts), the paused line highlighted, and the DebugPanel fed from
+// the main process's PerlDebugger events. Breakpoints follow edits to the
+// lines they're on; perl moves them to the next line it can stop at, and
+// ones it can't place are shown hollow.
+const BREAKPOINTS_KEY = 'perlBreakpoints';
+
+class PerlDebugSession {
+    constructor(monacoEditor) {
+        this.monacoEditor = monacoEditor;
+        this.editor = null;
+        this.breakpoints = this.loadBreakpoints(); // filePath -> [lines]
+        this.unverified = new Map(); // filePath -> Set of lines perl couldn't place
+        this.state = 'idle'; // 'running' or 'stopped' while debugging
+        this.stack = []; // [{ function, filePath, line }] while stopped
+        this.frameIndex = 0;
+        this.breakpointDecorations = null;
+        this.lineDecorations = null;
+        this.listeners = [];
+
+        this.panel = new DebugPanel({
+            onCommand: (command) => (command === 'stop' ? this.stop() : command === 'continue' ? this.start() : this.resume(command)),
+            onSelectFrame: (index) => this.showFrame(index),
+            onExpand: (ref) => this.expand(ref),
+            onSubmit: (text) => this.submit(text)
+        });
+        if (window.electronAPI && window.electronAPI.onPerlDebugEvent) {
+            window.electronAPI.onPerlDebugEvent((event, debugEvent) => this.handleEvent(debugEvent));
+        }
+    }
+
+    // Follow a (re)created Monaco editor; tab switches replace the model's
+    // text (isFlush), other edits move the breakpoint decorations with them
+    attach(editor) {
+        this.listeners.forEach(listener => listener.dispose());
+        this.editor = editor;
+        this.breakpointDecorations = editor.createDecorationsCollection();
+        this.lineDecorations = editor.createDecorationsCollection();
+        this.listeners = [
+            editor.onMouseDown((event) => {
+                if (event.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN && event.target.position) {
+                    this.toggleBreakpoint(event.target.position.lineNumber);
+                }
+            }),
+            editor.onDidChangeModelContent((event) => {
+                if (event.isFlush) {
+                    this.renderDecorations();
+                } else {
+                    this.trackBreakpoints();
+                }
+            })
+        ];
+        this.renderDecorations();
+    }
+
+    // ---- Breakpoints ----
+
+    loadBreakpoints() {
+        try {
+            return new Map(Object.entries(JSON.parse(localStorage.getItem(BREAKPOINTS_KEY) || '{}')));
+        } catch (error) {
+            return new Map();
+        }
+    }
+
+    saveBreakpoints() {
+        const stored = {};
+        this.breakpoints.forEach((lines, filePath) => {
+            if (lines.length > 0) stored[filePath] = lines;
+        });
+        localStorage.setItem(BREAKPOINTS_KEY, JSON.stringify(stored));
+    }
+
+    setLines(filePath, lines) {
+        const sorted = Array.from(new Set(lines)).sort((a, b) => a - b);
+        if (sorted.length > 0) {
+            this.breakpoints.set(filePath, sorted);
+        } else {
+            this.breakpoints.delete(filePath);
+        }
+        this.saveBreakpoints();
+    }
+
+    // At the cursor when no line is given (F9)
+    toggleBreakpoint(line) {
+        const filePath = this.monacoEditor.activeTab;
+        if (!this.editor || !filePath || !this.monacoEditor.isPerlFile(filePath)) return;
+        const lineNumber = line || this.editor.getPosition().lineNumber;
+
+        const lines = this.breakpoints.get(filePath) || [];
+        this.setLines(filePath, lines.includes(lineNumber) ? lines.filter(other => other !== lineNumber) : [...lines, lineNumber]);
+        const unverified = this.unverified.get(filePath);
+        if (unverified) unverified.delete(lineNumber);
+
+        this.renderDecorations();
+        this.syncBreakpoints(filePath);
+    }
+
+    // The lines the active file's breakpoint decorations have moved to. A
+    // running program keeps the lines it was loaded with, so it isn't told
+    trackBreakpoints() {
+        const filePath = this.monacoEditor.activeTab;
+        if (!this.breakpointDecorations || !this.breakpoints.has(filePath)) return;
+        const lines = this.breakpointDecorations.getRanges().map(range => range.startLineNumber);
+        const current = this.breakpoints.get(filePath);
+        if (lines.length === current.length && lines.every((line, index) => line === current[index])) return;
+        this.setLines(filePath, lines);
+        this.unverified.delete(filePath);
+    }
+
+    async syncBreakpoints(filePath) {
+        if (this.state === 'idle') return;
+        const requested = this.breakpoints.get(filePath) || [];
+        const result = await window.electronAPI.setPerlBreakpoints(filePath, requested);
+        if (!result.success) {
+            this.panel.appendOutput(`Breakpoints not set: ${result.error}`, 'error');
+        } else if (result.lines) {
+            this.applyBreakpoints(filePath, requested, result.lines);
+        }
+        // No lines: sent when the program stops next, or when perl loads the file
+    }
+
+    // Breakpoints perl moved go to the line it stopped them on
+    applyBreakpoints(filePath, requested, actual) {
+        const moved = new Map(requested.map((line, index) => [line, actual[index]]));
+        const lines = this.breakpoints.get(filePath) || [];
+        this.setLines(filePath, lines.map(line => (moved.get(line) ? moved.get(line) : line)));
+        this.unverified.set(filePath, new Set(requested.filter((line, index) => actual[index] === null)));
+        this.renderDecorations();
+    }
+
+    renderDecorations() {
+        if (!this.editor || !this.breakpointDecorations) return;
+        const filePath = this.monacoEditor.activeTab;
+        if (!filePath || !this.editor.getModel()) {
+            this.breakpointDecorations.clear();
+            this.lineDecorations.clear();
+            return;
+        }
+
+        const unverified = this.unverified.get(filePath) || new Set();
+        this.breakpointDecorations.set((this.breakpoints.get(filePath) || []).map(line => ({
+            range: new monaco.Range(line, 1, line, 1),
+            options: {
+                glyphMarginClassName: unverified.has(line) ? 'debug-breakpoint unverified' : 'debug-breakpoint',
+                glyphMarginHoverMessage: { value: unverified.has(line) ? 'Breakpoint: no statement on or after this line' : 'Breakpoint' },
+                stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+            }
+        })));
+
+        const frame = this.state === 'stopped' ? this.stack[this.frameIndex] : null;
+        this.lineDecorations.set(frame && frame.filePath === filePath ? [{
+            range: new monaco.Range(frame.line, 1, frame.line, 1),
+            options: {
+                isWholeLine: true,
+                className: this.frameIndex === 0 ? 'debug-current-line' : 'debug-frame-line',
+                glyphMarginClassName: this.frameIndex === 0 ? 'debug-current-arrow' : 'debug-frame-arrow'
+            }
+        }] : []);
+    }
+
+    // ---- Session ----
+
+    // F5: debug the active file, or continue when paused
+    async start() {
+        if (this.state === 'stopped') return this.resume('continue');
+        if (this.state === 'running') return;
+
+        const filePath = this.monacoEditor.activeTab;
+        if (!filePath || !this.monacoEditor.isPerlFile(filePath)) {
+            this.monacoEditor.updateStatusMessage('Open a Perl script to debug it', '#f44336');
+            return;
+        }
+        // perl runs the file on disk
+        const tabData = this.monacoEditor.openTabs.get(filePath);
+        if (tabData && tabData.modified) await this.monacoEditor.saveFile();
+
+        const breakpoints = {};
+        this.breakpoints.forEach((lines, path) => {
+            breakpoints[path] = lines;
+        });
+        this.unverified.clear();
+        this.panel.clear();
+        this.panel.show();
+        this.panel.appendOutput(`Debugging ${filePath}`, 'info');
+        this.setState('running');
+
+        // With nothing to stop at, pause on the first statement instead
+        const result = await window.electronAPI.startPerlDebug({
+            filePath,
+            args: [],
+            breakpoints,
+            stopOnEntry: Object.keys(breakpoints).length === 0
+        });
+        if (!result.success) {
+            this.panel.appendOutput(result.error, 'error');
+            this.monacoEditor.updateStatusMessage(result.error, '#f44336');
+            this.setState('idle');
+        }
+    }
+
+    // mode: 'continue', 'over', 'into' or 'out'
+    async resume(mode) {
+        if (this.state !== 'stopped') return;
+        const result = await window.electronAPI.resumePerlDebug(mode);
+        if (!result.success) this.panel.appendOutput(result.error, 'error');
+    }
+
+    stop() {
+        if (this.state === 'idle') return;
+        window.electronAPI.stopPerlDebug();
+        this.finish('Debugging stopped');
+    }
+
+    finish(message) {
+        this.panel.appendOutput(message, 'info');
+        this.unverified.clear();
+        this.setState('idle');
+        this.monacoEditor.updateStatusMessage(message, '#858585');
+    }
+
+    setState(state, message) {
+        this.state = state;
+        if (state !== 'stopped') this.stack = [];
+        this.panel.setState(state, message);
+        this.renderDecorations();
+    }
+
+    handleEvent(event) {
+        switch (event.event) {
+            case 'output':
+                this.panel.appendOutput(event.text, event.category);
+                break;
+            case 'stopped': {
+                const reasons = { breakpoint: 'Paused on breakpoint', step: 'Paused', entry: 'Paused on entry' };
+                this.stack = event.stack;
+                this.frameIndex = 0;
+                this.setState('stopped', reasons[event.reason] || 'Paused');
+                this.showFrame(0);
+                break;
+            }
+            case 'continued':
+                this.setState('running');
+                break;
+            case 'breakpoints':
+                if (event.lines) this.applyBreakpoints(event.filePath, event.requested || [], event.lines);
+                break;
+            case 'exited':
+                if (this.state === 'idle') break;
+                this.finish(event.signal ? `Program ended by ${event.signal}` : `Program exited with code ${event.code}`);
+                break;
+        }
+    }
+
+    // Show a frame of the call stack in the editor and its variables in the panel
+    async showFrame(index) {
+        const frame = this.stack[index];
+        if (!frame) return;
+        const stack = this.stack;
+        this.frameIndex = index;
+        this.panel.showStack(stack, index);
+
+        // String evals have no file to open
+        if (!frame.filePath.startsWith('(')) {
+            await this.monacoEditor.revealLocation(frame.filePath, {
+                startLineNumber: frame.line,
+                startColumn: 1,
+                endLineNumber: frame.line,
+                endColumn: 1
+            });
+        }
+        this.renderDecorations();
+
+        this.panel.showVariablesMessage('Loading...');
+        const result = await window.electronAPI.getPerlDebugVariables(index);
+        if (this.stack !== stack || this.frameIndex !== index) return;
+        if (result.success) {
+            this.panel.showVariables(result.variables);
+        } else {
+            this.panel.showVariablesMessage(result.error);
+        }
+    }
+
+    async expand(ref) {
+        const result = await window.electronAPI.expandPerlDebugVariable(ref);
+        if (!result.success) throw new Error(result.error);
+        return result.variables;
+    }
+
+    // Expressions while paused, program input while running
+    async submit(text) {
+        if (this.state === 'running') {
+            this.panel.appendOutput(text, 'input');
+            window.electronAPI.sendPerlDebugInput(text + '\n');
+            return;
+        }
+        if (!text.trim()) return;
+        this.panel.appendOutput(`> ${text}`, 'input');
+        if (this.state !== 'stopped') {
+            this.panel.appendOutput('Start debugging (F5) to evaluate expressions', 'info');
+            return;
+        }
+
+        const result = await window.electronAPI.evaluatePerlDebug(text);
+        if (result.success) {
+            this.panel.appendValue(result.value);
+        } else {
+            this.panel.appendOutput(result.error, 'error');
+        }
+    }
+
+    dispose() {
+        this.listeners.forEach(listener => listener.dispose());
+        this.listeners = [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerlDebugSession;
+}
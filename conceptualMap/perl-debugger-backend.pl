@@ -0,0 +1,347 @@
+# Debugger backend for PerlDebugger (perl-debugger.js). `perl -d` loads it
+# through PERL5DB in place of perl5db.pl. Instead of a terminal it talks JSON
+# lines over a TCP connection to the IDE, so the program keeps its own STDIN,
+# STDOUT and STDERR.
+#
+# IDE to backend; read at startup and while the program is stopped:
+#   { "command": "start", "breakpoints": { "/abs/script.pl": [12] }, "stopOnEntry": false }
+#   { "command": "continue" }, { "command": "over" }, { "command": "into" }, { "command": "out" }
+#   { "id": 1, "command": "setBreakpoints", "file": "/abs/lib/Foo.pm", "lines": [30] }
+#   { "id": 2, "command": "variables", "frame": 0, "names": ["$count", "@items"] }
+#   { "id": 3, "command": "expand", "ref": 4 }
+#   { "id": 4, "command": "evaluate", "expression": "$count + 1" }
+# Backend to IDE:
+#   { "event": "stopped", "reason": "breakpoint", "stack": [{ "function": "main::run", "file": "/abs/script.pl", "line": 12 }] }
+#   { "event": "breakpoints", "file": "/abs/lib/Foo.pm", "requested": [30], "lines": [31] }
+#   { "id": 1, "result": ... } or { "id": 1, "error": "..." }
+# Breakpoint lines come back moved to the next line perl can stop on, null
+# when there is none, or as a whole null while the file isn't loaded yet.
+package DB;
+
+use strict;
+use warnings;
+no strict 'refs';
+
+use Cwd ();
+use File::Spec;
+use IO::Socket::INET;
+use JSON::PP;
+use Scalar::Util ();
+use overload ();
+
+# Read by perl: stop at every statement, trace, stop at the next statement once
+our ($single, $trace, $signal) = (0, 0, 0);
+# The breakable lines (@dbline) and breakpoints (%dbline) of one loaded file
+our (@dbline, %dbline);
+# Set while the backend's own code runs, which must not stop
+our $busy = 0;
+
+my $BREAKPOINT_SEARCH = 20; # lines searched below one that can't hold a breakpoint
+my $MAX_CHILDREN = 100;
+my $MAX_STRING = 200;
+
+my $json = JSON::PP->new->utf8->canonical->allow_nonref;
+my $cwd = Cwd::getcwd();
+my %breakpoints; # absolute path -> [lines]
+my $stop_on_entry;
+my $step; # { mode => 'over' | 'into' | 'out', depth } until the step ends
+my @stack; # frames of the current stop, innermost first
+my @handles; # values behind expandable variables, until the program resumes
+
+my $socket = IO::Socket::INET->new(
+    PeerAddr => '127.0.0.1',
+    PeerPort => $ENV{CONCEPTUALMAP_DEBUG_PORT},
+    Proto => 'tcp'
+) or die "Can't connect to the debugger: $!\n";
+delete $ENV{CONCEPTUALMAP_DEBUG_PORT};
+$| = 1; # the IDE shows output as it comes
+
+while (my $message = receive()) {
+    next unless ($message->{command} || '') eq 'start';
+    %breakpoints = map { (absolute($_) => $message->{breakpoints}{$_}) } keys %{ $message->{breakpoints} || {} };
+    $stop_on_entry = $message->{stopOnEntry} ? 1 : 0; # a plain value: DB::DB tests it
+    last;
+}
+# Files loaded before this one; the script and the rest get theirs in postponed()
+for my $path (grep { $_ ne absolute($0) } sort keys %breakpoints) {
+    my $lines = set_breakpoints($path, $breakpoints{$path});
+    send_message({ event => 'breakpoints', file => $path, requested => $breakpoints{$path}, lines => $lines }) if $lines;
+}
+
+# Stop at the script's first statement rather than in the modules it `use`s
+INIT {
+    $single = 1 if $stop_on_entry;
+}
+
+# Called by perl for each statement while $single is set, and for statements
+# with a breakpoint
+sub DB {
+    return if $busy;
+    my ($package, $file, $line) = caller;
+    my $depth = depth();
+    my $reason;
+
+    if ($step) {
+        my $mode = $step->{mode};
+        $reason = 'step' if $mode eq 'into'
+            || ($mode eq 'over' && $depth <= $step->{depth})
+            || ($mode eq 'out' && $depth < $step->{depth});
+    } elsif ($stop_on_entry) {
+        $stop_on_entry = 0;
+        $reason = 'entry';
+    }
+    if (!$reason && (my $glob = $main::{"_<$file"})) {
+        local *dbline = $glob;
+        $reason = 'breakpoint' if $dbline{$line};
+    }
+    return unless $reason;
+
+    stop($reason, $depth, frames());
+}
+
+# Called by perl when a file (the script included) has been compiled, before it runs
+sub postponed {
+    return if $busy || ref \$_[0] ne 'GLOB';
+    my ($name) = "$_[0]" =~ /\A\*main::_<(.*)\z/s or return;
+    my $path = absolute($name);
+    return unless $breakpoints{$path};
+
+    local $busy = 1;
+    my $lines = set_breakpoints($path, $breakpoints{$path});
+    send_message({ event => 'breakpoints', file => $path, requested => $breakpoints{$path}, lines => $lines });
+}
+
+sub stop {
+    my ($reason, $depth, @frames) = @_;
+    local $busy = 1;
+    local ($@, $!, $_) = ($@, $!, $_);
+    @stack = @frames;
+    @handles = ();
+
+    send_message({
+        event => 'stopped',
+        reason => $reason,
+        stack => [ map { { function => $_->{function}, file => absolute($_->{file}), line => $_->{line} } } @stack ]
+    });
+
+    while (my $message = receive()) {
+        my $command = $message->{command} || '';
+        if ($command eq 'continue') {
+            ($single, $step) = (0, undef);
+            return;
+        }
+        if ($command =~ /\A(?:over|into|out)\z/) {
+            ($single, $step) = (1, { mode => $command, depth => $depth });
+            return;
+        }
+
+        my $handler = __PACKAGE__->can("command_$command");
+        my $result = $handler ? eval { $handler->($message) } : undef;
+        my $error = !$handler ? "Unknown command $command" : $@ ? $@ =~ s/\s+\z//r : undef;
+        send_message(defined $error ? { id => $message->{id}, error => $error } : { id => $message->{id}, result => $result });
+    }
+
+    # The IDE is gone; let the program finish
+    ($single, $step, %breakpoints) = (0, undef);
+    for my $name (loaded_files()) {
+        local *dbline = $main::{"_<$name"};
+        delete $dbline{$_} for keys %dbline;
+    }
+}
+
+# ---- Commands ----
+
+sub command_setBreakpoints {
+    my ($message) = @_;
+    return set_breakpoints(absolute($message->{file}), $message->{lines} || []);
+}
+
+# Lexicals of a frame: all of them through PadWalker when it is installed,
+# otherwise the given names, looked up in the stopped statement's scope
+sub command_variables {
+    my ($message) = @_;
+    my $frame = $message->{frame} || 0;
+    my $variables = lexicals($frame);
+
+    if (!$variables) {
+        die "Install PadWalker to see the variables of calling frames\n" if $frame > 0;
+        $variables = {};
+        for my $name (@{ $message->{names} || [] }) {
+            next unless $name =~ /\A[\$\@%][\w:]+\z/;
+            my $ref = eval "package $stack[0]{package}; no strict; no warnings; \\$name";
+            $variables->{$name} = $ref if ref $ref;
+        }
+    }
+    return [ map { describe_variable($_, $variables->{$_}) } sort keys %$variables ];
+}
+
+sub command_expand {
+    my ($message) = @_;
+    my $value = $handles[ ($message->{ref} || 0) - 1 ] or die "Variable no longer available\n";
+    return children($value);
+}
+
+# Runs in list context, in the scope of the stopped statement
+sub command_evaluate {
+    my ($message) = @_;
+    my @values = eval "package $stack[0]{package}; no strict; no warnings; $message->{expression}\n;";
+    die $@ =~ s/ at \(eval \d+\)\[[^\]]*\] line \d+\b.*//sr . "\n" if $@;
+    return @values == 1 ? describe_value('', $values[0]) : describe_variable('', \@values);
+}
+
+# ---- Breakpoints ----
+
+# Breakpoints of a file replace the ones it had; returns the lines they ended
+# up on, or undef when the file isn't loaded yet
+sub set_breakpoints {
+    my ($path, $lines) = @_;
+    $breakpoints{$path} = $lines;
+    my @names = grep { absolute($_) eq $path } loaded_files();
+    return undef unless @names;
+
+    my @actual;
+    for my $name (@names) {
+        local *dbline = $main::{"_<$name"};
+        delete $dbline{$_} for keys %dbline;
+        @actual = map { breakable_line($_) } @$lines;
+        $dbline{$_} = 1 for grep { defined } @actual;
+    }
+    return \@actual;
+}
+
+# The first line from $line on where perl can stop, in the current *dbline
+sub breakable_line {
+    my ($line) = @_;
+    no warnings 'numeric';
+    for my $candidate ($line .. $line + $BREAKPOINT_SEARCH) {
+        last if $candidate > $#dbline;
+        return $candidate if ($dbline[$candidate] || 0) != 0;
+    }
+    return undef;
+}
+
+sub loaded_files {
+    return map { substr($_, 2) } grep { /\A_</ } keys %main::;
+}
+
+# String evals keep their "(eval 12)[script.pl:3]" names
+sub absolute {
+    my ($file) = @_;
+    return $file if $file =~ /\A\(/;
+    return File::Spec->canonpath(File::Spec->rel2abs($file, $cwd));
+}
+
+# ---- Stack ----
+
+# Calls from DB::DB: the stopped statement first, then each call site
+sub frames {
+    my @frames;
+    for (my $level = 1; my @caller = caller($level); $level++) {
+        my @outer = caller($level + 1);
+        push @frames, { package => $caller[0], file => $caller[1], line => $caller[2], function => @outer ? $outer[3] : 'main' };
+    }
+    return @frames;
+}
+
+sub depth {
+    my $depth = 0;
+    $depth++ while caller($depth);
+    return $depth;
+}
+
+sub lexicals {
+    my ($frame) = @_;
+    return undef unless eval { require PadWalker; 1 };
+    my $level = 0;
+    $level++ while caller($level) && (caller($level))[3] ne 'DB::DB';
+    return PadWalker::peek_my($level + 1 + $frame);
+}
+
+# ---- Values ----
+
+# A variable given by reference: \$scalar, \@array or \%hash
+sub describe_variable {
+    my ($name, $ref) = @_;
+    my $type = Scalar::Util::reftype($ref);
+    if ($type eq 'ARRAY') {
+        my $count = @$ref;
+        return entry($name, "($count " . ($count == 1 ? 'item' : 'items') . ')', 'array', $count ? $ref : undef);
+    }
+    if ($type eq 'HASH') {
+        my $count = keys %$ref;
+        return entry($name, "($count " . ($count == 1 ? 'key' : 'keys') . ')', 'hash', $count ? $ref : undef);
+    }
+    return describe_value($name, $$ref);
+}
+
+sub describe_value {
+    my ($name, $value) = @_;
+    return entry($name, 'undef', 'undef') unless defined $value;
+
+    if (ref $value) {
+        # StrVal: overloaded stringification could run (and die in) program code
+        my $type = Scalar::Util::reftype($value);
+        my $text = overload::StrVal($value);
+        my $expandable = $type eq 'ARRAY' ? @$value : $type eq 'HASH' ? %$value : $type =~ /\A(?:SCALAR|REF)\z/;
+        $text .= ' [' . @$value . ']' if $type eq 'ARRAY';
+        $text .= ' {' . keys(%$value) . '}' if $type eq 'HASH';
+        return entry($name, $text, Scalar::Util::blessed($value) // lc $type, $expandable ? $value : undef);
+    }
+
+    return entry($name, "$value", 'number') if Scalar::Util::looks_like_number($value) && $value !~ /\A\s|\s\z/;
+    my $text = length $value > $MAX_STRING ? substr($value, 0, $MAX_STRING) . '...' : $value;
+    $text =~ s/([\\'])/\\$1/g;
+    $text =~ s/\n/\\n/g;
+    $text =~ s/\t/\\t/g;
+    $text =~ s/([\x00-\x1f\x7f])/sprintf('\\x%02x', ord $1)/ge;
+    return entry($name, "'$text'", 'string');
+}
+
+sub entry {
+    my ($name, $value, $type, $expandable) = @_;
+    my $entry = { name => $name, value => $value, type => $type };
+    if (defined $expandable) {
+        push @handles, $expandable;
+        $entry->{ref} = scalar @handles;
+    }
+    return $entry;
+}
+
+sub children {
+    my ($value) = @_;
+    my $type = Scalar::Util::reftype($value);
+    my @children;
+
+    if ($type eq 'ARRAY') {
+        my $last = $#$value < $MAX_CHILDREN ? $#$value : $MAX_CHILDREN - 1;
+        @children = map { describe_value("[$_]", $value->[$_]) } 0 .. $last;
+        push @children, entry('...', (@$value - $MAX_CHILDREN) . ' more', 'more') if @$value > $MAX_CHILDREN;
+    } elsif ($type eq 'HASH') {
+        my @keys = sort keys %$value;
+        @children = map { describe_value($_, $value->{$_}) } @keys[0 .. ($#keys < $MAX_CHILDREN ? $#keys : $MAX_CHILDREN - 1)];
+        push @children, entry('...', (@keys - $MAX_CHILDREN) . ' more', 'more') if @keys > $MAX_CHILDREN;
+    } else {
+        @children = (describe_value('$', $$value));
+    }
+    return \@children;
+}
+
+# ---- Transport ----
+
+# $. and the handle die messages mention stay the program's
+sub receive {
+    local $/ = "\n";
+    local $.;
+    my $line = <$socket>;
+    return undef unless defined $line;
+    return eval { $json->decode($line) } || {};
+}
+
+sub send_message {
+    my ($message) = @_;
+    local $SIG{PIPE} = 'IGNORE';
+    local $\ = '';
+    print {$socket} $json->encode($message) . "\n";
+}
+
+1;
@@ -0,0 +1,256 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const PerlScopeAnalyzer = require('./perl-scope-analyzer');
+
+const BACKEND = path.join(__dirname, 'perl-debugger-backend.pl');
+
+// Runs a script under `perl -d` with perl-debugger-backend.pl as its debugger.
+// The backend connects back over a local TCP port and speaks JSON lines (see
+// the protocol at the top of the .pl file); the script's own STDIN, STDOUT and
+// STDERR stay pipes to this process. Events reach the renderer through
+// onEvent, with file paths under `filePath`:
+//   { event: 'output', category: 'stdout' | 'stderr', text }
+//   { event: 'stopped', reason, stack: [{ function, filePath, line }] }
+//   { event: 'continued' }
+//   { event: 'breakpoints', filePath, requested, lines }
+//   { event: 'exited', code, signal }
+// The backend only listens while the program is stopped, so breakpoints
+// changed while it runs are sent at the next stop.
+class PerlDebugger {
+    constructor(options = {}) {
+        this.onEvent = options.onEvent || (() => { });
+        this.process = null;
+        this.server = null;
+        this.socket = null;
+        this.buffer = '';
+        this.state = 'idle'; // 'running' or 'stopped' while a program is being debugged
+        this.stack = [];
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map(); // id -> { resolve, reject, command }
+        this.pendingBreakpoints = new Map(); // filePath -> lines, set while running
+    }
+
+    // options: { scriptPath, args, breakpoints: { filePath: [lines] }, stopOnEntry, perlPath, cwd, env }
+    async start(options) {
+        this.stop();
+
+        const server = net.createServer();
+        this.server = server;
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(0, '127.0.0.1', resolve);
+        });
+
+        // Only the backend of this run may connect
+        server.on('connection', (socket) => {
+            if (this.server !== server || this.socket) {
+                socket.destroy();
+                return;
+            }
+            server.close();
+            this.attachSocket(socket, options);
+        });
+
+        const child = spawn(options.perlPath || 'perl', ['-d', options.scriptPath, ...(options.args || [])], {
+            cwd: options.cwd,
+            env: {
+                ...(options.env || process.env),
+                PERL5DB: `BEGIN { require '${BACKEND.replace(/[\\']/g, '\\$&')}' }`,
+                CONCEPTUALMAP_DEBUG_PORT: String(server.address().port)
+            },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        this.process = child;
+        this.state = 'running';
+
+        ['stdout', 'stderr'].forEach(category => {
+            child[category].setEncoding('utf8');
+            child[category].on('data', (text) => {
+                if (this.process === child) this.onEvent({ event: 'output', category, text });
+            });
+        });
+        child.stdin.on('error', () => { }); // the program may exit without reading its input
+        child.on('error', (error) => {
+            if (this.process !== child) return;
+            this.onEvent({ event: 'output', category: 'stderr', text: `Failed to start ${options.perlPath || 'perl'}: ${error.message}\n` });
+            this.handleExit(null, null);
+        });
+        // 'close' rather than 'exit': the last of the output has been read by then
+        child.on('close', (code, signal) => {
+            if (this.process === child) this.handleExit(code, signal);
+        });
+    }
+
+    stop() {
+        if (!this.process) return;
+        const child = this.process;
+        this.reset();
+        child.kill();
+    }
+
+    handleExit(code, signal) {
+        this.reset();
+        this.onEvent({ event: 'exited', code, signal });
+    }
+
+    reset() {
+        this.pendingRequests.forEach(({ reject, command }) => {
+            reject(new Error(`The program exited before answering ${command}`));
+        });
+        this.pendingRequests.clear();
+        this.pendingBreakpoints.clear();
+        if (this.socket) this.socket.destroy();
+        if (this.server) this.server.close();
+        this.process = null;
+        this.server = null;
+        this.socket = null;
+        this.buffer = '';
+        this.state = 'idle';
+        this.stack = [];
+    }
+
+    // ---- Execution ----
+
+    // mode: 'continue', 'over', 'into' or 'out'
+    resume(mode) {
+        if (this.state !== 'stopped') throw new Error('The program is not stopped');
+        this.state = 'running';
+        this.stack = [];
+        this.write({ command: mode });
+        this.onEvent({ event: 'continued' });
+    }
+
+    // Resolves to the lines the breakpoints ended up on (null for a file perl
+    // hasn't loaded yet), or null when they'll be sent at the next stop
+    async setBreakpoints(filePath, lines) {
+        if (this.state === 'stopped') {
+            return this.request('setBreakpoints', { file: filePath, lines });
+        }
+        if (this.state === 'running') this.pendingBreakpoints.set(filePath, lines);
+        return null;
+    }
+
+    // Without PadWalker the backend can only look up names it is given: the
+    // lexicals in scope at the start of the stopped line, found in the file on disk
+    async variables(frameIndex) {
+        const frame = this.stack[frameIndex];
+        if (!frame) throw new Error('No such frame');
+
+        let names = [];
+        if (frameIndex === 0) {
+            const code = await fs.promises.readFile(frame.filePath, 'utf8').catch(() => null);
+            if (code !== null) {
+                const lineStart = code.split('\n').slice(0, frame.line - 1).reduce((offset, line) => offset + line.length + 1, 0);
+                names = PerlScopeAnalyzer.getVisibleVariables(code, lineStart).map(variable => variable.sigil + variable.name);
+            }
+        }
+        return this.request('variables', { frame: frameIndex, names });
+    }
+
+    expand(ref) {
+        return this.request('expand', { ref });
+    }
+
+    evaluate(expression) {
+        return this.request('evaluate', { expression });
+    }
+
+    // Typed into the debug console while the program runs
+    writeInput(text) {
+        if (this.process && this.process.stdin.writable) this.process.stdin.write(text);
+    }
+
+    // ---- Transport ----
+
+    attachSocket(socket, options) {
+        this.socket = socket;
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+            if (this.socket === socket) this.handleData(chunk);
+        });
+        socket.on('error', (error) => {
+            console.error('Perl debugger connection:', error.message);
+        });
+        this.write({
+            command: 'start',
+            breakpoints: options.breakpoints || {},
+            stopOnEntry: !!options.stopOnEntry
+        });
+    }
+
+    handleData(chunk) {
+        this.buffer += chunk;
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) >= 0) {
+            const line = this.buffer.slice(0, newline);
+            this.buffer = this.buffer.slice(newline + 1);
+            if (!line.trim()) continue;
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                console.error('Invalid message from the Perl debugger:', line);
+                continue;
+            }
+            this.handleMessage(message);
+        }
+    }
+
+    handleMessage(message) {
+        if (message.id !== undefined) {
+            const pending = this.pendingRequests.get(message.id);
+            if (!pending) return;
+            this.pendingRequests.delete(message.id);
+            if (message.error !== undefined) {
+                pending.reject(new Error(message.error));
+            } else {
+                pending.resolve(message.result);
+            }
+            return;
+        }
+
+        switch (message.event) {
+            case 'stopped':
+                this.state = 'stopped';
+                this.stack = (message.stack || []).map(frame => ({ function: frame.function, filePath: frame.file, line: frame.line }));
+                this.flushBreakpoints();
+                this.onEvent({ event: 'stopped', reason: message.reason, stack: this.stack });
+                break;
+            case 'breakpoints':
+                this.onEvent({ event: 'breakpoints', filePath: message.file, requested: message.requested, lines: message.lines });
+                break;
+        }
+    }
+
+    // Breakpoints changed while the program ran
+    flushBreakpoints() {
+        this.pendingBreakpoints.forEach((lines, filePath) => {
+            this.request('setBreakpoints', { file: filePath, lines })
+                .then(actual => {
+                    if (actual) this.onEvent({ event: 'breakpoints', filePath, requested: lines, lines: actual });
+                })
+                .catch(error => console.error('Error setting breakpoints:', error.message));
+        });
+        this.pendingBreakpoints.clear();
+    }
+
+    request(command, params) {
+        if (this.state !== 'stopped') {
+            return Promise.reject(new Error(this.state === 'idle' ? 'No program is being debugged' : 'The program is running'));
+        }
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { resolve, reject, command });
+            this.write({ id, command, ...params });
+        });
+    }
+
+    write(message) {
+        if (this.socket && !this.socket.destroyed) this.socket.write(JSON.stringify(message) + '\n');
+    }
+}
+
+module.exports = PerlDebugger;
@@ -0,0 +1,98 @@
+// Runs background checks (perl -c, perlcritic) for open documents. Requests for the same
+// document are coalesced: a new one replaces the one still waiting and aborts
+// the one already running, whose caller gets { superseded: true }. Results are
+// tagged with the document version they were computed for, and only
+// `maxConcurrent` checks run at once across all documents.
+class PerlDiagnosticsScheduler {
+    constructor(options = {}) {
+        this.run = options.run; // (request, signal) => Promise of a result; must stop when signal aborts
+        this.delay = options.delay !== undefined ? options.delay : 250; // ms to wait for further edits
+        this.maxConcurrent = options.maxConcurrent || 2;
+        this.documents = new Map(); // documentId -> { pending, running }
+        this.queue = []; // documentIds whose pending request is due
+        this.active = 0;
+    }
+
+    // Resolves to { version, result } or { superseded: true }
+    schedule(documentId, version, request) {
+        const document = this.getDocument(documentId);
+        this.dropPending(documentId);
+        if (document.running) document.running.controller.abort();
+
+        return new Promise((resolve, reject) => {
+            document.pending = {
+                version,
+                request,
+                resolve,
+                reject,
+                timer: setTimeout(() => {
+                    this.queue.push(documentId);
+                    this.pump();
+                }, this.delay)
+            };
+        });
+    }
+
+    // For a closed document, or one whose results would no longer be shown
+    cancel(documentId) {
+        const document = this.documents.get(documentId);
+        if (!document) return;
+        this.dropPending(documentId);
+        if (document.running) {
+            document.running.controller.abort();
+        } else {
+            this.documents.delete(documentId);
+        }
+    }
+
+    getDocument(documentId) {
+        if (!this.documents.has(documentId)) {
+            this.documents.set(documentId, { pending: null, running: null });
+        }
+        return this.documents.get(documentId);
+    }
+
+    dropPending(documentId) {
+        const document = this.documents.get(documentId);
+        if (!document.pending) return;
+        clearTimeout(document.pending.timer);
+        document.pending.resolve({ superseded: true });
+        document.pending = null;
+        this.queue = this.queue.filter(id => id !== documentId);
+    }
+
+    // Start due checks while there is room; a document whose aborted check is
+    // still exiting waits for it
+    pump() {
+        while (this.active < this.maxConcurrent) {
+            const index = this.queue.findIndex(id => !this.documents.get(id).running);
+            if (index < 0) return;
+            const [documentId] = this.queue.splice(index, 1);
+            this.start(documentId);
+        }
+    }
+
+    start(documentId) {
+        const document = this.documents.get(documentId);
+        const { version, request, resolve, reject } = document.pending;
+        const controller = new AbortController();
+        document.pending = null;
+        document.running = { version, controller };
+        this.active++;
+
+        Promise.resolve()
+            .then(() => this.run(request, controller.signal))
+            .then(
+                result => resolve(controller.signal.aborted ? { superseded: true } : { version, result }),
+                error => (controller.signal.aborted ? resolve({ superseded: true }) : reject(error))
+            )
+            .finally(() => {
+                this.active--;
+                document.running = null;
+                if (!document.pending) this.documents.delete(documentId);
+                this.pump();
+            });
+    }
+}
+
+module.exports = PerlDiagnosticsScheduler;
@@ -0,0 +1,242 @@
+// Turns perl -c errors (a line number plus a message, `near` text or symbol)
+// into precise ranges. Uses PerlScopeAnalyzer's literal ranges so matches in
+// comments and POD are skipped and brackets inside strings don't count.
+class PerlDiagnostics {
+    // diagnostic: { line, message, near, terminator, related }, where related is
+    // one { line, message, filePath } or a list of them; filePath is set when the
+    // location is in another file. Returns { startLineNumber, startColumn,
+    // endLineNumber, endColumn, related: [...] } where each related entry is a
+    // range plus a message, and filePath when it has one.
+    static locate(code, diagnostic) {
+        const context = this.createContext(code);
+        const line = Math.min(Math.max(1, diagnostic.line), context.lineStarts.length);
+        const related = [];
+
+        const located = this.locateUnterminated(context, diagnostic, line, related)
+            || this.locateBracket(context, diagnostic, line, related)
+            || this.locateSymbol(context, this.findSymbol(diagnostic), line)
+            || this.locateNear(context, diagnostic.near, line)
+            || this.getLineRange(context, line);
+
+        [].concat(diagnostic.related || []).forEach(location => {
+            // Nothing to narrow the range with in a file we don't have
+            if (location.filePath) {
+                related.push({
+                    startLineNumber: location.line,
+                    startColumn: 1,
+                    endLineNumber: location.line,
+                    endColumn: 1,
+                    message: location.message,
+                    filePath: location.filePath
+                });
+                return;
+            }
+            const relatedLine = Math.min(location.line, context.lineStarts.length);
+            related.push({
+                ...(this.findStringStartingOn(context, relatedLine) || this.getLineRange(context, relatedLine)),
+                message: location.message
+            });
+        });
+        return { ...located, related };
+    }
+
+    static createContext(code) {
+        const lineStarts = [0];
+        for (let i = 0; i < code.length; i++) {
+            if (code[i] === '\n') lineStarts.push(i + 1);
+        }
+        return { code, lineStarts, literals: PerlScopeAnalyzer.scan(code).literals };
+    }
+
+    static toRange(context, start, end) {
+        const startPosition = this.toPosition(context, start);
+        const endPosition = this.toPosition(context, Math.max(start + 1, end));
+        return {
+            startLineNumber: startPosition.lineNumber,
+            startColumn: startPosition.column,
+            endLineNumber: endPosition.lineNumber,
+            endColumn: endPosition.column
+        };
+    }
+
+    static toPosition(context, index) {
+        const line = PerlScopeAnalyzer.findLine(context.lineStarts, index);
+        return { lineNumber: line, column: index - context.lineStarts[line - 1] + 1 };
+    }
+
+    static getLineText(context, line) {
+        const start = context.lineStarts[line - 1];
+        const end = line < context.lineStarts.length ? context.lineStarts[line] - 1 : context.code.length;
+        return context.code.slice(start, end).replace(/\r$/, '');
+    }
+
+    // The line without its indentation; the whole line when it's blank
+    static getLineRange(context, line) {
+        const text = this.getLineText(context, line);
+        const indent = text.match(/^\s*/)[0].length;
+        const start = context.lineStarts[line - 1];
+        return this.toRange(context, start + (indent < text.length ? indent : 0), start + text.length);
+    }
+
+    // Comments, POD and __END__ data; strings can legitimately hold the text
+    static isInComment(context, index) {
+        const literal = PerlScopeAnalyzer.findLiteral(context.literals, index);
+        return !!literal && (literal[2] === 'comment' || literal[2] === 'pod' || literal[2] === 'data');
+    }
+
+    // The variable, bareword or module a message is about, if any
+    static findSymbol(diagnostic) {
+        const message = diagnostic.message;
+        if (/^Global symbol/.test(message) && diagnostic.near) return diagnostic.near;
+
+        const module = message.match(/^Can't locate module: (\S+?)(?:\.pm)?$/);
+        if (module) return module[1].replace(/\//g, '::');
+
+        const subroutine = message.match(/Undefined subroutine &(?:main::)?([\w:]+)/);
+        if (subroutine) return subroutine[1];
+
+        // Name "main::foo" used only once: a variable of any type, written as a glob
+        const usedOnce = message.match(/^Name "(?:main::)?([\w:]+)" used only once/);
+        if (usedOnce) return `*${usedOnce[1]}`;
+
+        const value = message.match(/\b(?:value|Scalar value) ([$@%][\w:]+(?:\[[^\]]*\]|\{[^}]*\})?)/);
+        if (value) return value[1];
+
+        const quoted = message.match(/"([$@%&]?[\w:]+)"/);
+        return quoted ? quoted[1] : null;
+    }
+
+    static locateSymbol(context, symbol, line) {
+        if (!symbol) return null;
+
+        // Tried in order; %h and @a are reported for element access too ($h{...}, $a[...]),
+        // and a bare name may be called as &name
+        const sigil = symbol[0];
+        const name = symbol.replace(/^[$@%&*]/, '');
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const boundary = /\w$/.test(symbol) ? '(?![\\w:])' : '';
+        const candidates = sigil === '*' ? [] : [escape(symbol) + boundary];
+        if (sigil === '%') candidates.push(`[$@]${escape(name)}(?=\\s*\\{)`);
+        if (sigil === '@') candidates.push(`\\$${escape(name)}(?=\\s*\\[)`);
+        if (!/^[$@%&]/.test(symbol)) candidates.push(`[&$@%]${escape(name)}${boundary}`);
+
+        const text = this.getLineText(context, line);
+        const lineStart = context.lineStarts[line - 1];
+        for (const candidate of candidates) {
+            for (const match of text.matchAll(new RegExp(`(?<![\\w:$@%&])${candidate}`, 'g'))) {
+                if (this.isInComment(context, lineStart + match.index)) continue;
+                return this.toRange(context, lineStart + match.index, lineStart + match.index + match[0].length);
+            }
+        }
+        return null;
+    }
+
+    // perl's `near "..."` starts at the token it stopped on and may run over
+    // several lines; the reported line can be any of them
+    static locateNear(context, near, line) {
+        if (!near || !near.trim()) return null;
+        const fragment = near.replace(/\s+$/, '');
+        const spanLines = fragment.split('\n').length;
+        const firstLine = Math.max(1, line - spanLines);
+        const lastLine = Math.min(context.lineStarts.length, line + 1);
+        const windowStart = context.lineStarts[firstLine - 1];
+        const windowEnd = lastLine < context.lineStarts.length ? context.lineStarts[lastLine] : context.code.length;
+
+        let best = null;
+        for (const candidate of [fragment, fragment.split('\n')[0].trim()]) {
+            let index = context.code.indexOf(candidate, windowStart);
+            while (index >= 0 && index < windowEnd) {
+                if (!this.isInComment(context, index)) {
+                    const range = this.toRange(context, index, index + candidate.length);
+                    const covers = range.startLineNumber <= line && range.endLineNumber >= line;
+                    const distance = covers ? 0 : Math.abs(range.startLineNumber - line);
+                    if (!best || distance < best.distance) best = { range, distance };
+                }
+                index = context.code.indexOf(candidate, index + 1);
+            }
+            if (best) return best.range;
+        }
+        return null;
+    }
+
+    // "Can't find string terminator": perl gives the line the string starts on
+    static locateUnterminated(context, diagnostic, line, related) {
+        if (diagnostic.terminator === undefined) return null;
+        const start = this.findStringStartingOn(context, line, true);
+        if (!start) return null;
+
+        const end = this.toPosition(context, context.code.length);
+        related.push({
+            startLineNumber: end.lineNumber,
+            startColumn: end.column,
+            endLineNumber: end.lineNumber,
+            endColumn: end.column,
+            message: `End of file reached without a closing ${diagnostic.terminator}`
+        });
+        return start;
+    }
+
+    // The opening of the first string/regex literal on the line, up to the line's end
+    static findStringStartingOn(context, line, runsToEnd = false) {
+        const lineStart = context.lineStarts[line - 1];
+        const lineEnd = lineStart + this.getLineText(context, line).length;
+        const literal = context.literals.find(([start, end, type]) =>
+            start >= lineStart && start < lineEnd && (type === 'string' || type === 'regex')
+            && (!runsToEnd || end >= context.code.length));
+        return literal ? this.toRange(context, literal[0], Math.min(literal[1], lineEnd)) : null;
+    }
+
+    // Brackets perl couldn't pair up, with the other end as a related location
+    static locateBracket(context, diagnostic, line, related) {
+        const missing = /^Missing right (?:curly|square)/.test(diagnostic.message);
+        const unmatched = /^Unmatched right (?:curly|square)/.test(diagnostic.message);
+        if (!missing && !unmatched) return null;
+
+        const { open, close } = this.findUnbalancedBrackets(context);
+        if (unmatched) {
+            const lineStart = context.lineStarts[line - 1];
+            const lineEnd = lineStart + this.getLineText(context, line).length;
+            const index = close.find(i => i >= lineStart && i <= lineEnd);
+            return index === undefined ? null : this.toRange(context, index, index + 1);
+        }
+
+        // Reported at the end of the file; point at the last token and the unclosed opener
+        if (open.length === 0) return null;
+        const lastIndex = context.code.replace(/\s+$/, '').length - 1;
+        const opener = open[open.length - 1];
+        related.push({ ...this.toRange(context, opener, opener + 1), message: `'${context.code[opener]}' opened here is never closed` });
+        return this.toRange(context, Math.max(0, lastIndex), lastIndex + 1);
+    }
+
+    // Indexes of unclosed openers and unopened closers, outside literals
+    static findUnbalancedBrackets(context) {
+        const pairs = { '}': '{', ']': '[', ')': '(' };
+        const open = [];
+        const close = [];
+        let literalIndex = 0;
+        for (let i = 0; i < context.code.length; i++) {
+            while (literalIndex < context.literals.length && context.literals[literalIndex][1] <= i) literalIndex++;
+            const literal = context.literals[literalIndex];
+            if (literal && literal[0] <= i) {
+                i = literal[1] - 1;
+                continue;
+            }
+
+            const char = context.code[i];
+            if (char === '{' || char === '[' || char === '(') {
+                open.push(i);
+            } else if (pairs[char]) {
+                if (open.length > 0 && context.code[open[open.length - 1]] === pairs[char]) {
+                    open.pop();
+                } else {
+                    close.push(i);
+                }
+            }
+        }
+        return { open, close };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerlDiagnostics;
+}
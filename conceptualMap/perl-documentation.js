@@ -0,0 +1,55 @@
+const { execFile } = require('child_process');
+
+// What bin/perldoc does, run by the workspace's perl so its own modules and
+// builtins are the ones documented
+const PERLDOC = 'use Pod::Perldoc; exit Pod::Perldoc->run()';
+
+// Raw POD from perldoc: `perldoc -f` for builtins, the module's own POD for
+// modules. Lookups are cached until reset(), including misses.
+class PerlDocumentation {
+    constructor() {
+        this.cache = new Map(); // "kind:name" -> Promise of POD text or null
+    }
+
+    // Another perl or include path documents other modules
+    reset() {
+        this.cache.clear();
+    }
+
+    // kind is 'function' or 'module'; options: { perlPath, cwd, env }
+    lookup(name, kind, options = {}) {
+        const key = `${kind}:${name}`;
+        if (!this.cache.has(key)) {
+            this.cache.set(key, this.runPerldoc(name, kind, options).catch((error) => {
+                // perldoc missing or too slow; let the next hover try again
+                this.cache.delete(key);
+                throw error;
+            }));
+        }
+        return this.cache.get(key);
+    }
+
+    runPerldoc(name, kind, options) {
+        if (!/^[A-Za-z_]\w*(?:::\w+)*$/.test(name)) return Promise.resolve(null);
+
+        // -T: never page, -u: unformatted POD so the renderer can format it
+        const args = ['-e', PERLDOC, '--', '-T', '-u', ...(kind === 'function' ? ['-f', name] : [name])];
+        return new Promise((resolve, reject) => {
+            execFile(options.perlPath || 'perl', args, {
+                cwd: options.cwd,
+                env: options.env || process.env,
+                timeout: 10000,
+                maxBuffer: 4 * 1024 * 1024
+            }, (error, stdout) => {
+                if (error && (error.code === 'ENOENT' || error.killed)) {
+                    reject(error);
+                    return;
+                }
+                // perldoc exits non-zero when there is no documentation
+                resolve(error || !stdout.trim() ? null : stdout);
+            });
+        });
+    }
+}
+
+module.exports = PerlDocumentation;
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Workspace settings live next to the code, under the "perl" key
+const CONFIG_FILE = '.conceptualmap.json';
+// Searched when "includePaths" isn't configured
+const DEFAULT_INCLUDE_PATHS = ['lib', path.join('t', 'lib')];
+
+// The Perl a workspace runs with: interpreter, include directories and
+// environment. Everything that starts perl (syntax checks, scripts, the module
+// indexer, terminals, the language server) takes it from here, so a project's
+// lib/ and Carton local/ directory are found the same way everywhere.
+//
+// .conceptualmap.json at the workspace root, all keys optional:
+//   { "perl": { "interpreter": "/opt/perl/bin/perl", "includePaths": ["lib", "vendor/lib"],
+//               "perl5lib": ["/shared/lib"], "env": { "APP_ENV": "dev" }, "localLib": "local" } }
+// Relative paths are relative to the workspace root. "localLib" is a
+// local::lib directory; left out, a Carton local/ is used when present, and
+// false turns that off. An "env" value of null removes the variable.
+// Untrusted folders (WorkspaceTrust) get none of this, not even lib/: their
+// files could otherwise shadow modules or commands.
+class PerlEnvironment {
+    constructor(options = {}) {
+        this.defaultPerlPath = options.perlPath || 'perl';
+        this.rootPath = null;
+        this.trusted = false;
+        this.perlPath = this.defaultPerlPath;
+        this.includePaths = [];
+        this.localLib = null;
+        this.variables = {}; // set (or, when null, removed) on top of process.env
+        this.error = null; // why the config file couldn't be used
+    }
+
+    // Read the workspace's settings; resolves to true when anything changed.
+    // options: { trusted }
+    async load(rootPath, options = {}) {
+        const previous = JSON.stringify(this.describe());
+        this.error = null;
+        const config = options.trusted ? await this.readConfig(rootPath) : {};
+        const resolve = (dir) => path.resolve(rootPath || os.homedir(), dir);
+
+        this.rootPath = rootPath || null;
+        this.trusted = !!options.trusted;
+        this.perlPath = config.interpreter
+            ? (/[\\/]/.test(config.interpreter) ? resolve(config.interpreter) : config.interpreter)
+            : this.defaultPerlPath;
+
+        const includePaths = Array.isArray(config.includePaths) ? config.includePaths : DEFAULT_INCLUDE_PATHS;
+        this.includePaths = rootPath && this.trusted ? await this.filterDirectories(includePaths.map(resolve)) : [];
+
+        this.localLib = null;
+        if (rootPath && this.trusted && config.localLib !== false) {
+            const localLib = resolve(typeof config.localLib === 'string' ? config.localLib : 'local');
+            if (await this.isDirectory(path.join(localLib, 'lib', 'perl5'))) this.localLib = localLib;
+        }
+
+        const perl5lib = typeof config.perl5lib === 'string' ? config.perl5lib.split(path.delimiter) : config.perl5lib || [];
+        this.variables = this.createVariables(perl5lib.filter(Boolean).map(resolve), config.env || {});
+
+        return JSON.stringify(this.describe()) !== previous;
+    }
+
+    async readConfig(rootPath) {
+        if (!rootPath) return {};
+        const configPath = path.join(rootPath, CONFIG_FILE);
+        let content;
+        try {
+            content = await fs.promises.readFile(configPath, 'utf8');
+        } catch (error) {
+            return {}; // no config; use the defaults
+        }
+        try {
+            const config = JSON.parse(content).perl;
+            return config && typeof config === 'object' ? config : {};
+        } catch (error) {
+            this.error = `${configPath}: ${error.message}`;
+            console.error('Ignoring invalid workspace Perl settings:', this.error);
+            return {};
+        }
+    }
+
+    // PERL5LIB gets the include paths first, then the configured entries, the
+    // local::lib and whatever the app was started with; local::lib's other
+    // variables are set the way `eval $(perl -Mlocal::lib=local)` would
+    createVariables(perl5lib, env) {
+        const inherited = process.env.PERL5LIB ? process.env.PERL5LIB.split(path.delimiter) : [];
+        const libs = this.includePaths.concat(perl5lib);
+        const variables = {};
+
+        if (this.localLib) {
+            libs.push(path.join(this.localLib, 'lib', 'perl5'));
+            variables.PATH = [path.join(this.localLib, 'bin'), process.env.PATH].filter(Boolean).join(path.delimiter);
+            variables.PERL_LOCAL_LIB_ROOT = [this.localLib, process.env.PERL_LOCAL_LIB_ROOT].filter(Boolean).join(path.delimiter);
+            variables.PERL_MB_OPT = `--install_base "${this.localLib}"`;
+            variables.PERL_MM_OPT = `INSTALL_BASE=${this.localLib}`;
+        }
+        const combined = Array.from(new Set(libs.concat(inherited)));
+        if (combined.length > 0) variables.PERL5LIB = combined.join(path.delimiter);
+
+        Object.entries(env).forEach(([name, value]) => {
+            variables[name] = value === null ? null : String(value);
+        });
+        return variables;
+    }
+
+    getEnv() {
+        const env = { ...process.env };
+        Object.entries(this.variables).forEach(([name, value]) => {
+            if (value === null) {
+                delete env[name];
+            } else {
+                env[name] = value;
+            }
+        });
+        return env;
+    }
+
+    isConfigFile(filePath) {
+        return !!this.rootPath && path.resolve(filePath) === path.join(this.rootPath, CONFIG_FILE);
+    }
+
+    // Options for spawning perl, or anything that runs it, in the workspace
+    getSpawnOptions() {
+        return { cwd: this.rootPath || os.homedir(), env: this.getEnv() };
+    }
+
+    describe() {
+        return {
+            rootPath: this.rootPath,
+            trusted: this.trusted,
+            perlPath: this.perlPath,
+            includePaths: this.includePaths,
+            localLib: this.localLib,
+            variables: this.variables,
+            error: this.error
+        };
+    }
+
+    async filterDirectories(dirs) {
+        const found = [];
+        for (const dir of dirs) {
+            if (!found.includes(dir) && await this.isDirectory(dir)) found.push(dir);
+        }
+        return found;
+    }
+
+    async isDirectory(dir) {
+        try {
+            return (await fs.promises.stat(dir)).isDirectory();
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = PerlEnvironment;
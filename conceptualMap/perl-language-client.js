@@ -0,0 +1,281 @@
+// Monaco side of the Perl Navigator bridge. Keeps the language server in sync
+// with the open tabs and turns its answers into Monaco completions, hovers,
+// definitions, document symbols and markers.
+class PerlLanguageClient {
+    constructor(monacoEditor) {
+        this.monacoEditor = monacoEditor;
+        this.ready = false;
+        this.providers = [];
+        this.diagnostics = new Map(); // filePath -> LSP diagnostics
+        this.startPromise = null;
+
+        window.electronAPI.onPerlDiagnostics((event, { filePath, diagnostics }) => {
+            this.diagnostics.set(filePath, diagnostics);
+            this.applyDiagnostics(filePath);
+        });
+    }
+
+    async start(rootPath) {
+        if (this.startPromise) {
+            return this.startPromise;
+        }
+
+        this.startPromise = (async () => {
+            const result = await window.electronAPI.startPerlLanguageServer(rootPath);
+            if (!result.success) {
+                console.warn('Perl language server unavailable, using built-in completions only:', result.error);
+                this.startPromise = null;
+                return false;
+            }
+
+            console.log('Perl language server started with capabilities:', result.capabilities);
+            this.ready = true;
+            this.registerProviders();
+
+            // Tell the server about tabs that were opened before it was ready
+            this.monacoEditor.openTabs.forEach((tabData, filePath) => {
+                if (this.monacoEditor.isPerlFile(filePath)) {
+                    this.didOpen(filePath, tabData.content);
+                }
+            });
+            return true;
+        })();
+
+        return this.startPromise;
+    }
+
+    // Restart the server against a new workspace root
+    async restart(rootPath) {
+        this.ready = false;
+        this.startPromise = null;
+        this.dispose();
+        return this.start(rootPath);
+    }
+
+    // ---- Document synchronisation ----
+
+    didOpen(filePath, text) {
+        if (!this.ready) return;
+        window.electronAPI.syncPerlDocument('open', filePath, text);
+    }
+
+    didChange(filePath, text) {
+        if (!this.ready) return;
+        window.electronAPI.syncPerlDocument('change', filePath, text);
+    }
+
+    didSave(filePath) {
+        if (!this.ready) return;
+        window.electronAPI.syncPerlDocument('save', filePath);
+    }
+
+    didClose(filePath) {
+        this.diagnostics.delete(filePath);
+        if (!this.ready) return;
+        window.electronAPI.syncPerlDocument('close', filePath);
+    }
+
+    // ---- Requests ----
+
+    async request(method, filePath, params) {
+        if (!this.ready || !filePath) return null;
+
+        const response = await window.electronAPI.perlLanguageRequest(method, filePath, params);
+        if (!response.success) {
+            console.warn(`Language server request ${method} failed:`, response.error);
+            return null;
+        }
+        return response.result;
+    }
+
+    // The editor shares one model between tabs; any other model was created
+    // for a definition target and carries its own file:// URI
+    getFilePathForModel(model) {
+        return this.monacoEditor.getFilePathForModel(model);
+    }
+
+    registerProviders() {
+        this.providers.push(
+            monaco.languages.registerCompletionItemProvider('perl', {
+                triggerCharacters: ['$', '@', '%', '>', ':'],
+                provideCompletionItems: (model, position) => this.provideCompletionItems(model, position)
+            }),
+            monaco.languages.registerHoverProvider('perl', {
+                provideHover: (model, position) => this.provideHover(model, position)
+            }),
+            monaco.languages.registerDefinitionProvider('perl', {
+                provideDefinition: (model, position) => this.provideDefinition(model, position)
+            }),
+            monaco.languages.registerDocumentSymbolProvider('perl', {
+                displayName: 'Perl Navigator',
+                provideDocumentSymbols: (model) => this.provideDocumentSymbols(model)
+            })
+        );
+    }
+
+    async provideCompletionItems(model, position) {
+        const filePath = this.getFilePathForModel(model);
+        const result = await this.request('textDocument/completion', filePath, {
+            position: this.toLspPosition(position)
+        });
+        if (!result) return { suggestions: [] };
+
+        const items = Array.isArray(result) ? result : (result.items || []);
+        const word = model.getWordUntilPosition(position);
+        const defaultRange = {
+            startLineNumber: position.lineNumber,
+            startColumn: word.startColumn,
+            endLineNumber: position.lineNumber,
+            endColumn: word.endColumn
+        };
+
+        return {
+            incomplete: !Array.isArray(result) && !!result.isIncomplete,
+            suggestions: items.map(item => ({
+                label: item.label,
+                kind: this.toCompletionKind(item.kind),
+                detail: item.detail,
+                documentation: this.toMarkdown(item.documentation),
+                insertText: item.textEdit ? item.textEdit.newText : (item.insertText || item.label),
+                insertTextRules: item.insertTextFormat === 2
+                    ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet
+                    : monaco.languages.CompletionItemInsertTextRule.None,
+                range: item.textEdit && item.textEdit.range ? this.toMonacoRange(item.textEdit.range) : defaultRange,
+                sortText: item.sortText,
+                filterText: item.filterText
+            }))
+        };
+    }
+
+    async provideHover(model, position) {
+        const filePath = this.getFilePathForModel(model);
+        const result = await this.request('textDocument/hover', filePath, {
+            position: this.toLspPosition(position)
+        });
+        if (!result || !result.contents) return null;
+
+        const contents = Array.isArray(result.contents) ? result.contents : [result.contents];
+        return {
+            range: result.range ? this.toMonacoRange(result.range) : undefined,
+            contents: contents.map(content => this.toMarkdown(content)).filter(Boolean)
+        };
+    }
+
+    async provideDefinition(model, position) {
+        const filePath = this.getFilePathForModel(model);
+        const result = await this.request('textDocument/definition', filePath, {
+            position: this.toLspPosition(position)
+        });
+        if (!result) return null;
+
+        const locations = Array.isArray(result) ? result : [result];
+        const definitions = [];
+        for (const location of locations) {
+            const range = this.toMonacoRange(location.targetSelectionRange || location.range);
+            const uri = await this.getModelUri(location.filePath, model, filePath);
+            if (uri) definitions.push({ uri, range });
+        }
+        return definitions;
+    }
+
+    async provideDocumentSymbols(model) {
+        const filePath = this.getFilePathForModel(model);
+        const result = await this.request('textDocument/documentSymbol', filePath);
+        if (!result) return [];
+
+        return result.map(symbol => this.toDocumentSymbol(symbol));
+    }
+
+    async getModelUri(targetPath, currentModel, currentPath) {
+        if (!targetPath || targetPath === currentPath) {
+            return currentModel.uri;
+        }
+        return this.monacoEditor.getFileModelUri(targetPath);
+    }
+
+    // ---- Diagnostics ----
+
+    applyDiagnostics(filePath) {
+        const editor = this.monacoEditor.editor;
+        if (!editor || filePath !== this.monacoEditor.activeTab) return;
+
+        const diagnostics = this.diagnostics.get(filePath) || [];
+        const markers = diagnostics.map(diagnostic => ({
+            severity: this.toMarkerSeverity(diagnostic.severity),
+            message: diagnostic.message,
+            source: diagnostic.source,
+            code: diagnostic.code !== undefined ? String(diagnostic.code) : undefined,
+            ...this.toMonacoRange(diagnostic.range)
+        }));
+        monaco.editor.setModelMarkers(editor.getModel(), 'perlnavigator', markers);
+    }
+
+    // ---- Conversions between LSP (0-based) and Monaco (1-based) ----
+
+    toLspPosition(position) {
+        return { line: position.lineNumber - 1, character: position.column - 1 };
+    }
+
+    toMonacoRange(range) {
+        return {
+            startLineNumber: range.start.line + 1,
+            startColumn: range.start.character + 1,
+            endLineNumber: range.end.line + 1,
+            endColumn: range.end.character + 1
+        };
+    }
+
+    toMarkdown(content) {
+        if (!content) return undefined;
+        if (typeof content === 'string') return { value: content };
+        if (content.kind === 'plaintext') return { value: content.value.replace(/[\\`*_{}[\]()#+\-.!<>]/g, '\\$&') };
+        if (content.language) return { value: '```' + content.language + '\n' + content.value + '\n```' };
+        return { value: content.value };
+    }
+
+    toCompletionKind(kind) {
+        const kinds = monaco.languages.CompletionItemKind;
+        // Indexed by LSP CompletionItemKind (1-based)
+        const mapping = [
+            null, kinds.Text, kinds.Method, kinds.Function, kinds.Constructor, kinds.Field,
+            kinds.Variable, kinds.Class, kinds.Interface, kinds.Module, kinds.Property,
+            kinds.Unit, kinds.Value, kinds.Enum, kinds.Keyword, kinds.Snippet, kinds.Color,
+            kinds.File, kinds.Reference, kinds.Folder, kinds.EnumMember, kinds.Constant,
+            kinds.Struct, kinds.Event, kinds.Operator, kinds.TypeParameter
+        ];
+        return mapping[kind] !== undefined && mapping[kind] !== null ? mapping[kind] : kinds.Text;
+    }
+
+    toMarkerSeverity(severity) {
+        switch (severity) {
+            case 1: return monaco.MarkerSeverity.Error;
+            case 2: return monaco.MarkerSeverity.Warning;
+            case 3: return monaco.MarkerSeverity.Info;
+            default: return monaco.MarkerSeverity.Hint;
+        }
+    }
+
+    // Accepts both hierarchical DocumentSymbols and flat SymbolInformation
+    toDocumentSymbol(symbol) {
+        const range = this.toMonacoRange(symbol.range || symbol.location.range);
+        return {
+            name: symbol.name,
+            detail: symbol.detail || symbol.containerName || '',
+            // Monaco's SymbolKind is the LSP SymbolKind shifted to start at 0
+            kind: Math.max(0, (symbol.kind || 1) - 1),
+            tags: [],
+            range: range,
+            selectionRange: symbol.selectionRange ? this.toMonacoRange(symbol.selectionRange) : range,
+            children: (symbol.children || []).map(child => this.toDocumentSymbol(child))
+        };
+    }
+
+    dispose() {
+        this.providers.forEach(provider => provider.dispose());
+        this.providers = [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerlLanguageClient;
+}
@@ -0,0 +1,315 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+
+// Bridges the bundled Perl Navigator language server to the renderer.
+// The server speaks JSON-RPC over stdio; everything crossing the IPC boundary
+// uses plain file paths so the renderer never has to deal with file:// URIs.
+class PerlLanguageServer {
+    constructor(options = {}) {
+        this.process = null;
+        this.buffer = Buffer.alloc(0);
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map(); // id -> { resolve, reject, method }
+        this.openDocuments = new Map(); // filePath -> version
+        this.rootPath = null;
+        this.initialized = null; // Promise resolved once the initialize handshake completes
+        this.settings = options.settings || {};
+        this.onDiagnostics = options.onDiagnostics || (() => { });
+        this.onExit = options.onExit || (() => { });
+    }
+
+    // Locate the server entry point shipped with the perlnavigator-server package
+    resolveServerModule() {
+        return require.resolve('perlnavigator-server');
+    }
+
+    start(rootPath) {
+        if (this.initialized && this.rootPath === rootPath) {
+            return this.initialized;
+        }
+        if (this.process) {
+            this.stop();
+        }
+
+        this.rootPath = rootPath;
+        const serverModule = this.resolveServerModule();
+        console.log('Starting Perl Navigator language server:', serverModule);
+
+        // Run the server with Electron's bundled Node runtime
+        const serverProcess = spawn(process.execPath, [serverModule, '--stdio'], {
+            cwd: rootPath || process.cwd(),
+            env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        this.process = serverProcess;
+
+        // Ignore output from a server that has already been replaced
+        serverProcess.stdout.on('data', (chunk) => {
+            if (this.process === serverProcess) this.handleData(chunk);
+        });
+        serverProcess.stderr.on('data', (data) => {
+            console.error('Perl Navigator:', data.toString().trim());
+        });
+        serverProcess.on('error', (error) => {
+            console.error('Perl Navigator failed to start:', error);
+            if (this.process === serverProcess) this.handleExit();
+        });
+        serverProcess.on('exit', (code) => {
+            console.log('Perl Navigator exited with code', code);
+            if (this.process === serverProcess) this.handleExit();
+        });
+
+        const initialized = this.sendRequest('initialize', {
+            processId: process.pid,
+            rootUri: rootPath ? this.toUri(rootPath) : null,
+            workspaceFolders: rootPath ? [{ uri: this.toUri(rootPath), name: path.basename(rootPath) }] : null,
+            capabilities: {
+                workspace: {
+                    configuration: true,
+                    workspaceFolders: true
+                },
+                textDocument: {
+                    synchronization: { didSave: true, dynamicRegistration: false },
+                    completion: {
+                        completionItem: { snippetSupport: true, documentationFormat: ['markdown', 'plaintext'] }
+                    },
+                    hover: { contentFormat: ['markdown', 'plaintext'] },
+                    definition: { linkSupport: false },
+                    documentSymbol: { hierarchicalDocumentSymbolSupport: true },
+                    publishDiagnostics: { relatedInformation: true }
+                }
+            }
+        }).then((result) => {
+            this.sendNotification('initialized', {});
+            console.log('Perl Navigator initialized');
+            return result.capabilities;
+        }).catch((error) => {
+            if (this.initialized === initialized) this.initialized = null;
+            throw error;
+        });
+
+        this.initialized = initialized;
+        return initialized;
+    }
+
+    stop() {
+        if (!this.process) return;
+
+        const serverProcess = this.process;
+        this.sendRequest('shutdown', null).catch(() => { });
+        this.sendNotification('exit', null);
+        this.reset();
+        setTimeout(() => serverProcess.kill(), 500);
+    }
+
+    // Merge new settings; a running server re-reads them through workspace/configuration
+    updateSettings(settings) {
+        Object.assign(this.settings, settings);
+        if (this.process) {
+            this.sendNotification('workspace/didChangeConfiguration', { settings: { perlnavigator: this.settings } });
+        }
+    }
+
+    handleExit() {
+        this.reset();
+        this.onExit();
+    }
+
+    reset() {
+        this.pendingRequests.forEach(({ reject, method }) => {
+            reject(new Error(`Language server exited before answering ${method}`));
+        });
+        this.pendingRequests.clear();
+        this.openDocuments.clear();
+        this.process = null;
+        this.initialized = null;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    // ---- JSON-RPC transport ----
+
+    write(message) {
+        if (!this.process || !this.process.stdin.writable) return;
+
+        const body = Buffer.from(JSON.stringify({ jsonrpc: '2.0', ...message }), 'utf8');
+        this.process.stdin.write(`Content-Length: ${body.length}\r\n\r\n`);
+        this.process.stdin.write(body);
+    }
+
+    sendRequest(method, params) {
+        return new Promise((resolve, reject) => {
+            if (!this.process) {
+                reject(new Error('Language server is not running'));
+                return;
+            }
+            const id = this.nextRequestId++;
+            this.pendingRequests.set(id, { resolve, reject, method });
+            this.write({ id, method, params });
+        });
+    }
+
+    sendNotification(method, params) {
+        this.write({ method, params });
+    }
+
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (true) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) return;
+
+            const header = this.buffer.slice(0, headerEnd).toString('ascii');
+            const lengthMatch = header.match(/Content-Length:\s*(\d+)/i);
+            if (!lengthMatch) {
+                // Corrupt header - drop it and resynchronise on the next one
+                this.buffer = this.buffer.slice(headerEnd + 4);
+                continue;
+            }
+
+            const bodyLength = parseInt(lengthMatch[1]);
+            const messageEnd = headerEnd + 4 + bodyLength;
+            if (this.buffer.length < messageEnd) return;
+
+            const body = this.buffer.slice(headerEnd + 4, messageEnd).toString('utf8');
+            this.buffer = this.buffer.slice(messageEnd);
+
+            try {
+                this.handleMessage(JSON.parse(body));
+            } catch (error) {
+                console.error('Error handling language server message:', error);
+            }
+        }
+    }
+
+    handleMessage(message) {
+        // Response to one of our requests
+        if (message.id !== undefined && !message.method) {
+            const pending = this.pendingRequests.get(message.id);
+            if (!pending) return;
+            this.pendingRequests.delete(message.id);
+            if (message.error) {
+                pending.reject(new Error(message.error.message));
+            } else {
+                pending.resolve(message.result);
+            }
+            return;
+        }
+
+        // Request from the server
+        if (message.id !== undefined) {
+            this.write({ id: message.id, result: this.handleServerRequest(message.method, message.params) });
+            return;
+        }
+
+        // Notification from the server
+        if (message.method === 'textDocument/publishDiagnostics') {
+            this.onDiagnostics({
+                filePath: this.toPath(message.params.uri),
+                diagnostics: message.params.diagnostics || []
+            });
+        } else if (message.method === 'window/logMessage') {
+            console.log('Perl Navigator:', message.params.message);
+        }
+    }
+
+    handleServerRequest(method, params) {
+        switch (method) {
+            case 'workspace/configuration':
+                return (params.items || []).map(item =>
+                    item.section === 'perlnavigator' || !item.section ? this.settings : null
+                );
+            case 'workspace/workspaceFolders':
+                return this.rootPath ? [{ uri: this.toUri(this.rootPath), name: path.basename(this.rootPath) }] : null;
+            default:
+                // client/registerCapability, window/workDoneProgress/create, ...
+                return null;
+        }
+    }
+
+    // ---- Document synchronisation ----
+
+    openDocument(filePath, text) {
+        if (this.openDocuments.has(filePath)) {
+            this.changeDocument(filePath, text);
+            return;
+        }
+        this.openDocuments.set(filePath, 1);
+        this.sendNotification('textDocument/didOpen', {
+            textDocument: { uri: this.toUri(filePath), languageId: 'perl', version: 1, text }
+        });
+    }
+
+    changeDocument(filePath, text) {
+        if (!this.openDocuments.has(filePath)) {
+            this.openDocument(filePath, text);
+            return;
+        }
+        const version = this.openDocuments.get(filePath) + 1;
+        this.openDocuments.set(filePath, version);
+        this.sendNotification('textDocument/didChange', {
+            textDocument: { uri: this.toUri(filePath), version },
+            contentChanges: [{ text }]
+        });
+    }
+
+    saveDocument(filePath) {
+        if (!this.openDocuments.has(filePath)) return;
+        this.sendNotification('textDocument/didSave', {
+            textDocument: { uri: this.toUri(filePath) }
+        });
+    }
+
+    closeDocument(filePath) {
+        if (!this.openDocuments.has(filePath)) return;
+        this.openDocuments.delete(filePath);
+        this.sendNotification('textDocument/didClose', {
+            textDocument: { uri: this.toUri(filePath) }
+        });
+    }
+
+    // ---- Language features ----
+
+    async request(method, filePath, params = {}) {
+        await this.initialized;
+        const result = await this.sendRequest(method, {
+            textDocument: { uri: this.toUri(filePath) },
+            ...params
+        });
+        return this.convertUris(result);
+    }
+
+    // Replace every `uri`/`targetUri` in a result with the matching file path
+    convertUris(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.convertUris(item));
+        }
+        if (value && typeof value === 'object') {
+            const converted = {};
+            Object.entries(value).forEach(([key, item]) => {
+                if ((key === 'uri' || key === 'targetUri') && typeof item === 'string') {
+                    converted.filePath = this.toPath(item);
+                } else {
+                    converted[key] = this.convertUris(item);
+                }
+            });
+            return converted;
+        }
+        return value;
+    }
+
+    toUri(filePath) {
+        return pathToFileURL(filePath).href;
+    }
+
+    toPath(uri) {
+        try {
+            return fileURLToPath(uri);
+        } catch (error) {
+            return uri;
+        }
+    }
+}
+
+module.exports = PerlLanguageServer;
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bump when what a cached module entry holds changes
+const CACHE_VERSION = 2;
+// Anything bigger is generated code or data, not worth parsing
+const MAX_MODULE_SIZE = 2 * 1024 * 1024;
+
+// Catalogue of the modules installed in @INC: name, version, file, export
+// lists and defined subs. Files are read statically (nothing is loaded into
+// perl) and the result is cached on disk; a file is only parsed again when
+// its mtime or size changes.
+class PerlModuleIndexer {
+    constructor(options = {}) {
+        this.resolver = options.resolver; // PerlModuleResolver, for @INC
+        this.cachePath = options.cachePath;
+        this.catalogue = null; // Promise of the current catalogue
+    }
+
+    // { modules: [{ name, version, filePath, exports, exportOk, exportTags, subs }], indexedAt }
+    getCatalogue(options = {}) {
+        if (!this.catalogue || options.refresh) {
+            this.catalogue = this.buildCatalogue().catch(error => {
+                this.catalogue = null; // try again next time
+                throw error;
+            });
+        }
+        return this.catalogue;
+    }
+
+    // Rebuild on the next request, e.g. after @INC changed; the disk cache stays valid
+    reset() {
+        this.catalogue = null;
+    }
+
+    async buildCatalogue() {
+        const started = Date.now();
+        const includePaths = await this.resolver.getIncludePaths();
+        const cache = await this.readCache();
+        const entries = new Map(); // module name -> entry; the first @INC directory wins, as with require
+        const files = {};
+        let parsed = 0;
+
+        for (const dir of includePaths) {
+            for (const filePath of await this.listModuleFiles(dir)) {
+                const name = path.relative(dir, filePath).replace(/\.pm$/, '').split(path.sep).join('::');
+                if (entries.has(name)) continue;
+
+                let stat;
+                try {
+                    stat = await fs.promises.stat(filePath);
+                } catch (error) {
+                    continue;
+                }
+                if (stat.size > MAX_MODULE_SIZE) continue;
+
+                const cached = cache.files[filePath];
+                let entry = cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size ? cached.entry : null;
+                if (!entry) {
+                    try {
+                        entry = this.parseModule(await fs.promises.readFile(filePath, 'utf8'));
+                        parsed++;
+                    } catch (error) {
+                        continue;
+                    }
+                }
+                files[filePath] = { mtimeMs: stat.mtimeMs, size: stat.size, entry };
+                entries.set(name, { name, filePath, ...entry });
+            }
+        }
+
+        await this.writeCache({ version: CACHE_VERSION, files });
+        console.log(`Indexed ${entries.size} Perl modules (${parsed} parsed) in ${Date.now() - started}ms`);
+        return {
+            modules: Array.from(entries.values()).sort((a, b) => a.name.localeCompare(b.name)),
+            indexedAt: new Date().toISOString()
+        };
+    }
+
+    // Every .pm below `dir`; auto/ holds split and XS files, not modules
+    async listModuleFiles(dir) {
+        const files = [];
+        const walk = async (current) => {
+            let dirents;
+            try {
+                dirents = await fs.promises.readdir(current, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+            for (const dirent of dirents) {
+                const fullPath = path.join(current, dirent.name);
+                if (dirent.isDirectory()) {
+                    if (current === dir && dirent.name === 'auto') continue;
+                    // Module path parts are identifiers; skips version and arch directories nested in @INC
+                    if (/^[A-Za-z_]\w*$/.test(dirent.name)) await walk(fullPath);
+                } else if (dirent.isFile() && /^[A-Za-z_]\w*\.pm$/.test(dirent.name)) {
+                    files.push(fullPath);
+                }
+            }
+        };
+        await walk(dir);
+        return files;
+    }
+
+    // { version, exports, exportOk, exportTags, subs } from a module's source
+    parseModule(content) {
+        // Code stops at __END__/__DATA__, and POD examples aren't definitions
+        const code = content
+            .split(/^__(?:END|DATA)__\b/m)[0]
+            .replace(/^=[a-zA-Z][\s\S]*?(?:^=cut\b.*$|(?![\s\S]))/gm, '');
+
+        const version = code.match(/\$VERSION\s*=\s*(?:qv\(\s*)?['"]?v?(\d[\w.]*)/)
+            || code.match(/^\s*package\s+[\w:]+\s+v?(\d[\w.]*)/m);
+
+        // `sub Other::Package::name` defines a sub elsewhere, not one of this module's
+        const subs = new Set();
+        for (const match of code.matchAll(/^\s*sub\s+([A-Za-z_]\w*)(?!\w|::|')/gm)) {
+            subs.add(match[1]);
+        }
+
+        const exportTags = {};
+        const tags = code.match(/%EXPORT_TAGS\s*=\s*\(([\s\S]*?)\)\s*;/);
+        if (tags) {
+            for (const match of tags[1].matchAll(/['"]?(\w+)['"]?\s*=>\s*\[([^\]]*)\]/g)) {
+                exportTags[match[1]] = this.parseWordList(match[2]);
+            }
+        }
+
+        return {
+            version: version ? version[1].replace(/[._]$/, '') : null,
+            exports: this.findExportList(code, 'EXPORT'),
+            exportOk: this.findExportList(code, 'EXPORT_OK'),
+            exportTags,
+            subs: Array.from(subs)
+        };
+    }
+
+    // Names assigned or pushed to @EXPORT / @EXPORT_OK
+    findExportList(code, variable) {
+        const names = new Set();
+        const pattern = new RegExp(`(?:@${variable}\\s*=|push\\s*\\(?\\s*@${variable}\\s*,)\\s*([^;]*);`, 'g');
+        for (const match of code.matchAll(pattern)) {
+            this.parseWordList(match[1]).forEach(name => names.add(name));
+        }
+        return Array.from(names);
+    }
+
+    // qw(a b), ('a', "b"), or a mix; sigils other than & are kept, & is dropped
+    parseWordList(text) {
+        const words = [];
+        for (const match of text.matchAll(/qw\s*[([{<\/|!]([^)\]}>\/|!]*)/g)) {
+            words.push(...match[1].split(/\s+/));
+        }
+        for (const match of text.replace(/qw\s*[([{<\/|!][^)\]}>\/|!]*./g, '').matchAll(/['"]([^'"]+)['"]/g)) {
+            words.push(match[1]);
+        }
+        return words
+            .map(word => word.replace(/^&/, ''))
+            .filter(word => /^[$@%]?[A-Za-z_]\w*$|^:\w+$/.test(word));
+    }
+
+    async readCache() {
+        try {
+            const cache = JSON.parse(await fs.promises.readFile(this.cachePath, 'utf8'));
+            if (cache.version === CACHE_VERSION && cache.files) return cache;
+        } catch (error) {
+            // No cache yet, or an unreadable one; start over
+        }
+        return { version: CACHE_VERSION, files: {} };
+    }
+
+    async writeCache(cache) {
+        try {
+            await fs.promises.writeFile(this.cachePath, JSON.stringify(cache));
+        } catch (error) {
+            console.error('Could not write the module catalogue cache:', error.message);
+        }
+    }
+}
+
+module.exports = PerlModuleIndexer;
@@ -0,0 +1,64 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Maps module names (Data::Dumper) to files the way `require` does: the
+// workspace's lib/ folders first, then the configured perl's @INC.
+class PerlModuleResolver {
+    constructor(options = {}) {
+        this.environment = options.environment; // PerlEnvironment: interpreter and PERL5LIB
+        this.includePaths = null; // Promise of the interpreter's @INC, fetched once
+    }
+
+    getIncludePaths() {
+        if (!this.includePaths) {
+            const perlPath = this.environment.perlPath;
+            this.includePaths = new Promise((resolve) => {
+                execFile(perlPath, ['-e', 'print join("\\n", @INC)'], { timeout: 10000, env: this.environment.getEnv() }, (error, stdout) => {
+                    if (error) {
+                        console.error('Could not read @INC from', perlPath, error.message);
+                        this.includePaths = null; // try again next time
+                        resolve([]);
+                        return;
+                    }
+                    resolve(stdout.split('\n').filter(dir => dir && dir !== '.'));
+                });
+            });
+        }
+        return this.includePaths;
+    }
+
+    // Forget @INC after the interpreter or its environment changed
+    reset() {
+        this.includePaths = null;
+    }
+
+    getWorkspaceIncludePaths(rootPath) {
+        if (!rootPath) return [];
+        return [path.join(rootPath, 'lib'), path.join(rootPath, 't', 'lib')];
+    }
+
+    // Returns { filePath, inWorkspace } or null when the module isn't installed
+    async resolve(moduleName, rootPath) {
+        if (!/^[A-Za-z_]\w*(?:::\w+)*$/.test(moduleName)) return null;
+
+        const relativePath = path.join(...moduleName.split('::')) + '.pm';
+        const searchPaths = this.getWorkspaceIncludePaths(rootPath).concat(await this.getIncludePaths());
+
+        for (const dir of searchPaths) {
+            const filePath = path.join(dir, relativePath);
+            try {
+                await fs.promises.access(filePath, fs.constants.R_OK);
+            } catch (error) {
+                continue;
+            }
+            return {
+                filePath,
+                inWorkspace: !!rootPath && filePath.startsWith(rootPath + path.sep)
+            };
+        }
+        return null;
+    }
+}
+
+module.exports = PerlModuleResolver;
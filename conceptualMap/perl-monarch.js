@@ -0,0 +1,363 @@
+// Perl syntax highlighting for Monaco, shared by the conceptualMap editor and
+// code-area/index.html. Loaded as a plain <script>, so it only defines globals.
+
+const PERL_LANGUAGE_CONFIGURATION = {
+    comments: { lineComment: '#' },
+    brackets: [['{', '}'], ['[', ']'], ['(', ')']],
+    autoClosingPairs: [
+        { open: '{', close: '}' },
+        { open: '[', close: ']' },
+        { open: '(', close: ')' },
+        { open: '"', close: '"', notIn: ['string'] },
+        { open: "'", close: "'", notIn: ['string', 'comment'] },
+        { open: '`', close: '`', notIn: ['string', 'comment'] }
+    ],
+    surroundingPairs: [
+        { open: '{', close: '}' },
+        { open: '[', close: ']' },
+        { open: '(', close: ')' },
+        { open: '"', close: '"' },
+        { open: "'", close: "'" },
+        { open: '`', close: '`' }
+    ]
+};
+
+const PERL_MONARCH_LANGUAGE = (() => {
+    // Bracketing delimiters nest (`q{ {} }`); every other delimiter simply repeats
+    const bracketPairs = { '(': ')', '[': ']', '{': '}', '<': '>' };
+    const plainDelimiters = ['/', '|', '!', '~', '^', '+', '"', "'", '`', '#'];
+
+    const escapeForRegex = (text) => text.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+
+    // Quote-like operators and the state that tokenizes their first part
+    const quoteOperators = [
+        { ops: 'qw|q', state: 'qBody', token: 'string.delim' },
+        { ops: 'qq|qx', state: 'qqBody', token: 'string.delim' },
+        { ops: 'qr|m', state: 'regexBody', token: 'regexp.delim' },
+        { ops: 's', state: 'substPattern', token: 'regexp.delim' },
+        { ops: 'tr|y', state: 'translitSearch', token: 'string.delim' }
+    ];
+
+    const quoteRules = [];
+    quoteOperators.forEach(({ ops, state, token }) => {
+        // s{...}{...} and tr[...][...] need a second bracketed part; s/../../ does not
+        const bracketSuffix = state === 'substPattern' || state === 'translitSearch' ? 'Bracket' : '';
+        const plainSuffix = bracketSuffix ? 'Same' : '';
+
+        Object.entries(bracketPairs).forEach(([open, close]) => {
+            quoteRules.push([
+                new RegExp(`(?:${ops})\\s*${escapeForRegex(open)}`),
+                { token, next: `@${state}${bracketSuffix}.${open}.${close}` }
+            ]);
+        });
+        plainDelimiters.forEach(delimiter => {
+            // `q #...` starts a comment; only `q#...#` is a quote
+            const gap = delimiter === '#' ? '' : '\\s*';
+            quoteRules.push([
+                new RegExp(`(?:${ops})${gap}${escapeForRegex(delimiter)}`),
+                { token, next: `@${state}${plainSuffix}.${delimiter}.${delimiter}` }
+            ]);
+        });
+    });
+
+    // Opening the second part of s{..}{..} / tr{..}{..}
+    const secondPartRules = (state, token) => [
+        [/[ \t\n]+/, 'white'],
+        [/#[^\n]*/, 'comment'],
+        ...Object.entries(bracketPairs).map(([open, close]) => [
+            new RegExp(escapeForRegex(open)),
+            { token, switchTo: `@${state}.${open}.${close}` }
+        ]),
+        ...plainDelimiters.filter(delimiter => delimiter !== '#').map(delimiter => [
+            new RegExp(escapeForRegex(delimiter)),
+            { token, switchTo: `@${state}.${delimiter}.${delimiter}` }
+        ])
+    ];
+
+    // Body of a delimited construct. `onClose` is the action for the closing
+    // delimiter; an opening bracket pushes a nested copy so pairs balance.
+    const delimitedBody = ({ token, escapes, interpolate, onClose, nested }) => [
+        ...(interpolate ? [{ include: interpolate }] : []),
+        [escapes, `${token}.escape`],
+        [/[\w \t\n]+/, token],
+        [/./, {
+            cases: {
+                '$#==$S3': onClose,
+                '$#==$S2': { token, next: `@${nested}.$S2.$S3` },
+                '@default': token
+            }
+        }]
+    ];
+    const nestedBody = (token, escapes, interpolate, name) => delimitedBody({
+        token, escapes, interpolate, nested: name, onClose: { token, next: '@pop' }
+    });
+
+    const singleQuoteEscapes = /\\[\\'"`\/|!~^+#(){}\[\]<>]/;
+    const anyEscape = /\\./;
+
+    return {
+        defaultToken: '',
+        tokenPostfix: '.perl',
+        // Lines are tokenized with their trailing \n so heredocs can start on the next line
+        includeLF: true,
+
+        brackets: [
+            { open: '{', close: '}', token: 'delimiter.curly' },
+            { open: '[', close: ']', token: 'delimiter.square' },
+            { open: '(', close: ')', token: 'delimiter.parenthesis' }
+        ],
+
+        keywords: [
+            'my', 'our', 'local', 'state', 'sub', 'package', 'use', 'no', 'require',
+            'if', 'elsif', 'else', 'unless', 'while', 'until', 'for', 'foreach', 'do',
+            'last', 'next', 'redo', 'goto', 'return', 'continue', 'given', 'when', 'default',
+            'and', 'or', 'not', 'xor', 'eq', 'ne', 'lt', 'gt', 'le', 'ge', 'cmp', 'x',
+            'eval', 'defined', 'undef', 'wantarray', 'BEGIN', 'END', 'INIT', 'CHECK',
+            'UNITCHECK', 'DESTROY', 'AUTOLOAD', '__PACKAGE__', '__FILE__', '__LINE__', '__SUB__'
+        ],
+
+        builtinFunctions: [
+            'abs', 'accept', 'alarm', 'atan2', 'bind', 'binmode', 'bless', 'caller', 'chdir',
+            'chmod', 'chomp', 'chop', 'chown', 'chr', 'chroot', 'close', 'closedir', 'connect',
+            'cos', 'crypt', 'dbmclose', 'dbmopen', 'delete', 'die', 'dump', 'each', 'eof', 'exec',
+            'exists', 'exit', 'exp', 'fcntl', 'fileno', 'flock', 'fork', 'format', 'formline',
+            'getc', 'getlogin', 'getpeername', 'getpgrp', 'getppid', 'getpriority', 'glob',
+            'gmtime', 'grep', 'hex', 'index', 'int', 'ioctl', 'join', 'keys', 'kill', 'lc',
+            'lcfirst', 'length', 'link', 'listen', 'localtime', 'lock', 'log', 'lstat', 'map',
+            'mkdir', 'oct', 'open', 'opendir', 'ord', 'pack', 'pipe', 'pop', 'pos', 'print',
+            'printf', 'prototype', 'push', 'quotemeta', 'rand', 'read', 'readdir', 'readline',
+            'readlink', 'readpipe', 'recv', 'ref', 'rename', 'reset', 'reverse', 'rewinddir',
+            'rindex', 'rmdir', 'say', 'scalar', 'seek', 'seekdir', 'select', 'send', 'setpgrp',
+            'setpriority', 'shift', 'shutdown', 'sin', 'sleep', 'socket', 'socketpair', 'sort',
+            'splice', 'split', 'sprintf', 'sqrt', 'srand', 'stat', 'study', 'substr', 'symlink',
+            'syscall', 'sysopen', 'sysread', 'sysseek', 'system', 'syswrite', 'tell', 'telldir',
+            'tie', 'tied', 'time', 'times', 'truncate', 'uc', 'ucfirst', 'umask', 'unlink',
+            'unpack', 'unshift', 'untie', 'utime', 'values', 'vec', 'wait', 'waitpid', 'warn', 'write'
+        ],
+
+        builtinVariables: [
+            '$_', '@_', '$ARGV', '@ARGV', '%ENV', '@INC', '%INC', '%SIG', '$a', '$b',
+            'STDIN', 'STDOUT', 'STDERR', 'ARGV', 'DATA'
+        ],
+
+        tokenizer: {
+            root: [
+                { include: '@code' }
+            ],
+
+            code: [
+                [/^#![^\n]*/, 'metatag'],
+                [/^=[A-Za-z]\w*/, { token: 'keyword.pod', next: '@pod' }],
+                [/^__(?:END|DATA)__\b[^\n]*/, { token: 'keyword', next: '@dataSection' }],
+                [/[ \t\n]+/, 'white'],
+
+                // Heredocs: <<"EOF", <<'EOF', <<EOF, <<~EOF
+                [/<<~?\s*"([A-Za-z_]\w*)"/, { token: 'string.heredoc.delimiter', next: '@heredocPending.$1.qq' }],
+                [/<<~?\s*'([A-Za-z_]\w*)'/, { token: 'string.heredoc.delimiter', next: '@heredocPending.$1.q' }],
+                [/<<~?([A-Za-z_]\w*)/, { token: 'string.heredoc.delimiter', next: '@heredocPending.$1.qq' }],
+
+                // Variables come before comments so `$#array` is not a comment
+                { include: '@variables' },
+
+                // Regex after a binding operator is unambiguous
+                [/([=!]~)(\s*)(\/)/, ['operator', 'white', { token: 'regexp.delim', next: '@regexBody././' }]],
+
+                // Barewords before a fat comma are strings (`s => 1`, `q => 2`)
+                [/-?[A-Za-z_]\w*(?=\s*=>)/, 'string'],
+
+                // File test operators (-e $file, -s $file, ...)
+                [/-[rwxoRWXOezsfdlpSbcugktTBAMC](?=\s)/, 'operator'],
+
+                ...quoteRules,
+
+                [/#[^\n]*/, 'comment'],
+
+                [/(sub)(\s+)([A-Za-z_][\w:]*)/, ['keyword', 'white', 'entity.name.function']],
+                [/(package|use|no|require)(\s+)([A-Za-z_][\w:]*)/, ['keyword', 'white', 'type']],
+                [/(->)(\s*)([A-Za-z_]\w*)/, ['operator', 'white', 'entity.name.function']],
+
+                [/[A-Za-z_]\w*(?:::\w+)+/, 'type'],
+                [/[A-Za-z_]\w*/, {
+                    cases: {
+                        '@keywords': 'keyword',
+                        '@builtinFunctions': 'type.identifier',
+                        '@builtinVariables': 'variable.predefined',
+                        '@default': 'identifier'
+                    }
+                }],
+
+                [/"/, { token: 'string.delim', next: '@qqBody."."' }],
+                [/'/, { token: 'string.delim', next: "@qBody.'.'" }],
+                [/`/, { token: 'string.delim', next: '@qqBody.`.`' }],
+
+                [/0[xX][0-9a-fA-F_]+/, 'number.hex'],
+                [/0[bB][01_]+/, 'number.binary'],
+                [/\d[\d_]*(?:\.[\d_]+)?(?:[eE][+-]?\d+)?/, 'number'],
+
+                // A bare /.../ is a regex when it is followed by something that ends an expression
+                [/\/(?:\\.|[^\/\\\n])+\/[a-z]*(?=\s*(?:[);,}\]\n]|=>|and\b|or\b|if\b|unless\b|&&|\|\|))/, 'regexp'],
+
+                // Readline: <STDIN>, <$fh>, <>
+                [/<(?:\$?[A-Za-z_]\w*)?>/, 'variable.predefined'],
+
+                [/[{}()\[\]]/, '@brackets'],
+                [/[-+*\/%=!<>&|^~?:.\\]+/, 'operator'],
+                [/[;,]/, 'delimiter']
+            ],
+
+            variables: [
+                [/[$@%]\{\^\w+\}/, 'variable.predefined'],
+                [/\$\^\w/, 'variable.predefined'],
+                [/\$#\$*[A-Za-z_]\w*/, 'variable'],
+                [/\$#(?=[{$])/, 'variable'],
+                [/[$@%&]\$*(?:::)?[A-Za-z_]\w*(?:::\w+)*/, {
+                    cases: {
+                        '@builtinVariables': 'variable.predefined',
+                        '@default': 'variable'
+                    }
+                }],
+                [/[$@%](?=\{)/, 'variable'],
+                [/\$(?:\d+|[&`'+!@\/\\,;.$?|])/, 'variable.predefined']
+            ],
+
+            // Variables interpolated into "...", qq{}, heredocs and s///e replacements
+            interpolation: [
+                [/[$@]\{[^}\n]*\}/, 'variable'],
+                [/[$@]\$*(?:::)?[A-Za-z_]\w*(?:::\w+)*(?:(?:->)?(?:\[[^\]\n]*\]|\{[^}\n]*\}))*/, 'variable'],
+                [/\$(?:\d+|[&`'+!@\/\\,;.$])/, 'variable.predefined']
+            ],
+
+            // Regexes interpolate too, but `$)` or `$/` inside a pattern are anchors
+            regexInterpolation: [
+                [/[$@]\{[^}\n]*\}/, 'variable'],
+                [/[$@]\$*[A-Za-z_]\w*(?:::\w+)*(?:(?:->)?(?:\[[^\]\n]*\]|\{[^}\n]*\}))*/, 'variable'],
+                [/\$\d+/, 'variable.predefined']
+            ],
+
+            // ---- Strings and quote-like operators ----
+
+            qBody: delimitedBody({
+                token: 'string', escapes: singleQuoteEscapes, nested: 'qNested',
+                onClose: { token: 'string.delim', next: '@pop' }
+            }),
+            qNested: nestedBody('string', singleQuoteEscapes, null, 'qNested'),
+
+            qqBody: delimitedBody({
+                token: 'string', escapes: anyEscape, interpolate: '@interpolation', nested: 'qqNested',
+                onClose: { token: 'string.delim', next: '@pop' }
+            }),
+            qqNested: nestedBody('string', anyEscape, '@interpolation', 'qqNested'),
+
+            regexBody: delimitedBody({
+                token: 'regexp', escapes: anyEscape, interpolate: '@regexInterpolation', nested: 'regexNested',
+                onClose: { token: 'regexp.delim', switchTo: '@regexModifiers' }
+            }),
+            regexNested: nestedBody('regexp', anyEscape, '@regexInterpolation', 'regexNested'),
+
+            regexModifiers: [
+                [/[a-zA-Z]*/, { token: 'regexp.modifier', next: '@pop' }]
+            ],
+
+            // s/pattern/replacement/ and s{pattern}{replacement}
+            substPatternSame: delimitedBody({
+                token: 'regexp', escapes: anyEscape, interpolate: '@regexInterpolation', nested: 'regexNested',
+                onClose: { token: 'regexp.delim', switchTo: '@substReplacement.$S2.$S3' }
+            }),
+            substPatternBracket: delimitedBody({
+                token: 'regexp', escapes: anyEscape, interpolate: '@regexInterpolation', nested: 'regexNested',
+                onClose: { token: 'regexp.delim', switchTo: '@substGap' }
+            }),
+            substGap: secondPartRules('substReplacement', 'regexp.delim'),
+            substReplacement: delimitedBody({
+                token: 'string', escapes: anyEscape, interpolate: '@interpolation', nested: 'qqNested',
+                onClose: { token: 'regexp.delim', switchTo: '@regexModifiers' }
+            }),
+
+            // tr/search/replace/ and tr{search}{replace}
+            translitSearchSame: delimitedBody({
+                token: 'string', escapes: anyEscape, nested: 'qNested',
+                onClose: { token: 'string.delim', switchTo: '@translitReplacement.$S2.$S3' }
+            }),
+            translitSearchBracket: delimitedBody({
+                token: 'string', escapes: anyEscape, nested: 'qNested',
+                onClose: { token: 'string.delim', switchTo: '@translitGap' }
+            }),
+            translitGap: secondPartRules('translitReplacement', 'string.delim'),
+            translitReplacement: delimitedBody({
+                token: 'string', escapes: anyEscape, nested: 'qNested',
+                onClose: { token: 'string.delim', switchTo: '@regexModifiers' }
+            }),
+
+            // ---- Heredocs ----
+
+            // Rest of the line holding the <<TAG; the body starts on the next line.
+            // State name carries the terminator ($S2) and the quoting style ($S3).
+            heredocPending: [
+                [/[ \t]*\n/, { token: 'white', switchTo: '@heredoc_$S3.$S2' }],
+                { include: '@code' }
+            ],
+
+            heredoc_qq: [
+                [/^\s*([A-Za-z_]\w*)(?=\n)/, {
+                    cases: {
+                        '$1==$S2': { token: 'string.heredoc.delimiter', next: '@pop' },
+                        '@default': 'string.heredoc'
+                    }
+                }],
+                { include: '@interpolation' },
+                [/\\./, 'string.escape'],
+                [/[^\\$@\n]+/, 'string.heredoc'],
+                [/[\s\S]/, 'string.heredoc']
+            ],
+
+            heredoc_q: [
+                [/^\s*([A-Za-z_]\w*)(?=\n)/, {
+                    cases: {
+                        '$1==$S2': { token: 'string.heredoc.delimiter', next: '@pop' },
+                        '@default': 'string.heredoc'
+                    }
+                }],
+                [/[^\n]+/, 'string.heredoc'],
+                [/\n/, 'string.heredoc']
+            ],
+
+            // ---- POD and data sections ----
+
+            pod: [
+                [/^=cut\b[^\n]*/, { token: 'keyword.pod', next: '@pop' }],
+                [/^=[A-Za-z]\w*/, 'keyword.pod'],
+                [/[^\n]+/, 'comment.pod'],
+                [/\n/, 'comment.pod']
+            ],
+
+            // Everything after __END__ / __DATA__ is data, apart from embedded POD
+            dataSection: [
+                [/^=[A-Za-z]\w*/, { token: 'keyword.pod', next: '@pod' }],
+                [/[^\n]+/, 'comment.data'],
+                [/\n/, 'comment.data']
+            ]
+        }
+    };
+})();
+
+// Register (or re-register) Perl with the given Monaco instance
+function registerPerlLanguage(monaco) {
+    if (!monaco.languages.getLanguages().some(lang => lang.id === 'perl')) {
+        monaco.languages.register({ id: 'perl', extensions: ['.pl', '.pm', '.t', '.perl'], aliases: ['Perl', 'perl'] });
+    }
+
+    monaco.languages.setMonarchTokensProvider('perl', PERL_MONARCH_LANGUAGE);
+    monaco.languages.setLanguageConfiguration('perl', PERL_LANGUAGE_CONFIGURATION);
+
+    // Monaco's bundled Perl support applies its own language configuration when
+    // the first Perl model appears; put ours back once that module has loaded
+    monaco.languages.onLanguage('perl', () => {
+        require(['vs/basic-languages/perl/perl'], () => {
+            setTimeout(() => monaco.languages.setLanguageConfiguration('perl', PERL_LANGUAGE_CONFIGURATION), 0);
+        }, () => { });
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PERL_LANGUAGE_CONFIGURATION, PERL_MONARCH_LANGUAGE, registerPerlLanguage };
+}
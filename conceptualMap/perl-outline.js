@@ -0,0 +1,255 @@
+// Outline of the active Perl tab, shown in the Bitools panel. Packages hold
+// their subs, constants and Moose/Moo attributes; =head2 sits under =head1.
+class PerlOutline {
+    constructor(monacoEditor) {
+        this.monacoEditor = monacoEditor;
+        this.tree = document.getElementById('outline-tree');
+        this.fileLabel = document.getElementById('outline-file');
+        this.refreshTimeout = null;
+        this.listeners = [];
+        this.clear();
+    }
+
+    // Follow a (re)created Monaco editor; tab switches go through setValue,
+    // so content changes cover both editing and switching files
+    attach(editor) {
+        this.listeners.forEach(listener => listener.dispose());
+        this.listeners = [
+            editor.onDidChangeModelContent(() => this.scheduleRefresh()),
+            editor.onDidChangeModelLanguage(() => this.scheduleRefresh())
+        ];
+        this.scheduleRefresh();
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimeout);
+        this.refreshTimeout = setTimeout(() => this.refresh(), 300);
+    }
+
+    refresh() {
+        const { editor, activeTab } = this.monacoEditor;
+        if (!editor || !activeTab) {
+            this.clear();
+            return;
+        }
+
+        const tabData = this.monacoEditor.openTabs.get(activeTab);
+        this.fileLabel.textContent = tabData ? tabData.name : activeTab;
+
+        if (!this.monacoEditor.isPerlFile(activeTab)) {
+            this.showMessage('No outline for this file type');
+            return;
+        }
+
+        const symbols = PerlOutline.parseSymbols(editor.getValue());
+        if (symbols.length === 0) {
+            this.showMessage('No packages, subs or POD headings found');
+            return;
+        }
+        this.render(symbols);
+    }
+
+    clear() {
+        clearTimeout(this.refreshTimeout);
+        if (this.fileLabel) this.fileLabel.textContent = 'No file open';
+        this.showMessage('Open a Perl file to see its outline');
+    }
+
+    showMessage(message) {
+        if (!this.tree) return;
+        this.tree.innerHTML = '';
+        const empty = document.createElement('div');
+        empty.className = 'outline-empty';
+        empty.textContent = message;
+        this.tree.appendChild(empty);
+    }
+
+    // ---- Parsing ----
+
+    // Line-based scan; skips heredoc bodies and only looks for code symbols
+    // outside POD and before __END__/__DATA__. Also used by PerlWorkspaceIndex.
+    static parseSymbols(code) {
+        const symbols = [];
+        const lines = code.split(/\r?\n/);
+        let currentPackage = null;
+        let currentHead1 = null;
+        let inPod = false;
+        let afterEnd = false;
+        let heredocTerminators = [];
+        let inConstantBlock = false;
+
+        const addCodeSymbol = (symbol) => {
+            (currentPackage ? currentPackage.children : symbols).push(symbol);
+        };
+
+        lines.forEach((text, index) => {
+            const line = index + 1;
+
+            if (heredocTerminators.length > 0) {
+                if (text.trim() === heredocTerminators[0]) heredocTerminators.shift();
+                return;
+            }
+
+            if (/^=[A-Za-z]/.test(text)) {
+                inPod = !/^=cut\b/.test(text);
+                const heading = text.match(/^=head([12])\s+(.+)/);
+                if (heading) {
+                    const symbol = this.createSymbol(heading[2].trim(), 'pod', line, heading[0].indexOf(heading[2]) + 1);
+                    if (heading[1] === '1' || !currentHead1) {
+                        symbols.push(symbol);
+                        currentHead1 = heading[1] === '1' ? symbol : currentHead1;
+                    } else {
+                        currentHead1.children.push(symbol);
+                    }
+                }
+                return;
+            }
+            if (inPod || afterEnd) return;
+
+            if (/^__(END|DATA)__\b/.test(text)) {
+                afterEnd = true;
+                return;
+            }
+
+            if (inConstantBlock) {
+                this.matchAll(text, /(?:^|[,{\s])(\w+)\s*=>/g).forEach(([name, column]) => {
+                    addCodeSymbol(this.createSymbol(name, 'constant', line, column));
+                });
+                if (text.includes('}')) inConstantBlock = false;
+            } else {
+                this.parseCodeLine(text, line, addCodeSymbol, (symbol) => {
+                    currentPackage = symbol;
+                    symbols.push(symbol);
+                }, () => {
+                    inConstantBlock = true;
+                });
+            }
+
+            heredocTerminators = heredocTerminators.concat(this.findHeredocs(text));
+        });
+
+        return symbols;
+    }
+
+    static parseCodeLine(text, line, addCodeSymbol, addPackage, startConstantBlock) {
+        let match = text.match(/^(\s*package\s+)([A-Za-z_][\w:]*)/);
+        if (match) {
+            addPackage(this.createSymbol(match[2], 'package', line, match[1].length + 1));
+            return;
+        }
+
+        match = text.match(/^(\s*(?:(?:my|our|state)\s+)?sub\s+)([A-Za-z_][\w:]*)/);
+        if (match) {
+            addCodeSymbol(this.createSymbol(match[2], 'sub', line, match[1].length + 1));
+            return;
+        }
+
+        match = text.match(/^\s*use\s+constant\s*(\{)?/);
+        if (match) {
+            const rest = text.slice(match[0].length);
+            if (match[1]) {
+                // use constant { A => 1, B => 2 };
+                this.matchAll(rest, /(?:^|[,{\s])(\w+)\s*=>/g).forEach(([name, column]) => {
+                    addCodeSymbol(this.createSymbol(name, 'constant', line, match[0].length + column));
+                });
+                if (!rest.includes('}')) startConstantBlock();
+            } else {
+                const name = rest.match(/^\s*(\w+)/);
+                if (name) {
+                    addCodeSymbol(this.createSymbol(name[1], 'constant', line, match[0].length + name[0].length - name[1].length + 1));
+                }
+            }
+            return;
+        }
+
+        // has 'name' => (...), has name => ..., has [qw(a b)] => ..., has '+name'
+        match = text.match(/^(\s*has\s+)(.+?)\s*=>/);
+        if (match) {
+            const names = match[2].replace(/^\[|\]$/g, '').replace(/\bqw\s*[(\[{\/]|[)\]}\/]/g, ' ');
+            this.matchAll(names, /[+\w]+/g).forEach(([name]) => {
+                const column = text.indexOf(name, match[1].length) + 1;
+                addCodeSymbol(this.createSymbol(name, 'attribute', line, column));
+            });
+        }
+    }
+
+    // Terminators of heredocs started on this line, in order
+    static findHeredocs(text) {
+        const withoutComment = text.replace(/(^|\s)#.*$/, '$1');
+        return this.matchAll(withoutComment, /<<~?(?:\s*"(\w+)"|\s*'(\w+)'|([A-Za-z_]\w*))/g)
+            .map(([, , groups]) => groups.find(Boolean));
+    }
+
+    // [[captured name, 1-based column of the capture, all captures], ...]
+    static matchAll(text, regex) {
+        return Array.from(text.matchAll(regex)).map(match => {
+            const name = match[1] || match[0];
+            return [name, match.index + match[0].indexOf(name) + 1, match.slice(1)];
+        });
+    }
+
+    static createSymbol(name, kind, line, column) {
+        return { name, kind, line, column, children: [] };
+    }
+
+    // ---- Rendering ----
+
+    render(symbols) {
+        this.tree.innerHTML = '';
+        symbols.forEach(symbol => this.tree.appendChild(this.createItem(symbol)));
+    }
+
+    createItem(symbol) {
+        const item = document.createElement('div');
+        item.className = 'outline-item';
+
+        const row = document.createElement('div');
+        row.className = 'outline-row';
+        row.title = `${symbol.name} (line ${symbol.line})`;
+
+        const icon = document.createElement('span');
+        icon.className = `outline-icon outline-icon-${symbol.kind}`;
+
+        const name = document.createElement('span');
+        name.className = 'outline-name';
+        name.textContent = symbol.name;
+
+        const line = document.createElement('span');
+        line.className = 'outline-line';
+        line.textContent = symbol.line;
+
+        row.append(icon, name, line);
+        row.addEventListener('click', () => this.reveal(symbol));
+        item.appendChild(row);
+
+        if (symbol.children.length > 0) {
+            const children = document.createElement('div');
+            children.className = 'outline-children';
+            symbol.children.forEach(child => children.appendChild(this.createItem(child)));
+            item.appendChild(children);
+        }
+        return item;
+    }
+
+    reveal(symbol) {
+        const { activeTab } = this.monacoEditor;
+        if (!activeTab) return;
+
+        this.monacoEditor.revealLocation(activeTab, {
+            startLineNumber: symbol.line,
+            startColumn: symbol.column,
+            endLineNumber: symbol.line,
+            endColumn: symbol.column + symbol.name.length
+        });
+    }
+
+    dispose() {
+        clearTimeout(this.refreshTimeout);
+        this.listeners.forEach(listener => listener.dispose());
+        this.listeners = [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerlOutline;
+}
@@ -0,0 +1,100 @@
+const { spawn } = require('child_process');
+
+// Makes STDOUT unbuffered, so output reaches the Output tab as it is printed
+// rather than when perl's buffer fills; -M text is put in the program as is
+const AUTOFLUSH = '-M5;$|=1';
+
+// Runs a script with the workspace's perl, one at a time: starting another
+// stops the one still running. Output and the exit reach the renderer
+// through onEvent:
+//   { event: 'output', stream: 'stdout' | 'stderr', text }
+//   { event: 'exited', code, signal, duration }  (duration in ms)
+// The program gets no input; STDIN is at end of file.
+class PerlRunner {
+    constructor(options = {}) {
+        this.onEvent = options.onEvent || (() => { });
+        this.process = null;
+    }
+
+    // options: { scriptPath, args, perlPath, cwd, env }
+    start(options) {
+        this.stop();
+
+        const startTime = Date.now();
+        const child = spawn(options.perlPath || 'perl', [AUTOFLUSH, options.scriptPath, ...(options.args || [])], {
+            cwd: options.cwd,
+            env: options.env || process.env,
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        this.process = child;
+        child.stdin.end();
+
+        ['stdout', 'stderr'].forEach(stream => {
+            child[stream].setEncoding('utf8');
+            child[stream].on('data', (text) => {
+                if (this.process === child) this.onEvent({ event: 'output', stream, text });
+            });
+        });
+        child.on('error', (error) => {
+            if (this.process !== child) return;
+            this.process = null;
+            this.onEvent({ event: 'output', stream: 'stderr', text: `Failed to start ${options.perlPath || 'perl'}: ${error.message}\n` });
+            this.onEvent({ event: 'exited', code: null, signal: null, duration: Date.now() - startTime });
+        });
+        // 'close' rather than 'exit': the last of the output has been read by then
+        child.on('close', (code, signal) => {
+            if (this.process !== child) return;
+            this.process = null;
+            this.onEvent({ event: 'exited', code, signal, duration: Date.now() - startTime });
+        });
+    }
+
+    // The killed run reports nothing more
+    stop() {
+        if (!this.process) return false;
+        const child = this.process;
+        this.process = null;
+        child.kill();
+        return true;
+    }
+
+    // Splits a command line the way a POSIX shell would, without expanding
+    // anything: 'single' and "double" quotes, and backslash escapes
+    static splitArguments(text) {
+        const args = [];
+        let current = null;
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote === "'") {
+                if (char === "'") {
+                    quote = null;
+                } else {
+                    current += char;
+                }
+            } else if (char === '\\' && i + 1 < text.length && (!quote || /["\\$`]/.test(text[i + 1]))) {
+                current = (current || '') + text[++i];
+            } else if (quote === '"') {
+                if (char === '"') {
+                    quote = null;
+                } else {
+                    current += char;
+                }
+            } else if (char === "'" || char === '"') {
+                quote = char;
+                current = current || '';
+            } else if (/\s/.test(char)) {
+                if (current !== null) args.push(current);
+                current = null;
+            } else {
+                current = (current || '') + char;
+            }
+        }
+        if (quote) throw new Error(`Unterminated ${quote} quote in the arguments`);
+        if (current !== null) args.push(current);
+        return args;
+    }
+}
+
+module.exports = PerlRunner;
@@ -0,0 +1,237 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PerlScopeAnalyzer = require('./perl-scope-analyzer');
+
+// Whole `use` statements dropped: they add untrusted directories to @INC or
+// run code handed to them (source filters, Inline's compiler, attribute handlers)
+const SKIPPED_MODULES = /^(?:lib|Inline|Filter|Attribute::Handlers)(?:::|$)/;
+// Phase blocks perl -c runs. A bare block becomes `if(0)` so its code is still
+// compiled; `sub BEGIN` (or `sub Foo::BEGIN`) is renamed to a plain sub
+const PHASE_BLOCK = /\b(?:BEGIN|UNITCHECK|CHECK)\b/g;
+// Called by perl while compiling `sub x :Attr`
+const ATTRIBUTE_HANDLER = /\b(?:MODIFY|FETCH)_\w+_ATTRIBUTES\b/g;
+const USE_STATEMENT = /(?<![\w$@%&:>])\b(?:use|no)\s+(?!v\d)([A-Za-z_][\w:]*)/g;
+// Tokens of an import list that can't run anything: plain strings, qw lists,
+// numbers, and barewords only where => quotes them (-fork on its own forks)
+const LITERAL_TOKEN = /\s+|#[^\n]*|'(?:[^'\\]|\\.)*'|"(?:[^"\\$@]|\\[^$@])*"|qw?\s*(?:\([^()]*\)|\[[^\][]*\]|\{[^{}]*\}|<[^<>]*>|([^\w\s])(?:(?!\1)[^\\]|\\.)*\1)|v?\d[\d_.]*(?:e[+-]?\d+)?|-?[A-Za-z_][\w:]*(?=\s*=>)|=>|,|[()[\]{}]/y;
+
+const TIMEOUT = 5000; // ms
+const CPU_SECONDS = 5;
+const MEMORY_KB = 1024 * 1024;
+const FILE_BLOCKS = 1024; // largest file the check may write
+// Put before the code: sockets perl opens itself fail, wherever the process
+// can't be taken off the network
+const NO_SOCKETS = 'BEGIN { *CORE::GLOBAL::socket = *CORE::GLOBAL::socketpair = sub { $! = 13; return } } ';
+const MACOS_SANDBOX = '/usr/bin/sandbox-exec';
+
+// perl -c for folders that aren't trusted. perl -c runs BEGIN blocks and every
+// `use`, so the code is rewritten first: phase blocks become dead code, import
+// lists that are more than literals are dropped and lib/source-filter modules
+// aren't loaded. Line numbers are kept. What's left runs in a scratch
+// directory with a bare environment, CPU, memory and file-size limits, and no
+// network: its own network namespace on Linux (unshare), a sandbox profile on
+// macOS, and perl's socket calls failing on top of that.
+class PerlSandbox {
+    constructor(options = {}) {
+        this.perlPath = options.perlPath || 'perl';
+        this.isolation = null; // Promise of the command that takes perl off the network
+    }
+
+    // Resolves to { stdout, stderr, error } like a plain perl -cw run.
+    // options.header is put before the sanitized code as is (pragmas, #line);
+    // aborting options.signal kills perl
+    async check(code, options = {}) {
+        const scratchDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'conceptualmap-check-'));
+        const scriptPath = path.join(scratchDir, 'check.pl');
+        await fs.promises.writeFile(scriptPath, NO_SOCKETS + (options.header || '') + PerlSandbox.sanitize(code));
+
+        try {
+            const [command, args] = await this.getCommand(scriptPath);
+            return await new Promise((resolve) => {
+                const spawnOptions = {
+                    cwd: scratchDir,
+                    env: this.getEnv(scratchDir),
+                    timeout: TIMEOUT,
+                    killSignal: 'SIGKILL',
+                    signal: options.signal
+                };
+                execFile(command, args, spawnOptions, (error, stdout, stderr) => {
+                    if (error && error.killed && !(options.signal && options.signal.aborted)) {
+                        stderr += `\nSyntax check stopped after ${TIMEOUT / 1000}s (Restricted Mode).\n`;
+                    }
+                    resolve({ stdout, stderr, error });
+                });
+            });
+        } finally {
+            fs.promises.rm(scratchDir, { recursive: true, force: true }).catch(() => { });
+        }
+    }
+
+    // ulimit through sh where there is one; limits it can't set are skipped
+    async getCommand(scriptPath) {
+        if (os.platform() === 'win32') return [this.perlPath, ['-cw', scriptPath]];
+        const limits = [`-t ${CPU_SECONDS}`, `-v ${MEMORY_KB}`, `-f ${FILE_BLOCKS}`]
+            .map(limit => `ulimit ${limit} 2>/dev/null;`).join(' ');
+        const isolation = await this.getNetworkIsolation();
+        return ['/bin/sh', ['-c', `${limits} exec "$@"`, 'sh', ...isolation, this.perlPath, '-cw', scriptPath]];
+    }
+
+    // The command line prefix that runs perl without a network, [] if there is
+    // none here. unshare needs unprivileged user namespaces, so it is tried once.
+    getNetworkIsolation() {
+        if (!this.isolation) {
+            if (os.platform() === 'linux') {
+                this.isolation = new Promise((resolve) => {
+                    execFile('unshare', ['-rn', 'true'], { timeout: TIMEOUT }, (error) => {
+                        resolve(error ? [] : ['unshare', '-rn', '--']);
+                    });
+                });
+            } else if (os.platform() === 'darwin' && fs.existsSync(MACOS_SANDBOX)) {
+                this.isolation = Promise.resolve([MACOS_SANDBOX, '-p', '(version 1)(allow default)(deny network*)']);
+            } else {
+                this.isolation = Promise.resolve([]);
+            }
+        }
+        return this.isolation;
+    }
+
+    // Just enough to find perl; no PERL5LIB, PERL5OPT or workspace variables
+    getEnv(scratchDir) {
+        const env = { PATH: process.env.PATH || '', HOME: scratchDir, TMPDIR: scratchDir, LANG: process.env.LANG || 'C' };
+        if (os.platform() === 'win32') {
+            env.SystemRoot = process.env.SystemRoot;
+            env.TEMP = env.TMP = scratchDir;
+        }
+        return env;
+    }
+
+    static sanitize(code) {
+        // A string or regex running to the end of the code is unfinished, or
+        // scan lost track there. Fail closed: what follows its start is
+        // treated as code, and phase-block keywords there are neutralized
+        // even where they can't be told from names.
+        const scanned = PerlScopeAnalyzer.scan(code).literals;
+        const unclosed = scanned.find(([start, end, type]) => end >= code.length && (type === 'string' || type === 'regex'));
+        const literals = unclosed ? scanned.filter(literal => literal !== unclosed) : scanned;
+        const inLiteral = (index) => PerlScopeAnalyzer.isInLiteral(literals, index);
+        const edits = []; // [start, end, replacement]
+
+        // #! switches are honoured by perl -c (-I, -M, -x)
+        const shebang = code.match(/^#![^\n]*/);
+        if (shebang) edits.push([0, shebang[0].length, '#']);
+
+        for (const match of code.matchAll(PHASE_BLOCK)) {
+            if (inLiteral(match.index)) continue;
+            const edit = this.getPhaseBlockEdit(code, match.index, match[0], literals)
+                || (unclosed && match.index > unclosed[0] ? [match.index, match.index + 1, 'X'] : null);
+            if (edit) edits.push(edit);
+        }
+        for (const match of code.matchAll(ATTRIBUTE_HANDLER)) {
+            if (!inLiteral(match.index)) edits.push([match.index, match.index + 1, 'X']);
+        }
+
+        for (const match of code.matchAll(USE_STATEMENT)) {
+            if (inLiteral(match.index)) continue;
+            const argsStart = match.index + match[0].length;
+            const end = this.findStatementEnd(code, argsStart, literals);
+            const args = code.slice(argsStart, end);
+            const newlines = args.replace(/[^\n]/g, '');
+
+            if (SKIPPED_MODULES.test(match[1])) {
+                edits.push([match.index, end, newlines]);
+            } else if (!this.isLiteralList(args)) {
+                edits.push([argsStart, end, ' ()' + newlines]);
+            }
+        }
+
+        // A BEGIN inside a dropped import list goes with it
+        let sanitized = '';
+        let position = 0;
+        edits.sort((a, b) => a[0] - b[0] || b[1] - a[1]).forEach(([start, end, replacement]) => {
+            if (start < position) return;
+            sanitized += code.slice(position, start) + replacement;
+            position = end;
+        });
+        return sanitized + code.slice(position);
+    }
+
+    // The edit that keeps the BEGIN, CHECK or UNITCHECK at `index` from running,
+    // or null when it is only a name (a hash key, a method, $BEGIN). Comments
+    // and POD may sit between `sub`, the name and the block.
+    static getPhaseBlockEdit(code, index, name, literals) {
+        const qualified = code.slice(0, index).match(/(?:[A-Za-z_]\w*)?(?:(?:::|')\w+)*(?:::|')$/);
+        const nameStart = qualified ? index - qualified[0].length : index;
+        const before = code.slice(0, this.skipSpaceBackward(code, nameStart, literals));
+        if (/(?:^|[^\w$@%&:>])sub$/.test(before)) {
+            return [index, index + 1, 'X']; // sub XEGIN is just a sub
+        }
+        if (!qualified && !/[\w$@%&:>'-]$/.test(code.slice(0, index)) && code[this.skipSpace(code, index + name.length, literals)] === '{') {
+            return [index, index + name.length, 'if(0)'.padEnd(name.length)];
+        }
+        return null;
+    }
+
+    // Past whitespace, comments and POD from `index`
+    static skipSpace(code, index, literals) {
+        while (index < code.length) {
+            const literal = PerlScopeAnalyzer.findLiteral(literals, index);
+            if (literal && (literal[2] === 'comment' || literal[2] === 'pod')) {
+                index = literal[1];
+            } else if (/\s/.test(code[index])) {
+                index++;
+            } else {
+                break;
+            }
+        }
+        return index;
+    }
+
+    // Back over whitespace, comments and POD before `index`
+    static skipSpaceBackward(code, index, literals) {
+        while (index > 0) {
+            const literal = PerlScopeAnalyzer.findLiteral(literals, index - 1);
+            if (literal && (literal[2] === 'comment' || literal[2] === 'pod')) {
+                index = literal[0];
+            } else if (/\s/.test(code[index - 1])) {
+                index--;
+            } else {
+                break;
+            }
+        }
+        return index;
+    }
+
+    // The `;` (or closing brace) ending a statement, outside strings and nested brackets
+    static findStatementEnd(code, start, literals) {
+        let depth = 0;
+        for (let i = start; i < code.length; i++) {
+            const literal = PerlScopeAnalyzer.findLiteral(literals, i);
+            if (literal) {
+                i = literal[1] - 1;
+                continue;
+            }
+            const char = code[i];
+            if (char === '(' || char === '[' || char === '{') {
+                depth++;
+            } else if (char === ')' || char === ']' || char === '}') {
+                if (depth === 0) return i;
+                depth--;
+            } else if (char === ';' && depth === 0) {
+                return i;
+            }
+        }
+        return code.length;
+    }
+
+    static isLiteralList(args) {
+        LITERAL_TOKEN.lastIndex = 0;
+        while (LITERAL_TOKEN.lastIndex < args.length) {
+            if (!LITERAL_TOKEN.exec(args)) return false;
+        }
+        return true;
+    }
+}
+
+module.exports = PerlSandbox;
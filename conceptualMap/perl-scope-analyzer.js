@@ -0,0 +1,695 @@
+// Finds the variables visible at a point in a Perl buffer by walking the
+// code before it and tracking block scopes. Strings, regexes, heredocs and
+// POD are skipped so braces inside them don't open or close scopes.
+const PERL_DECLARATORS = ['my', 'our', 'state', 'local'];
+
+// Statements whose header declarations (`for my $x (...)`, `while (my $l = ...)`)
+// belong to the block that follows
+const PERL_BLOCK_HEADERS = ['for', 'foreach', 'while', 'until', 'if', 'unless', 'elsif', 'given'];
+
+// Words after which a `/` starts a regex rather than a division
+const PERL_OPERATOR_WORDS = [
+    'and', 'or', 'not', 'xor', 'if', 'unless', 'while', 'until', 'return', 'split',
+    'grep', 'map', 'join', 'push', 'unshift', 'when', 'x', 'lt', 'gt', 'le', 'ge', 'eq', 'ne', 'cmp'
+];
+
+const PERL_QUOTE_OPERATORS = ['q', 'qq', 'qw', 'qr', 'm', 's', 'tr', 'y'];
+const PERL_BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+// Pragmas and frameworks that turn on `use strict`
+const PERL_STRICT_PATTERN = /^\s*use\s+(?:strict|v?5\.\d+|Moo|Moose|Mouse|Mojo::Base|Modern::Perl|common::sense|strictures)\b/m;
+
+class PerlScopeAnalyzer {
+    // Variables whose scope is open at `offset`, innermost and most recent first.
+    // Each is { sigil, name, declarator, line, column }; without `use strict`,
+    // undeclared package variables are included with declarator 'global'.
+    static getVisibleVariables(code, offset) {
+        const state = this.scan(code.slice(0, offset));
+        const seen = new Set();
+        const visible = [];
+        const add = (variable) => {
+            const key = variable.sigil + variable.name;
+            if (seen.has(key)) return; // shadowed by an inner declaration
+            seen.add(key);
+            visible.push(variable);
+        };
+
+        for (let depth = state.scopes.length - 1; depth >= 0; depth--) {
+            state.scopes[depth].slice().reverse().forEach(add);
+        }
+        if (!PERL_STRICT_PATTERN.test(code)) {
+            state.globals.slice().reverse().forEach(add);
+        }
+        return visible;
+    }
+
+    // The package in effect at `offset` (the last package statement before it)
+    static findPackageAt(code, offset) {
+        const packages = Array.from(code.slice(0, offset).matchAll(/^\s*package\s+([A-Za-z_]\w*(?:::\w+)*)/gm));
+        return packages.length > 0 ? packages[packages.length - 1][1] : 'main';
+    }
+
+    // Best guess at the class of `$name` at `offset`, from the last of
+    //   $name = Some::Class->new(...)
+    //   $name = bless {...}, 'Some::Class' and bless $name, ... ($class: the current package)
+    //   my ($self, ...) = @_;  my $self = shift;  (invocants: the current package)
+    static inferVariableClass(code, offset, name) {
+        const text = code.slice(0, offset);
+        const variable = name.replace(/\W/g, '');
+        const currentPackage = this.findPackageAt(code, offset);
+        // bless's second argument: a quoted class name, otherwise the current package
+        const blessedClass = (match) => {
+            const literal = match[1].match(/,\s*['"]([\w:]+)['"]\s*\)?\s*$/);
+            return literal ? literal[1] : currentPackage;
+        };
+        const patterns = [
+            [new RegExp(`\\$${variable}\\s*=\\s*([A-Za-z_]\\w*(?:::\\w+)*)\\s*->\\s*new\\b`, 'g'), match => match[1]],
+            [new RegExp(`\\$${variable}\\s*=\\s*bless\\b([^;]*);`, 'g'), blessedClass],
+            [new RegExp(`\\bbless\\s*\\(?\\s*\\$${variable}\\b([^;]*);`, 'g'), blessedClass]
+        ];
+        if (['self', 'class', 'this'].includes(variable)) {
+            patterns.push(
+                [new RegExp(`\\bmy\\s*\\(\\s*\\$${variable}\\b[^)]*\\)\\s*=\\s*@_`, 'g'), () => currentPackage],
+                [new RegExp(`\\bmy\\s+\\$${variable}\\s*=\\s*shift\\b`, 'g'), () => currentPackage],
+                [new RegExp(`\\bsub\\s+\\w+\\s*\\(\\s*\\$${variable}\\b`, 'g'), () => currentPackage]
+            );
+        }
+
+        let best = null;
+        patterns.forEach(([pattern, getClass]) => {
+            for (const match of text.matchAll(pattern)) {
+                if (!best || match.index > best.index) best = { index: match.index, className: getClass(match) };
+            }
+        });
+        if (best && best.className === '__PACKAGE__') return currentPackage;
+        return best ? best.className : null;
+    }
+
+    // Every occurrence of the lexical variable under `offset`, declaration
+    // included: { declaration, occurrences: [{ index, nameIndex, name }] }, or
+    // null when there is no variable there or it was never declared
+    static findVariableOccurrences(code, offset) {
+        const { references } = this.scan(code);
+        const target = this.findReferenceAt(references, offset);
+        if (!target || !target.declaration) return null;
+        return {
+            declaration: target.declaration,
+            occurrences: references.filter(ref => ref.declaration === target.declaration)
+        };
+    }
+
+    // Indexes of `name` used as a sub: `sub name`, `&name`, `name(...)`,
+    // `->name`, `Pkg::name`, and entries in @EXPORT/@EXPORT_OK and `use` import lists
+    static findSubOccurrences(code, name) {
+        const { literals } = this.scan(code);
+        const escaped = name.replace(/\W/g, '');
+        const indexes = new Set();
+
+        const inCode = [
+            new RegExp(`\\bsub\\s+(?:\\w+::)*(${escaped})\\b`, 'g'),
+            new RegExp(`&\\s*(?:\\w+::)*(${escaped})\\b`, 'g'),
+            new RegExp(`->\\s*(${escaped})\\b`, 'g'),
+            new RegExp(`(?<![\\w$@%&:])(${escaped})\\s*\\(`, 'g'),
+            new RegExp(`\\w::(${escaped})\\b(?!::)`, 'g')
+        ];
+        inCode.forEach(pattern => {
+            for (const match of code.matchAll(pattern)) {
+                const index = match.index + match[0].lastIndexOf(match[1]);
+                if (!this.isInLiteral(literals, match.index)) indexes.add(index);
+            }
+        });
+
+        // Export and import lists are quoted, so they're searched separately
+        const lists = /(?:@EXPORT(?:_OK)?\s*=|\buse\s+[A-Za-z_][\w:]*\s+(?=[('"q]))([^;]*);/g;
+        for (const list of code.matchAll(lists)) {
+            const listStart = list.index + list[0].length - list[1].length - 1;
+            for (const match of list[1].matchAll(new RegExp(`(?<![\\w$@%&:])&?(${escaped})\\b`, 'g'))) {
+                indexes.add(listStart + match.index + match[0].length - escaped.length);
+            }
+        }
+
+        return Array.from(indexes).sort((a, b) => a - b);
+    }
+
+    // The occurrences from findSubOccurrences that are the sub `name` of
+    // `packageName`: its definition and export lists, `Pkg::name`, calls
+    // inside the package, and import lists and calls in packages that use it
+    // (unless they define a `name` of their own). Other method calls are kept
+    // with `uncertain` set, as the invocant may be a subclass, unless it is a
+    // class defining `name` here. [{ index, uncertain }]
+    static findPackageSubOccurrences(code, name, packageName) {
+        const uses = new RegExp(`^\\s*use\\s+${packageName.replace(/\W/g, '\\$&')}\\b`, 'gm');
+        const importers = new Set(Array.from(code.matchAll(uses), match => this.findPackageAt(code, match.index)));
+        const definers = new Set(Array.from(code.matchAll(new RegExp(`\\bsub\\s+${name.replace(/\W/g, '')}\\b`, 'g')),
+            match => this.findPackageAt(code, match.index)));
+
+        const occurrences = [];
+        this.findSubOccurrences(code, name).forEach(index => {
+            const before = code.slice(Math.max(0, index - 256), index);
+            const statement = code.slice(code.lastIndexOf(';', index - 1) + 1, index);
+            const currentPackage = this.findPackageAt(code, index);
+            const inPackage = currentPackage === packageName;
+
+            const qualifier = before.match(/([A-Za-z_]\w*(?:::\w+)*)::$/);
+            const invocantClass = this.findInvocantClass(code, index);
+            const imports = statement.match(/\buse\s+([A-Za-z_][\w:]*)\s+[^;]*$/);
+            let matches;
+            if (qualifier) {
+                matches = qualifier[1] === packageName;
+            } else if (invocantClass !== undefined) {
+                // A class with its own `name` doesn't inherit this one
+                if (invocantClass !== packageName && definers.has(invocantClass)) return;
+                occurrences.push({ index, uncertain: invocantClass !== packageName });
+                return;
+            } else if (/\bsub\s+$/.test(before) || /@EXPORT(?:_OK)?\s*=[^;]*$/.test(statement)) {
+                matches = inPackage;
+            } else if (imports) {
+                matches = imports[1] === packageName;
+            } else {
+                matches = inPackage || (importers.has(currentPackage) && !definers.has(currentPackage));
+            }
+            if (matches) occurrences.push({ index, uncertain: false });
+        });
+        return occurrences;
+    }
+
+    // The class of the invocant of the method call whose name is at `index`:
+    // `Foo->`, `__PACKAGE__->`, `shift->`, or `$var->` as far as
+    // inferVariableClass can tell. undefined when there is no `->` before
+    // `index`, null when the class isn't known.
+    static findInvocantClass(code, index) {
+        const before = code.slice(Math.max(0, index - 256), index);
+        if (!/->\s*$/.test(before)) return undefined;
+        const invocant = before.match(/(?<![\w:$>])(\$?[A-Za-z_]\w*(?:::\w+)*)\s*->\s*$/);
+        if (!invocant) return null;
+        if (invocant[1] === '__PACKAGE__' || invocant[1] === 'shift') return this.findPackageAt(code, index);
+        if (invocant[1].startsWith('$')) return this.inferVariableClass(code, index, invocant[1].slice(1));
+        return invocant[1];
+    }
+
+    // The parenthesised call `offset` is inside, for signature help:
+    // { name, invocant, argumentIndex }, invocant being the text before `->`
+    // (`DBI`, `$t`) or null. Strings and comments don't count commas.
+    static findCallAt(code, offset) {
+        const { literals } = this.scan(code);
+        let depth = 0;
+        let argumentIndex = 0;
+        const limit = Math.max(0, offset - 10000);
+
+        for (let i = offset - 1; i >= limit; i--) {
+            const literal = this.findLiteral(literals, i);
+            if (literal) {
+                i = literal[0];
+                continue;
+            }
+            const char = code[i];
+            if (char === ')' || char === ']' || char === '}') {
+                depth++;
+            } else if (char === '(' || char === '[' || char === '{') {
+                if (depth > 0) {
+                    depth--;
+                    continue;
+                }
+                if (char !== '(') {
+                    // An anonymous array or hash is one argument of the call around
+                    // it; any other brace opens a block
+                    if (char === '{' && !/(?:[,([=]|=>)\s*$/.test(code.slice(Math.max(0, i - 20), i))) return null;
+                    argumentIndex = 0;
+                    continue;
+                }
+                const callee = code.slice(Math.max(0, i - 200), i)
+                    .match(/(?:(\$\w+|[A-Za-z_]\w*(?:::\w+)*)\s*->\s*)?&?([A-Za-z_]\w*(?:::\w+)*)\s*$/);
+                if (!callee || PERL_BLOCK_HEADERS.includes(callee[2]) || /^(?:my|our|local|state|sub|qw)$/.test(callee[2])) return null;
+                return { name: callee[2], invocant: callee[1] || null, argumentIndex };
+            } else if (depth === 0 && (char === ',' || (char === '>' && code[i - 1] === '='))) {
+                argumentIndex++;
+                if (char === '>') i--;
+            } else if (depth === 0 && char === ';') {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    // Parameter names of the sub declared at `subIndex` (the `sub` keyword),
+    // from its signature or a leading `my (...) = @_;` / `my $x = shift;`,
+    // or null when it takes its arguments some other way
+    static findSubParameters(code, subIndex) {
+        const header = code.slice(subIndex).match(/^sub\s+[\w:]+\s*(?::\s*\w+(?:\([^)]*\))?\s*)*(?:\(([^)]*)\))?\s*(?::\s*\w+\s*)*\{/);
+        if (!header) return null;
+        const split = (list) => list.split(',').map(param => param.trim()).filter(Boolean);
+
+        // `($$;@)` is a prototype, `($x, $y = 1)` a signature
+        if (header[1] !== undefined && /[$@%]\w/.test(header[1])) return split(header[1]);
+
+        // Only the first statements of the body
+        const body = code.slice(subIndex + header[0].length, subIndex + header[0].length + 1000).split(/\n\}|\bsub\s+\w/)[0];
+        const unpacked = body.match(/^\s*(?:#.*\n\s*)*my\s*\(([^)]*)\)\s*=\s*@_\s*;/);
+        if (unpacked) return split(unpacked[1]);
+
+        // Consecutive `my $x = shift;` statements, each starting where the last ended
+        const shift = /\s*(?:#.*\n\s*)*my\s+(\$\w+)\s*=\s*shift\b(?:\s*\(\s*@_\s*\)|\s*@_)?\s*(?:\/\/[^;]*)?;/y;
+        const shifted = [];
+        let match;
+        while ((match = shift.exec(body))) shifted.push(match[1]);
+        return shifted.length > 0 ? shifted : null;
+    }
+
+    // The variable reference under `offset` from scan(), or undefined
+    static findReferenceAt(references, offset) {
+        return references.find(ref => offset >= ref.index && offset <= ref.nameIndex + ref.name.length);
+    }
+
+    // Uses of a package variable: `$Pkg::name` anywhere, and `$name` inside
+    // package `packageName` where it isn't a lexical. [{ index, length }]
+    static findPackageVariableOccurrences(code, sigil, name, packageName) {
+        const { references, literals } = this.scan(code);
+        const occurrences = references
+            .filter(ref => ref.name === name && ref.sigil === sigil)
+            .filter(ref => !ref.declaration || ref.declaration.declarator === 'our' || ref.declaration.declarator === 'local')
+            .filter(ref => this.findPackageAt(code, ref.index) === packageName)
+            .map(ref => ({ index: ref.nameIndex, length: name.length }));
+
+        // Qualified names; element access changes the sigil ($Pkg::list[0] is @Pkg::list)
+        const qualified = new RegExp(`([$@%]|\\$#)${packageName.replace(/\W/g, '\\$&')}::${name}\\b(?!::)`, 'g');
+        for (const match of code.matchAll(qualified)) {
+            const following = code[match.index + match[0].length];
+            if (this.getDeclaredSigil(match[1], following) !== sigil || this.isInLiteral(literals, match.index)) continue;
+            occurrences.push({ index: match.index + match[1].length, length: match[0].length - match[1].length });
+        }
+        return occurrences.sort((a, b) => a.index - b.index);
+    }
+
+    // A package name in code or strings (use parent 'Foo'), not in comments or POD.
+    // `Foo::Bar::baz()` counts as a use of Foo::Bar. [{ index, length }]
+    static findPackageOccurrences(code, packageName) {
+        const { literals } = this.scan(code);
+        const pattern = new RegExp(`(?<![\\w:$@%&])${packageName.replace(/\W/g, '\\$&')}(?!\\w|::(?!\\w))`, 'g');
+        return Array.from(code.matchAll(pattern))
+            .filter(match => {
+                const literal = this.findLiteral(literals, match.index);
+                return !literal || literal[2] === 'string';
+            })
+            .map(match => ({ index: match.index, length: packageName.length }));
+    }
+
+    // True when `index` is inside a comment, string, regex, heredoc or POD
+    static isInLiteral(literals, index) {
+        return this.findLiteral(literals, index) !== null;
+    }
+
+    // The [start, end, type] literal containing `index`, or null. Types are
+    // 'comment', 'pod', 'data', 'string' and 'regex'.
+    static findLiteral(literals, index) {
+        let low = 0;
+        let high = literals.length - 1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            const [start, end] = literals[middle];
+            if (index < start) high = middle - 1;
+            else if (index >= end) low = middle + 1;
+            else return literals[middle];
+        }
+        return null;
+    }
+
+    // Walks the whole text once. Returns the scopes still open at the end,
+    // undeclared globals, every variable reference resolved to its declaration
+    // (null when undeclared), and the [start, end) ranges of literals.
+    static scan(text) {
+        const scopes = [[]];
+        const globals = [];
+        const references = [];
+        const literals = [];
+        let pending = []; // header declarations waiting for their block
+        let statementKeyword = null;
+        let atStatementStart = true;
+        let expectOperand = true; // a `/` here starts a regex
+        let afterArrow = false;
+        let heredocs = [];
+        let i = 0;
+
+        const lineStarts = [0];
+        for (let index = text.indexOf('\n'); index >= 0; index = text.indexOf('\n', index + 1)) {
+            lineStarts.push(index + 1);
+        }
+        const createVariable = (declarator, sigil, name, index) => {
+            const line = this.findLine(lineStarts, index);
+            return { sigil, name, declarator, line, column: index - lineStarts[line - 1] + 1 };
+        };
+        const declare = (declarator, sigil, name, index) => {
+            const variable = createVariable(declarator, sigil, name, index);
+            if (declarator !== 'local' && PERL_BLOCK_HEADERS.includes(statementKeyword)) {
+                pending.push(variable);
+            } else {
+                scopes[scopes.length - 1].push(variable);
+            }
+            references.push({ index, nameIndex: index + 1, name, sigil, declaration: variable });
+        };
+        // Innermost first; header declarations are nearer than any open block
+        const resolve = (sigil, name) => {
+            const matches = variable => variable.sigil === sigil && variable.name === name;
+            const found = pending.slice().reverse().find(matches);
+            if (found) return found;
+            for (let depth = scopes.length - 1; depth >= 0; depth--) {
+                const declared = scopes[depth].slice().reverse().find(matches);
+                if (declared) return declared;
+            }
+            return null;
+        };
+        const addReference = (index, nameIndex, accessSigil, name) => {
+            const following = text[nameIndex + name.length];
+            const sigil = this.getDeclaredSigil(accessSigil, following);
+            references.push({ index, nameIndex, name, sigil, declaration: resolve(sigil, name) });
+        };
+        // Variables interpolated into a string, regex or heredoc body
+        const addInterpolated = (start, end) => {
+            const pattern = /\\.|([$@])(\{)?([A-Za-z_]\w*)(?=(\})?)/g;
+            for (const match of text.slice(start, end).matchAll(pattern)) {
+                if (!match[1] || (match[2] && !match[4])) continue;
+                const index = start + match.index;
+                addReference(index, index + (match[2] ? 2 : 1), match[1], match[3]);
+            }
+        };
+        const addLiteral = (start, end, type, interpolated) => {
+            literals.push([start, end, type]);
+            if (interpolated) addInterpolated(start, end);
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '\n') {
+                i++;
+                // Heredoc bodies start on the line after their operator
+                while (heredocs.length > 0 && i < text.length) {
+                    const { terminator, indented, interpolated } = heredocs.shift();
+                    const end = this.findHeredocEnd(text, i, terminator, indented);
+                    addLiteral(i, end, 'string', interpolated);
+                    i = end;
+                }
+                continue;
+            }
+
+            // POD and __END__ only count at the start of a line
+            if (i === 0 || text[i - 1] === '\n') {
+                if (/^=[A-Za-z]/.test(text.slice(i, i + 2))) {
+                    const cut = text.slice(i).search(/^=cut\b.*$/m);
+                    const end = cut < 0 ? -1 : text.indexOf('\n', i + cut);
+                    addLiteral(i, end < 0 ? text.length : end, 'pod', false);
+                    if (end < 0) break;
+                    i = end;
+                    continue;
+                }
+                if (/^__(?:END|DATA)__\b/.test(text.slice(i, i + 8))) {
+                    addLiteral(i, text.length, 'data', false);
+                    break;
+                }
+            }
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (char === '#') {
+                const end = text.indexOf('\n', i);
+                const commentEnd = end < 0 ? text.length : end;
+                addLiteral(i, commentEnd, 'comment', false);
+                i = commentEnd;
+                continue;
+            }
+
+            if (char === '"' || char === "'" || char === '`') {
+                const end = this.skipDelimited(text, i + 1, char);
+                addLiteral(i, end, 'string', char !== "'");
+                i = end;
+                expectOperand = false;
+                atStatementStart = false;
+                continue;
+            }
+
+            // Variables: $x, @x, %x, $#x, $::x, ${...}, and punctuation variables like $' and $"
+            if (char === '$' || char === '@' || ((char === '%' || char === '&') && expectOperand)) {
+                let end = i + 1;
+                if (char === '$' && text[end] === '#') end++;
+                // $main'x is $main::x, not $main followed by a string
+                const name = text.slice(end).match(/^(?:::)?[A-Za-z_]\w*(?:(?:::|'(?=[A-Za-z_]))\w+)*|^\^\w|^\d+/);
+                if (name) {
+                    if (char !== '&' && /^[A-Za-z_]\w*$/.test(name[0])) {
+                        addReference(i, end, end === i + 2 ? '$#' : char, name[0]);
+                    }
+                    end += name[0].length;
+                    const sigil = text[i + 1] === '#' ? '@' : char;
+                    if (char !== '&' && atStatementStart && /^\s*=(?![=~])/.test(text.slice(end))) {
+                        globals.push(createVariable('global', sigil, name[0], i));
+                    }
+                } else if (char === '$' && end === i + 1 && !/[{$\s]/.test(text[end] || ' ')) {
+                    end++; // $_-style punctuation variable
+                }
+                i = end;
+                expectOperand = false;
+                atStatementStart = false;
+                afterArrow = false;
+                continue;
+            }
+
+            let word = text.slice(i).match(/^[A-Za-z_]\w*(?:::\w+)*/);
+            if (word && !PERL_QUOTE_OPERATORS.includes(word[0])) {
+                // The old package separator: main'foo is main::foo, not a string
+                word = text.slice(i).match(/^[A-Za-z_]\w*(?:(?:::|'(?=[A-Za-z_]))\w+)*/);
+            }
+            if (word) {
+                const value = word[0];
+                let end = i + value.length;
+
+                if (afterArrow) {
+                    // Method names are never keywords
+                    afterArrow = false;
+                } else if (value === '__END__' || value === '__DATA__') {
+                    break;
+                } else if (PERL_QUOTE_OPERATORS.includes(value) && text[i - 1] !== '-' && this.findQuoteDelimiter(text, end) >= 0) {
+                    // (`-s $file` is a file test, not s///)
+                    const delimiterIndex = this.findQuoteDelimiter(text, end);
+                    const quoted = this.skipQuoteLike(text, value, delimiterIndex);
+                    const interpolated = ['qq', 'm', 'qr', 's'].includes(value) && text[delimiterIndex] !== "'";
+                    addLiteral(i, quoted.end, ['q', 'qq', 'qw'].includes(value) ? 'string' : 'regex', false);
+                    if (interpolated) quoted.parts.forEach(([start, partEnd]) => addInterpolated(start, partEnd));
+                    i = quoted.end;
+                    expectOperand = false;
+                    atStatementStart = false;
+                    continue;
+                } else if (PERL_DECLARATORS.includes(value)) {
+                    i = this.readDeclaration(text, end, (sigil, name, index) => declare(value, sigil, name, index));
+                    expectOperand = false;
+                    atStatementStart = false;
+                    continue;
+                } else if (value === 'sub') {
+                    // sub name ($x, $y) { ... } - signature variables belong to the body
+                    const signature = text.slice(end).match(/^\s*(?:[A-Za-z_][\w:]*)?\s*\(([^()]*)\)\s*(?=\{)/);
+                    if (signature) {
+                        const listStart = end + signature[0].indexOf('(') + 1;
+                        this.matchVariables(signature[1]).forEach(([sigil, name, index]) => {
+                            const variable = createVariable('my', sigil, name, listStart + index);
+                            pending.push(variable);
+                            references.push({ index: listStart + index, nameIndex: listStart + index + 1, name, sigil, declaration: variable });
+                        });
+                        end += signature[0].length;
+                    }
+                }
+
+                if (atStatementStart) statementKeyword = value;
+                atStatementStart = false;
+                expectOperand = PERL_OPERATOR_WORDS.includes(value);
+                i = end;
+                continue;
+            }
+
+            if (/\d/.test(char)) {
+                i += text.slice(i).match(/^\d\w*(?:\.\d\w*)?/)[0].length;
+                expectOperand = false;
+                atStatementStart = false;
+                continue;
+            }
+
+            if (char === '<' && text[i + 1] === '<') {
+                const heredoc = text.slice(i).match(/^<<(~?)(?:\s*"(\w+)"|\s*'(\w+)'|([A-Za-z_]\w*))/);
+                if (heredoc) {
+                    heredocs.push({
+                        terminator: heredoc[2] || heredoc[3] || heredoc[4],
+                        indented: !!heredoc[1],
+                        interpolated: !heredoc[3]
+                    });
+                    i += heredoc[0].length;
+                    expectOperand = false;
+                    continue;
+                }
+            }
+
+            if (char === '/' && expectOperand) {
+                const end = this.skipDelimited(text, i + 1, '/');
+                addLiteral(i, end, 'regex', true);
+                i = this.skipModifiers(text, end);
+                expectOperand = false;
+                continue;
+            }
+            if (char === '/') {
+                // Division or defined-or: `/`, `/=`, `//`, `//=` are one operator
+                i += text[i + 1] === '/' ? 2 : 1;
+                if (text[i] === '=') i++;
+                expectOperand = true;
+                continue;
+            }
+
+            switch (char) {
+                case '{':
+                    scopes.push(pending);
+                    pending = [];
+                    statementKeyword = null;
+                    atStatementStart = true;
+                    expectOperand = true;
+                    break;
+                case '}':
+                    if (scopes.length > 1) scopes.pop();
+                    statementKeyword = null;
+                    atStatementStart = true;
+                    expectOperand = false;
+                    break;
+                case ';':
+                    pending = [];
+                    statementKeyword = null;
+                    atStatementStart = true;
+                    expectOperand = true;
+                    break;
+                case ')':
+                case ']':
+                    expectOperand = false;
+                    break;
+                case '-':
+                    afterArrow = text[i + 1] === '>';
+                    if (afterArrow) i++;
+                    expectOperand = !afterArrow;
+                    break;
+                default:
+                    expectOperand = true;
+            }
+            i++;
+        }
+
+        return { scopes, globals, references, literals };
+    }
+
+    // `my $x`, `my ($x, @y)`, `our %h`; returns the index after the variables
+    static readDeclaration(text, start, declare) {
+        const single = text.slice(start).match(/^\s*(?:[A-Za-z_][\w:]*\s+)?([$@%])(\w+)/);
+        if (single) {
+            declare(single[1], single[2], start + single[0].length - single[2].length - 1);
+            return start + single[0].length;
+        }
+
+        const list = text.slice(start).match(/^\s*\(([^()]*)\)/);
+        if (list) {
+            const listStart = start + list[0].indexOf('(') + 1;
+            this.matchVariables(list[1]).forEach(([sigil, name, index]) => declare(sigil, name, listStart + index));
+            return start + list[0].length;
+        }
+        return start;
+    }
+
+    // [[sigil, name, index], ...] for the variables in a declaration list
+    static matchVariables(text) {
+        return Array.from(text.matchAll(/([$@%])(\w+)/g)).map(match => [match[1], match[2], match.index]);
+    }
+
+    // Index of the opening delimiter after q/qq/s/... or -1 when the word isn't a quote operator
+    static findQuoteDelimiter(text, start) {
+        const match = text.slice(start).match(/^(\s*)(\S)/);
+        if (!match) return -1;
+
+        const [, space, delimiter] = match;
+        if (/[\w,;)\]}>=]/.test(delimiter) || (space && delimiter === '#')) return -1;
+        return start + space.length;
+    }
+
+    // { end, parts: [[start, end], ...] } with the quoted text of each part
+    static skipQuoteLike(text, operator, delimiterIndex) {
+        const open = text[delimiterIndex];
+        let end = this.skipDelimited(text, delimiterIndex + 1, open);
+        const parts = [[delimiterIndex + 1, end - 1]];
+
+        // s/// and tr/// have a second part; with brackets it has its own delimiters
+        if (operator === 's' || operator === 'tr' || operator === 'y') {
+            if (PERL_BRACKET_PAIRS[open]) {
+                const next = text.slice(end).match(/^\s*(\S)/);
+                if (next) {
+                    const start = end + next[0].length;
+                    end = this.skipDelimited(text, start, next[1]);
+                    parts.push([start, end - 1]);
+                }
+            } else {
+                const start = end;
+                end = this.skipDelimited(text, end, open);
+                parts.push([start, end - 1]);
+            }
+        }
+        return { end: this.skipModifiers(text, end), parts };
+    }
+
+    // The sigil a variable was declared with, from how it's used:
+    // $a[0] and @a[1, 2] use @a; $h{k}, @h{...} and %h{...} use %h; $#a uses @a
+    static getDeclaredSigil(sigil, following) {
+        if (sigil === '$#' || following === '[') return '@';
+        if (following === '{') return '%';
+        return sigil;
+    }
+
+    // Index just past the delimiter closing the text that starts at `start`
+    static skipDelimited(text, start, open) {
+        const close = PERL_BRACKET_PAIRS[open] || open;
+        let depth = 1;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === close && --depth === 0) {
+                return i + 1;
+            } else if (char === open && close !== open) {
+                depth++;
+            }
+        }
+        return text.length;
+    }
+
+    static skipModifiers(text, start) {
+        return start + text.slice(start).match(/^[a-z]*/)[0].length;
+    }
+
+    // Index just past the heredoc terminator line, or the end of the text
+    static findHeredocEnd(text, start, terminator, indented) {
+        let index = start;
+        while (index < text.length) {
+            let end = text.indexOf('\n', index);
+            if (end < 0) end = text.length;
+            const current = text.slice(index, end);
+            if ((indented ? current.trim() : current) === terminator) return Math.min(end + 1, text.length);
+            index = end + 1;
+        }
+        return text.length;
+    }
+
+    // 1-based line containing `index`
+    static findLine(lineStarts, index) {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= index) low = middle;
+            else high = middle - 1;
+        }
+        return low + 1;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerlScopeAnalyzer;
+}
@@ -0,0 +1,173 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TapParser = require('./tap-parser');
+
+const TEST_DIRECTORIES = ['t', 'xt'];
+// What bin/prove does, run by the workspace's perl rather than whichever
+// prove is first on PATH
+const PROVE = 'my $app = App::Prove->new; $app->process_args(@ARGV); exit($app->run ? 0 : 1)';
+
+// Finds and runs the .t files of a workspace with prove. prove's own report
+// is passed on as it comes; the TAP of each file is spooled to a scratch
+// directory by TAP::Harness (PERL_TEST_HARNESS_DUMP_TAP) with STDERR merged
+// in, and parsed by TapParser once prove moves on to the next file. Events:
+//   { event: 'output', text }  prove's report
+//   { event: 'file-started', filePath }
+//   { event: 'file', filePath, status, summary, result }  status: 'passed', 'failed' or 'skipped'
+//   { event: 'finished', code, signal, duration }
+class PerlTestRunner {
+    constructor(options = {}) {
+        this.onEvent = options.onEvent || (() => { });
+        this.process = null;
+    }
+
+    // Resolves to [{ filePath, name }], name relative to rootPath
+    async discover(rootPath) {
+        const files = [];
+        const pending = TEST_DIRECTORIES.map(name => path.join(rootPath, name));
+
+        while (pending.length > 0) {
+            const dirPath = pending.shift();
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+            } catch (error) {
+                continue; // no such folder
+            }
+            for (const entry of entries) {
+                if (entry.name.startsWith('.')) continue;
+                const entryPath = path.join(dirPath, entry.name);
+                if (entry.isDirectory()) {
+                    pending.push(entryPath);
+                } else if (entry.name.endsWith('.t')) {
+                    files.push({ filePath: entryPath, name: path.relative(rootPath, entryPath) });
+                }
+            }
+        }
+        return files.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // options: { rootPath, files: [filePath], perlPath, env }
+    async run(options) {
+        this.stop();
+
+        const spoolDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'conceptualmap-tap-'));
+        const names = new Map(options.files.map(filePath => [path.relative(options.rootPath, filePath), filePath]));
+        const startTime = Date.now();
+        // --norc: a .proverc asking for -v or -j would change the report being followed
+        const args = ['-MApp::Prove', '-e', PROVE, '--', '--norc', '-l', '--merge', ...names.keys()];
+        const child = spawn(options.perlPath || 'perl', args, {
+            cwd: options.rootPath,
+            env: { ...(options.env || process.env), PERL_TEST_HARNESS_DUMP_TAP: spoolDir },
+            stdio: ['ignore', 'pipe', 'pipe'],
+            detached: os.platform() !== 'win32' // its own process group, so stop() reaches the tests too
+        });
+        this.process = child;
+
+        let current = null; // { name, summary } of the file prove is reporting on
+        let buffer = '';
+        const finishFile = async (file) => {
+            const filePath = names.get(file.name);
+            const tap = await fs.promises.readFile(path.join(spoolDir, file.name), 'utf8').catch(() => '');
+            let result;
+            try {
+                result = TapParser.parse(tap);
+                TapParser.locate(result.tests, (name) => path.resolve(options.rootPath, name));
+            } catch (error) {
+                // prove's verdict below still stands; only the details are lost
+                result = TapParser.parse('');
+                result.output.push(`Could not read the TAP of ${file.name}: ${error.message}`);
+            }
+            const summary = file.summary.join('\n').trim();
+            const status = /^ok\b/.test(summary) ? 'passed' : /^skipped/.test(summary) ? 'skipped' : summary ? 'failed' : result.status;
+            if (this.process === child) this.onEvent({ event: 'file', filePath, status, summary, result });
+        };
+        // One file at a time, in order; a file that can't be reported doesn't
+        // hold up the ones after it or the 'finished' event
+        let finishing = Promise.resolve();
+        const queueFinishFile = (file) => {
+            finishing = finishing
+                .then(() => finishFile(file))
+                .catch(error => console.error(`Could not report ${file.name}:`, error));
+        };
+        const handleLine = (line) => {
+            const header = this.matchHeader(line, names);
+            if (header) {
+                const previous = current;
+                current = { name: header.name, summary: [header.rest] };
+                if (previous) queueFinishFile(previous);
+                this.onEvent({ event: 'file-started', filePath: names.get(header.name) });
+            } else if (current && (!line.trim() || /^(?:Test Summary Report|All tests successful|Files=|Result:)/.test(line))) {
+                const previous = current;
+                current = null;
+                queueFinishFile(previous);
+            } else if (current) {
+                current.summary.push(line);
+            }
+        };
+
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', (text) => {
+            if (this.process !== child) return;
+            this.onEvent({ event: 'output', text });
+            buffer += text;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(line => handleLine(line.replace(/\r$/, '')));
+        });
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', (text) => {
+            if (this.process === child) this.onEvent({ event: 'output', text });
+        });
+
+        let finished = false;
+        const finish = (code, signal) => {
+            if (finished) return;
+            finished = true;
+            if (buffer) handleLine(buffer);
+            if (current) queueFinishFile(current);
+            finishing.then(() => {
+                fs.promises.rm(spoolDir, { recursive: true, force: true }).catch(() => { });
+                if (this.process !== child) return;
+                this.process = null;
+                this.onEvent({ event: 'finished', code, signal, duration: Date.now() - startTime });
+            });
+        };
+        child.on('error', (error) => {
+            if (this.process === child) this.onEvent({ event: 'output', text: `Failed to start ${options.perlPath || 'perl'}: ${error.message}\n` });
+            finish(null, null);
+        });
+        child.on('close', finish);
+    }
+
+    // prove's line for a file: its name, dots, then the start of its verdict
+    matchHeader(line, names) {
+        for (const name of names.keys()) {
+            if (line.startsWith(name + ' .')) {
+                return { name, rest: line.slice(name.length).replace(/^ \.+ ?/, '') };
+            }
+        }
+        return null;
+    }
+
+    // The tests of a stopped run report nothing more
+    stop() {
+        if (!this.process) return false;
+        const child = this.process;
+        this.process = null;
+        try {
+            if (os.platform() === 'win32') {
+                child.kill();
+            } else {
+                process.kill(-child.pid);
+            }
+        } catch (error) {
+            // already gone
+        }
+        return true;
+    }
+}
+
+module.exports = PerlTestRunner;
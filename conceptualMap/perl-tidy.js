@@ -0,0 +1,50 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// What bin/perltidy does, run by the workspace's perl rather than whichever
+// perltidy is first on PATH; reads the code from STDIN
+const PERLTIDY = 'use Perl::Tidy; exit Perl::Tidy::perltidy()';
+
+// Formats Perl source with perltidy, using the workspace's .perltidyrc
+// when there is one.
+class PerlTidy {
+    async getProfilePath(rootPath) {
+        if (!rootPath) return null;
+        const profilePath = path.join(rootPath, '.perltidyrc');
+        try {
+            await fs.promises.access(profilePath, fs.constants.R_OK);
+            return profilePath;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // options: { rootPath, perlPath, env }. Resolves with the tidied code;
+    // rejects with perltidy's complaint
+    async format(code, options = {}) {
+        const args = ['-e', PERLTIDY, '--', '--standard-output', '--standard-error-output'];
+        const profilePath = await this.getProfilePath(options.rootPath);
+        if (profilePath) args.push(`--profile=${profilePath}`);
+
+        return new Promise((resolve, reject) => {
+            const child = execFile(options.perlPath || 'perl', args, {
+                cwd: options.rootPath || undefined,
+                env: options.env || process.env,
+                timeout: 30000,
+                maxBuffer: 16 * 1024 * 1024
+            }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(stderr.trim() || error.message));
+                    return;
+                }
+                // perltidy always ends with a newline; keep the buffer's own ending
+                resolve(code.endsWith('\n') ? stdout : stdout.replace(/\n$/, ''));
+            });
+            child.stdin.on('error', () => { }); // reported through the exit callback
+            child.stdin.end(code);
+        });
+    }
+}
+
+module.exports = PerlTidy;
@@ -0,0 +1,242 @@
+// Package and sub definitions across the workspace's .pl/.pm/.t files.
+// Files are parsed with PerlOutline's parser; the file explorer's chokidar
+// watcher keeps the index current through 'workspace-file-changed' events.
+class PerlWorkspaceIndex {
+    constructor() {
+        this.rootPath = null;
+        this.files = new Map(); // filePath -> definitions found in that file
+        this.buildId = 0; // bumped on every build so stale scans stop writing
+        this.buildPromise = null;
+
+        document.addEventListener('workspace-file-changed', (e) => this.handleFileEvent(e.detail));
+    }
+
+    isIndexedFile(filePath) {
+        // Same folders listPerlFiles skips in main.js
+        if (/[/\\](?:\.[^/\\]*|node_modules|blib|local|_build)[/\\]/.test(filePath)) return false;
+        return /\.(pl|pm|t)$/i.test(filePath);
+    }
+
+    build(rootPath) {
+        const buildId = ++this.buildId;
+        this.rootPath = rootPath;
+        this.files.clear();
+        if (!rootPath) return Promise.resolve();
+
+        this.buildPromise = (async () => {
+            const result = await window.electronAPI.listPerlFiles(rootPath);
+            if (!result.success) {
+                console.warn('Could not index workspace:', result.error);
+                return;
+            }
+            if (result.truncated) {
+                console.warn(`Workspace index stopped after ${result.files.length} files`);
+            }
+
+            for (const filePath of result.files) {
+                if (buildId !== this.buildId) return; // a newer build took over
+                await this.indexFile(filePath, buildId);
+            }
+            console.log(`Indexed ${this.files.size} Perl files under ${rootPath}`);
+        })();
+        return this.buildPromise;
+    }
+
+    async indexFile(filePath, buildId = this.buildId) {
+        const result = await window.electronAPI.readFile(filePath);
+        if (buildId !== this.buildId) return;
+
+        if (!result.success) {
+            this.files.delete(filePath);
+            return;
+        }
+        this.files.set(filePath, this.parseFile(filePath, result.content));
+    }
+
+    parseFile(filePath, content) {
+        return this.extractDefinitions(filePath, PerlOutline.parseSymbols(content), PerlWorkspaceIndex.findPackageInfo(content));
+    }
+
+    handleFileEvent({ type, path: filePath }) {
+        // Inside rootPath, not a sibling folder sharing its prefix
+        if (!this.rootPath || !filePath || !filePath.startsWith(this.rootPath) || !/[/\\]/.test(filePath[this.rootPath.length])) return;
+
+        if (type === 'unlinkDir') {
+            Array.from(this.files.keys())
+                .filter(indexedPath => indexedPath.startsWith(filePath) && /[/\\]/.test(indexedPath[filePath.length]))
+                .forEach(indexedPath => this.files.delete(indexedPath));
+            return;
+        }
+        if (!this.isIndexedFile(filePath)) return;
+
+        if (type === 'unlink') {
+            this.files.delete(filePath);
+        } else if (type === 'change' || !this.files.has(filePath)) {
+            // An 'add' during build() may be for a file it has already read
+            this.indexFile(filePath);
+        }
+    }
+
+    // Flatten the outline; everything but POD headings is a definition.
+    // Subs, constants and accessors are qualified with their package;
+    // packages carry their parents and roles from packageInfo.
+    extractDefinitions(filePath, symbols, packageInfo = new Map()) {
+        const definitions = [];
+        const visit = (symbol, packageName) => {
+            if (symbol.kind === 'pod' || symbol.name.startsWith('+')) return;
+
+            const isPackage = symbol.kind === 'package';
+            const fullName = isPackage || symbol.name.includes('::')
+                ? symbol.name
+                : `${packageName}::${symbol.name}`;
+            const name = isPackage ? fullName : fullName.split('::').pop();
+            const info = isPackage ? packageInfo.get(fullName) : null;
+            definitions.push({
+                ...(info || {}),
+                name,
+                fullName,
+                kind: symbol.kind,
+                container: isPackage ? '' : fullName.slice(0, -name.length - 2),
+                filePath,
+                line: symbol.line,
+                // `sub Foo::bar` points at `bar`
+                column: symbol.column + symbol.name.length - name.length
+            });
+            symbol.children.forEach(child => visit(child, isPackage ? symbol.name : packageName));
+        };
+        symbols.forEach(symbol => visit(symbol, 'main'));
+        return definitions;
+    }
+
+    // Per package: { parents, objectSystem } where parents covers use parent/base,
+    // extends, with and @ISA, and objectSystem names Moo/Moose/Mouse if used
+    static findPackageInfo(code) {
+        const packages = Array.from(code.matchAll(/^\s*package\s+([A-Za-z_]\w*(?:::\w+)*)/gm))
+            .map(match => ({ name: match[1], index: match.index }));
+        const info = new Map();
+        const getInfo = (index) => {
+            const current = packages.filter(pkg => pkg.index <= index).pop();
+            const name = current ? current.name : 'main';
+            if (!info.has(name)) info.set(name, { parents: [], objectSystem: null });
+            return info.get(name);
+        };
+
+        const inheritance = /^\s*(?:use\s+(?:parent|base)\b|extends\b|with\b|(?:our\s+)?@ISA\s*=|push\s*\(?\s*@ISA\s*,)([^;]*);/gm;
+        for (const match of code.matchAll(inheritance)) {
+            // 'A', "B", qw(C D) - drop the -norequire flag and the qw delimiters
+            const list = match[1].replace(/-norequire\b/, '').replace(/\bqw\s*\W/g, ' ');
+            const names = Array.from(list.matchAll(/[A-Za-z_]\w*(?:::\w+)*/g), name => name[0]);
+            getInfo(match.index).parents.push(...names);
+        }
+        for (const match of code.matchAll(/^\s*use\s+(Moo|Moose|Mouse)\s*;/gm)) {
+            getInfo(match.index).objectSystem = match[1];
+        }
+        return info;
+    }
+
+    // ---- Queries ----
+
+    // overlay ({ filePath, definitions }) stands in for the indexed copy of an
+    // open file, so unsaved edits count
+    forEachDefinition(callback, overlay = null) {
+        this.files.forEach((definitions, filePath) => {
+            if (!overlay || filePath !== overlay.filePath) definitions.forEach(callback);
+        });
+        if (overlay) overlay.definitions.forEach(callback);
+    }
+
+    // Methods and accessors of a class and everything it inherits, nearest
+    // class first: [{ definition, className }]. Moo/Moose classes get `new`.
+    getClassMethods(className, overlay = null) {
+        const packages = new Map(); // name -> package definitions (a package may span files)
+        const members = new Map(); // package name -> subs and attributes
+        this.forEachDefinition(definition => {
+            const key = definition.kind === 'package' ? definition.fullName : definition.container;
+            const target = definition.kind === 'package' ? packages : members;
+            if (definition.kind === 'package' || definition.kind === 'sub' || definition.kind === 'attribute') {
+                if (!target.has(key)) target.set(key, []);
+                target.get(key).push(definition);
+            }
+        }, overlay);
+
+        const methods = [];
+        const seenNames = new Set();
+        const queue = [className];
+        const visited = new Set();
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (visited.has(current)) continue;
+            visited.add(current);
+
+            const definitions = (members.get(current) || []).slice();
+            const declarations = packages.get(current) || [];
+            if (declarations.some(pkg => pkg.objectSystem) && !definitions.some(def => def.name === 'new')) {
+                const pkg = declarations.find(declaration => declaration.objectSystem);
+                definitions.push({ ...pkg, name: 'new', fullName: `${current}::new`, kind: 'sub', container: current });
+            }
+            definitions.forEach(definition => {
+                // Overridden methods hide the inherited ones
+                if (seenNames.has(definition.name)) return;
+                seenNames.add(definition.name);
+                methods.push({ definition, className: current });
+            });
+            declarations.forEach(pkg => queue.push(...(pkg.parents || [])));
+        }
+        return methods;
+    }
+
+    isKnownPackage(name, overlay = null) {
+        let found = false;
+        this.forEachDefinition(definition => {
+            if (definition.kind === 'package' && definition.fullName === name) found = true;
+        }, overlay);
+        return found;
+    }
+
+    // Definitions matching the query, best matches first
+    search(query, limit = 200) {
+        const needle = query.trim().toLowerCase();
+        const results = [];
+        this.files.forEach(definitions => definitions.forEach(definition => {
+            const score = this.scoreMatch(definition, needle);
+            if (score !== null) results.push({ definition, score });
+        }));
+
+        results.sort((a, b) => a.score - b.score || a.definition.name.localeCompare(b.definition.name));
+        return results.slice(0, limit).map(result => result.definition);
+    }
+
+    // Lower is better; null means no match
+    scoreMatch(definition, needle) {
+        if (!needle) return 4;
+
+        const name = definition.name.toLowerCase();
+        if (name === needle) return 0;
+        if (name.startsWith(needle)) return 1;
+        if (name.includes(needle)) return 2;
+        if (definition.fullName.toLowerCase().includes(needle)) return 3;
+
+        // Subsequence match, e.g. "gtnm" for get_name
+        let position = 0;
+        for (const char of needle) {
+            position = name.indexOf(char, position) + 1;
+            if (position === 0) return null;
+        }
+        return 4;
+    }
+
+    // Definitions for a name as written in code: `bar`, `Foo::bar` or `Foo::Bar`
+    findDefinitions(word) {
+        const matches = [];
+        this.files.forEach(definitions => definitions.forEach(definition => {
+            if (definition.fullName === word || definition.name === word) {
+                matches.push(definition);
+            }
+        }));
+        return matches;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerlWorkspaceIndex;
+}
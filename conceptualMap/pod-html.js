@@ -0,0 +1,285 @@
+// Renders POD as HTML for the preview pane and reports the mistakes podchecker
+// would: unbalanced =over/=back and =begin/=end, stray =item, unknown commands
+// and unterminated formatting codes. Each block carries data-line, the source
+// line it starts on, so the preview can scroll with the editor. All text is
+// escaped and =begin html blocks are dropped like any other =begin: the
+// preview runs with the renderer's privileges.
+const POD_COMMANDS = ['pod', 'cut', 'head1', 'head2', 'head3', 'head4', 'head5', 'head6',
+    'over', 'item', 'back', 'begin', 'end', 'for', 'encoding'];
+
+class PodHtml extends PodMarkdown {
+    // { html, errors: [{ severity, message, line, column, endColumn }] }
+    static render(source) {
+        const html = [];
+        const errors = [];
+        const lists = []; // open =over blocks: { line, type, itemOpen }
+        const begins = []; // open =begin blocks: { name, line }
+        let verbatim = null; // { line, lines } of the current code block
+
+        const report = (severity, message, line, column, endColumn) => {
+            errors.push({ severity, message, line, column, endColumn });
+        };
+        const format = (text, line, column) => {
+            const result = this.parseSequence(text, 0, null, false);
+            result.unterminated.forEach(({ letter, offset }) => {
+                const before = text.slice(0, offset).split('\n');
+                const codeLine = line + before.length - 1;
+                const codeColumn = (before.length === 1 ? column : 1) + before[before.length - 1].length;
+                report('error', `Unterminated ${letter}<...> sequence`, codeLine, codeColumn, codeColumn + 2);
+            });
+            return result.output;
+        };
+        const attributes = (line, content) => {
+            const section = content === undefined ? '' : this.plainText(content).replace(/\s+/g, ' ').trim();
+            return ` data-line="${line}"` + (section ? ` data-section="${this.escapeHtml(section)}"` : '');
+        };
+
+        const flushVerbatim = () => {
+            if (!verbatim) return;
+            const indent = Math.min(...verbatim.lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+            const code = verbatim.lines.map(line => line.slice(indent)).join('\n');
+            html.push(`<pre data-line="${verbatim.line}"><code>${this.escapeHtml(code)}</code></pre>`);
+            verbatim = null;
+        };
+        // Text directly inside =over is an indented block; after a
+        // definition-style =item it goes into the item's <dd>
+        const openBlock = () => {
+            flushVerbatim();
+            const list = lists[lists.length - 1];
+            if (!list) return;
+            if (!list.type) {
+                list.type = 'indent';
+                html.push(`<div class="pod-indent" data-line="${list.line}">`);
+            } else if (list.type === 'dl' && !list.itemOpen) {
+                html.push('<dd>');
+                list.itemOpen = true;
+            }
+        };
+        const closeItem = (list) => {
+            if (!list.itemOpen) return;
+            html.push(list.type === 'dl' ? '</dd>' : '</li>');
+            list.itemOpen = false;
+        };
+        const closeList = (list) => {
+            flushVerbatim();
+            closeItem(list);
+            if (list.type === 'indent') {
+                html.push('</div>');
+            } else if (list.type) {
+                html.push(`</${list.type}>`);
+            }
+        };
+        const endBegin = (paragraph, name) => {
+            const begin = begins.pop();
+            if (!begin) {
+                report('error', '=end without a matching =begin', paragraph.line, 1, 5);
+            } else if (name && name !== begin.name) {
+                report('error', `=end ${name} doesn't match =begin ${begin.name} on line ${begin.line}`, paragraph.line, 1, 5);
+            }
+        };
+
+        for (const paragraph of this.findParagraphs(source)) {
+            const command = paragraph.text.match(/^=([A-Za-z]\w*)[ \t]*/);
+            const name = command && command[1];
+            const text = command ? paragraph.text.slice(command[0].length) : paragraph.text;
+            const plain = text.replace(/\s+/g, ' ').trim();
+
+            if (begins.length > 0) {
+                if (name === 'begin') {
+                    begins.push({ name: plain.split(' ')[0], line: paragraph.line });
+                } else if (name === 'end') {
+                    endBegin(paragraph, plain.split(' ')[0]);
+                }
+                continue;
+            }
+
+            if (!command) {
+                if (/^[ \t]/.test(paragraph.text)) {
+                    if (verbatim) {
+                        verbatim.lines.push('');
+                    } else {
+                        openBlock();
+                        verbatim = { line: paragraph.line, lines: [] };
+                    }
+                    verbatim.lines.push(...paragraph.text.split('\n'));
+                } else {
+                    openBlock();
+                    html.push(`<p data-line="${paragraph.line}">${format(text, paragraph.line, 1)}</p>`);
+                }
+                continue;
+            }
+
+            flushVerbatim();
+            const column = command[0].length + 1;
+            const commandEnd = name.length + 2;
+            const heading = name.match(/^head([1-6])$/);
+            const list = lists[lists.length - 1];
+
+            if (heading) {
+                if (!plain) report('warning', `Empty =${name}`, paragraph.line, 1, commandEnd);
+                openBlock();
+                const content = format(text, paragraph.line, column);
+                html.push(`<h${heading[1]}${attributes(paragraph.line, content)}>${content}</h${heading[1]}>`);
+            } else if (name === 'over') {
+                openBlock();
+                lists.push({ line: paragraph.line, type: null, itemOpen: false });
+            } else if (name === 'item') {
+                const bullet = text.match(/^(?:\*|\d+\.?)(?=\s|$)[ \t]*/);
+                const type = bullet ? (bullet[0].startsWith('*') ? 'ul' : 'ol') : 'dl';
+                const itemText = bullet ? text.slice(bullet[0].length) : text;
+                const content = format(itemText, paragraph.line, column + (bullet ? bullet[0].length : 0));
+
+                if (!list) {
+                    report('error', '=item outside of an =over list', paragraph.line, 1, commandEnd);
+                    html.push(`<p${attributes(paragraph.line, content)}><strong>${content}</strong></p>`);
+                    continue;
+                }
+                if (!list.type) {
+                    list.type = type;
+                    html.push(`<${type} data-line="${list.line}">`);
+                }
+                closeItem(list);
+                if (list.type === 'dl') {
+                    html.push(`<dt${attributes(paragraph.line, content)}>${content}</dt>`);
+                } else if (list.type === 'indent') {
+                    html.push(`<p${attributes(paragraph.line, content)}><strong>${content}</strong></p>`);
+                } else {
+                    html.push(`<li${attributes(paragraph.line, content)}>${content}`);
+                    list.itemOpen = true;
+                }
+            } else if (name === 'back') {
+                if (list) {
+                    closeList(lists.pop());
+                } else {
+                    report('error', '=back without a matching =over', paragraph.line, 1, commandEnd);
+                }
+            } else if (name === 'begin') {
+                if (!plain) report('error', '=begin without a format name', paragraph.line, 1, commandEnd);
+                begins.push({ name: plain.split(' ')[0], line: paragraph.line });
+            } else if (name === 'end') {
+                endBegin(paragraph, plain.split(' ')[0]);
+            } else if (name === 'cut' && paragraph.opensPod) {
+                report('warning', '=cut found outside a pod block', paragraph.line, 1, commandEnd);
+            } else if (!POD_COMMANDS.includes(name)) {
+                report('error', `Unknown command =${name}`, paragraph.line, 1, commandEnd);
+            }
+            // =pod, =cut, =encoding and =for need no output
+        }
+
+        flushVerbatim();
+        while (lists.length > 0) {
+            const list = lists.pop();
+            report('error', '=over without a closing =back', list.line, 1, 6);
+            closeList(list);
+        }
+        begins.forEach(begin => {
+            report('error', `=begin ${begin.name} without a matching =end`, begin.line, 1, 7);
+        });
+
+        return { html: html.join('\n'), errors };
+    }
+
+    // POD paragraphs of a Perl or .pod file with the line each starts on.
+    // opensPod marks the first paragraph of a POD block
+    static findParagraphs(source) {
+        const paragraphs = [];
+        let current = null;
+        let inPod = false;
+
+        const flush = () => {
+            if (current) paragraphs.push({ line: current.line, text: current.lines.join('\n'), opensPod: current.opensPod });
+            current = null;
+        };
+
+        source.replace(/\r\n?/g, '\n').split('\n').forEach((text, index) => {
+            const opensPod = !inPod && /^=[A-Za-z]/.test(text);
+            if (!inPod && !opensPod) return;
+            inPod = true;
+
+            if (!text.trim()) {
+                flush();
+            } else if (/^=cut\b/.test(text)) {
+                // Code may follow =cut without a blank line
+                flush();
+                paragraphs.push({ line: index + 1, text, opensPod });
+                inPod = false;
+            } else {
+                if (!current) current = { line: index + 1, lines: [], opensPod };
+                current.lines.push(text);
+            }
+        });
+        flush();
+
+        return paragraphs;
+    }
+
+    // ---- Formatting codes ----
+
+    // Codes nest inside C<> in HTML, so the text is never kept raw
+    static parseSequence(text, start, closer) {
+        return super.parseSequence(text, start, closer, false);
+    }
+
+    static applyCode(letter, content, code) {
+        switch (letter) {
+            case 'B':
+                return `<strong>${content}</strong>`;
+            case 'I':
+                return `<em>${content}</em>`;
+            case 'F':
+                return `<em class="pod-file">${content}</em>`;
+            case 'C':
+                return `<code>${content}</code>`;
+            case 'S':
+                return `<span class="pod-nowrap">${content}</span>`;
+            default: // E, L, X, Z
+                return super.applyCode(letter, content, code);
+        }
+    }
+
+    // Module and section links are followed by the preview; URLs open in the
+    // browser, and only the schemes it should be handed
+    static formatLink(content) {
+        const separator = content.indexOf('|');
+        const label = separator >= 0 ? content.slice(0, separator) : null;
+        const target = this.plainText(separator >= 0 ? content.slice(separator + 1) : content).trim();
+
+        if (/^[a-z][a-z0-9+.-]*:[^:\s]\S*$/i.test(target)) {
+            if (!/^(?:https?|ftp|mailto):/i.test(target)) return label || this.escapeHtml(target);
+            const url = this.escapeHtml(target);
+            return `<a class="pod-link" data-url="${url}" title="${url}">${label || url}</a>`;
+        }
+
+        const quoted = target.match(/^"(.*)"$/);
+        const slash = target.indexOf('/');
+        const name = quoted ? '' : (slash >= 0 ? target.slice(0, slash) : target).trim();
+        const section = quoted ? quoted[1] : (slash >= 0 ? target.slice(slash + 1).replace(/^"|"$/g, '') : '');
+        const text = label || this.escapeHtml(section ? (name ? `"${section}" in ${name}` : `"${section}"`) : name);
+
+        // Manual pages, e.g. L<crontab(5)>, have nothing to open
+        if (/\(\w+\)$/.test(name)) return text;
+
+        return '<a class="pod-link"' +
+            (name ? ` data-module="${this.escapeHtml(name)}"` : '') +
+            (section ? ` data-section="${this.escapeHtml(section)}"` : '') +
+            `>${text}</a>`;
+    }
+
+    static escape(character) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[character] || character;
+    }
+
+    static escapeHtml(text) {
+        return text.replace(/[&<>"]/g, character => this.escape(character));
+    }
+
+    // The text of rendered HTML, for link targets and section names
+    static plainText(html) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"' };
+        return html.replace(/<[^>]*>/g, '').replace(/&(amp|lt|gt|quot);/g, (entity, name) => entities[name]);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PodHtml;
+}
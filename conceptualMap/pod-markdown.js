@@ -0,0 +1,193 @@
+// Converts POD (perlpod) to markdown for Monaco hovers. Handles headings,
+// lists, verbatim blocks and the B/C/E/F/I/L/S/X/Z formatting codes;
+// =begin/=for blocks for other formatters are dropped.
+class PodMarkdown {
+    // options.headingOffset: added to =headN levels (hovers use smaller headings)
+    static convert(pod, options = {}) {
+        const headingOffset = options.headingOffset || 0;
+        const blocks = [];
+        const lists = []; // open =over blocks
+        let verbatim = null; // lines of the current code block
+        let pendingItem = null; // `=item *` waiting for its paragraph
+        let skipping = null; // name of the =begin block being skipped
+        let inPod = false;
+
+        const flushVerbatim = () => {
+            if (!verbatim) return;
+            const indent = Math.min(...verbatim.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+            blocks.push('```perl\n' + verbatim.map(line => line.slice(indent)).join('\n').replace(/\n+$/, '') + '\n```');
+            verbatim = null;
+        };
+        const indent = () => '  '.repeat(Math.max(0, lists.length - 1));
+
+        for (const paragraph of pod.replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/)) {
+            if (!paragraph.trim()) continue;
+
+            if (skipping) {
+                if (new RegExp(`^=end\\s+${skipping}\\b`).test(paragraph)) skipping = null;
+                continue;
+            }
+
+            const command = paragraph.match(/^=([a-z]+\d?)\s*([\s\S]*)$/);
+            if (command) {
+                inPod = command[1] !== 'cut';
+                flushVerbatim();
+                const name = command[1];
+                const text = command[2].replace(/\s+/g, ' ').trim();
+                const heading = name.match(/^head(\d)$/);
+
+                if (heading) {
+                    const level = Math.min(6, Number(heading[1]) + headingOffset);
+                    blocks.push('#'.repeat(level) + ' ' + this.formatText(text));
+                } else if (name === 'over') {
+                    lists.push(text);
+                } else if (name === 'back') {
+                    lists.pop();
+                } else if (name === 'item') {
+                    const bullet = text.match(/^(\*|\d+\.?)\s*(.*)$/);
+                    const marker = bullet ? (bullet[1] === '*' ? '- ' : `${parseInt(bullet[1], 10)}. `) : null;
+                    const itemText = bullet ? bullet[2] : text;
+
+                    if (!marker) {
+                        // Definition-style item, e.g. the usage lines in perlfunc
+                        blocks.push(indent() + '**' + this.formatText(itemText).trim() + '**');
+                    } else if (itemText) {
+                        blocks.push(indent() + marker + this.formatText(itemText));
+                    } else {
+                        pendingItem = marker;
+                    }
+                } else if (name === 'begin') {
+                    skipping = text.split(' ')[0].replace(/^:/, '');
+                }
+                // =pod, =cut, =encoding, =for and =end need no output
+                continue;
+            }
+            if (!inPod) continue;
+
+            if (/^[ \t]/.test(paragraph)) {
+                verbatim = verbatim ? verbatim.concat('', paragraph.split('\n')) : paragraph.split('\n');
+                continue;
+            }
+
+            flushVerbatim();
+            const text = this.formatText(paragraph.replace(/\s+/g, ' ').trim());
+            blocks.push(indent() + (pendingItem || '') + text);
+            pendingItem = null;
+        }
+        flushVerbatim();
+
+        return blocks.join('\n\n');
+    }
+
+    // The POD of the named =head1 sections, in document order
+    static extractSections(pod, names) {
+        const wanted = names.map(name => name.toUpperCase());
+        const sections = pod.replace(/\r\n?/g, '\n').split(/^(?==head1\s)/m);
+        return sections
+            .filter(section => {
+                const heading = section.match(/^=head1\s+(.*)/);
+                return heading && wanted.includes(heading[1].trim().toUpperCase());
+            })
+            .join('');
+    }
+
+    // ---- Formatting codes ----
+
+    static formatText(text) {
+        return this.parseSequence(text, 0, null, false).output;
+    }
+
+    // Parses text until `closer` matches; inside C<> the text stays raw.
+    // `unterminated` lists the codes (letter and offset) that never closed
+    static parseSequence(text, start, closer, code) {
+        const opener = /([BCEFILSXZ])<(?:(<+)\s+)?/y;
+        let output = '';
+        let index = start;
+        let unterminated = [];
+
+        while (index < text.length) {
+            if (closer) {
+                closer.lastIndex = index;
+                const close = closer.exec(text);
+                if (close) return { output, end: index + close[0].length, closed: true, unterminated };
+            }
+
+            opener.lastIndex = index;
+            const open = opener.exec(text);
+            if (open) {
+                // C<< $a->b >> closes on whitespace followed by the same number of brackets
+                const brackets = open[2] ? open[2].length + 1 : 1;
+                const innerCloser = brackets > 1 ? new RegExp(`\\s+${'>'.repeat(brackets)}`, 'y') : />/y;
+                const inner = this.parseSequence(text, index + open[0].length, innerCloser, code || open[1] === 'C');
+                output += this.applyCode(open[1], inner.output, code);
+                unterminated = unterminated.concat(inner.closed ? [] : [{ letter: open[1], offset: index }], inner.unterminated);
+                index = inner.end;
+                continue;
+            }
+
+            output += code ? text[index] : this.escape(text[index]);
+            index++;
+        }
+        return { output, end: index, closed: false, unterminated };
+    }
+
+    static applyCode(letter, content, code) {
+        if (letter === 'E') {
+            const character = this.decodeEscape(content);
+            return code ? character : this.escape(character);
+        }
+        if (letter === 'X' || letter === 'Z') return '';
+        if (code) return content;
+
+        switch (letter) {
+            case 'B':
+                return `**${content}**`;
+            case 'I':
+            case 'F':
+                return `*${content}*`;
+            case 'C': {
+                const fence = content.includes('`') ? '``' : '`';
+                return `${fence}${content.includes('`') ? ` ${content} ` : content}${fence}`;
+            }
+            case 'L':
+                return this.formatLink(content);
+            default: // S<>
+                return content;
+        }
+    }
+
+    // L<text|target>, L<Module>, L<Module/"section">, L</section>, L<https://...>
+    static formatLink(content) {
+        const separator = content.indexOf('|');
+        const label = separator >= 0 ? content.slice(0, separator) : null;
+        const target = separator >= 0 ? content.slice(separator + 1) : content;
+
+        const url = target.replace(/\\(.)/g, '$1');
+        if (/^[a-z][a-z0-9+.-]*:[^:\s]\S*$/i.test(url)) {
+            return `[${label || url}](${url})`;
+        }
+        if (label) return label;
+
+        const [name, section] = target.split('/', 2);
+        if (!section) return name;
+        const sectionName = section.replace(/^"|"$/g, '');
+        return name ? `"${sectionName}" in ${name}` : `"${sectionName}"`;
+    }
+
+    static decodeEscape(name) {
+        const named = { lt: '<', gt: '>', verbar: '|', sol: '/', quot: '"', amp: '&', apos: "'", nbsp: ' ' };
+        if (named[name]) return named[name];
+        if (/^0x[0-9a-f]+$/i.test(name)) return String.fromCodePoint(parseInt(name, 16));
+        if (/^0[0-7]*$/.test(name)) return String.fromCodePoint(parseInt(name, 8));
+        if (/^\d+$/.test(name)) return String.fromCodePoint(parseInt(name, 10));
+        return `E<${name}>`;
+    }
+
+    static escape(character) {
+        return '\\`*_[]<'.includes(character) ? '\\' + character : character;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PodMarkdown;
+}
@@ -0,0 +1,249 @@
+// Side-by-side POD preview of the active Perl tab, rendered by PodHtml.
+// Follows the editor like PerlOutline; scrolling either side brings the other
+// to the same source line, and L<> links open the module or section they
+// name. POD errors become 'pod' markers whether or not the pane is open.
+class PodPreview {
+    constructor(monacoEditor) {
+        this.monacoEditor = monacoEditor;
+        this.pane = document.getElementById('pod-preview');
+        this.editorContent = this.pane ? this.pane.parentElement : null;
+        this.editor = null;
+        this.visible = false; // toggled by the user; only shown for Perl and .pod tabs
+        this.refreshTimeout = null;
+        this.scrollSource = null; // 'editor' or 'preview' while one side moves the other
+        this.scrollTimeout = null;
+        this.listeners = [];
+
+        if (this.pane) {
+            this.pane.addEventListener('scroll', () => this.syncEditor());
+            this.pane.addEventListener('click', (event) => this.handleClick(event));
+        }
+    }
+
+    // Follow a (re)created Monaco editor; tab switches go through setValue,
+    // so content changes cover both editing and switching files
+    attach(editor) {
+        this.listeners.forEach(listener => listener.dispose());
+        this.editor = editor;
+        this.listeners = [
+            editor.onDidChangeModelContent(() => this.scheduleRefresh()),
+            editor.onDidScrollChange((event) => {
+                if (event.scrollTopChanged) this.syncPreview();
+            })
+        ];
+        this.scheduleRefresh();
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.refresh();
+        if (this.visible && !this.isShown()) {
+            this.monacoEditor.updateStatusMessage('POD preview is available for Perl and .pod files', '#858585');
+        }
+    }
+
+    supports(filePath) {
+        return !!filePath && (this.monacoEditor.isPerlFile(filePath) || /\.pod$/i.test(filePath));
+    }
+
+    isShown() {
+        return !!this.pane && !this.pane.hidden;
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimeout);
+        this.refreshTimeout = setTimeout(() => this.refresh(), 300);
+    }
+
+    refresh() {
+        clearTimeout(this.refreshTimeout);
+        const { activeTab } = this.monacoEditor;
+        const model = this.editor && this.editor.getModel();
+        if (!model) {
+            this.clear();
+            return;
+        }
+        if (!this.supports(activeTab)) {
+            monaco.editor.setModelMarkers(model, 'pod', []);
+            this.show(false);
+            return;
+        }
+
+        const { html, errors } = PodHtml.render(model.getValue());
+        monaco.editor.setModelMarkers(model, 'pod', errors.map(error => this.toMarker(error)));
+
+        this.show(this.visible);
+        if (!this.visible) return;
+        this.pane.innerHTML = html || '<div class="pod-preview-empty">No POD in this file</div>';
+        this.syncPreview();
+    }
+
+    show(shown) {
+        if (!this.pane) return;
+        this.pane.hidden = !shown;
+        this.editorContent.classList.toggle('pod-preview-open', shown);
+    }
+
+    clear() {
+        clearTimeout(this.refreshTimeout);
+        this.show(false);
+        if (this.pane) this.pane.innerHTML = '';
+    }
+
+    toMarker(error) {
+        return {
+            severity: error.severity === 'warning' ? monaco.MarkerSeverity.Warning : monaco.MarkerSeverity.Error,
+            message: error.message,
+            source: 'POD',
+            startLineNumber: error.line,
+            startColumn: error.column,
+            endLineNumber: error.line,
+            endColumn: error.endColumn
+        };
+    }
+
+    // ---- Scroll sync ----
+
+    // Rendered blocks in document order, each with the source line it starts on
+    getBlocks() {
+        return Array.from(this.pane.querySelectorAll('[data-line]')).map(element => ({
+            line: Number(element.dataset.line),
+            top: element.offsetTop
+        }));
+    }
+
+    // Scrolling one side moves the other, whose own scroll event must not
+    // move the first one back
+    lockScroll(source) {
+        this.scrollSource = source;
+        clearTimeout(this.scrollTimeout);
+        this.scrollTimeout = setTimeout(() => {
+            this.scrollSource = null;
+        }, 100);
+    }
+
+    // Show the block at the editor's top line, interpolating between blocks
+    // so code between POD sections scrolls the preview smoothly
+    syncPreview() {
+        if (!this.isShown() || !this.editor || this.scrollSource === 'preview') return;
+        const blocks = this.getBlocks();
+        if (blocks.length === 0) return;
+
+        const line = this.getEditorTopLine();
+        const index = this.findLast(blocks, block => block.line <= line);
+        let top = 0;
+        if (index >= 0) {
+            const block = blocks[index];
+            const next = blocks[index + 1];
+            top = next && next.line > block.line
+                ? block.top + (next.top - block.top) * (line - block.line) / (next.line - block.line)
+                : block.top;
+        }
+
+        this.lockScroll('editor');
+        this.pane.scrollTop = top;
+    }
+
+    syncEditor() {
+        if (!this.editor || this.scrollSource === 'editor') return;
+        const blocks = this.getBlocks();
+        if (blocks.length === 0) return;
+
+        const scrollTop = this.pane.scrollTop;
+        const index = this.findLast(blocks, block => block.top <= scrollTop);
+        let line = 1;
+        if (index >= 0) {
+            const block = blocks[index];
+            const next = blocks[index + 1];
+            line = next && next.top > block.top
+                ? block.line + (next.line - block.line) * (scrollTop - block.top) / (next.top - block.top)
+                : block.line;
+        }
+
+        this.lockScroll('preview');
+        const whole = Math.floor(line);
+        const lineTop = this.editor.getTopForLineNumber(whole);
+        this.editor.setScrollTop(lineTop + (this.editor.getTopForLineNumber(whole + 1) - lineTop) * (line - whole));
+    }
+
+    // The editor's top line, with the hidden part of a partly scrolled line as a fraction
+    getEditorTopLine() {
+        const ranges = this.editor.getVisibleRanges();
+        if (ranges.length === 0) return 1;
+        const line = ranges[0].startLineNumber;
+        const lineTop = this.editor.getTopForLineNumber(line);
+        const lineHeight = this.editor.getTopForLineNumber(line + 1) - lineTop;
+        return line + (lineHeight > 0 ? Math.max(0, this.editor.getScrollTop() - lineTop) / lineHeight : 0);
+    }
+
+    findLast(items, predicate) {
+        for (let i = items.length - 1; i >= 0; i--) {
+            if (predicate(items[i])) return i;
+        }
+        return -1;
+    }
+
+    // ---- Links ----
+
+    handleClick(event) {
+        const link = event.target.closest('a.pod-link');
+        if (!link) return;
+        event.preventDefault();
+
+        if (link.dataset.url) {
+            window.open(link.dataset.url); // handed to the browser by the main process
+        } else if (link.dataset.module) {
+            this.openModule(link.dataset.module, link.dataset.section);
+        } else if (link.dataset.section) {
+            this.revealSection(link.dataset.section);
+        }
+    }
+
+    async openModule(name, section) {
+        const result = await window.electronAPI.resolvePerlModule(name, this.monacoEditor.getWorkspaceRoot());
+        if (!result.success) {
+            this.monacoEditor.updateStatusMessage(`Cannot open ${name}: ${result.error}`, '#f44336');
+            return;
+        }
+
+        await this.monacoEditor.revealLocation(result.filePath, { startLineNumber: 1, startColumn: 1, endLineNumber: 1, endColumn: 1 });
+        if (section && this.monacoEditor.activeTab === result.filePath) this.revealSection(section);
+    }
+
+    // Go to the =head or =item named by an L</section> link in the active tab
+    revealSection(section) {
+        const { activeTab } = this.monacoEditor;
+        const model = this.editor && this.editor.getModel();
+        if (!model || !activeTab) return;
+
+        // Tab switches re-render after a delay; the section has to be looked up now
+        this.refresh();
+        const wanted = section.replace(/\s+/g, ' ').trim();
+        const sections = Array.from(this.pane.querySelectorAll('[data-section]'));
+        const target = sections.find(element => element.dataset.section === wanted) ||
+            sections.find(element => element.dataset.section.toLowerCase() === wanted.toLowerCase());
+        if (!target) {
+            this.monacoEditor.updateStatusMessage(`Section "${wanted}" not found`, '#f44336');
+            return;
+        }
+
+        const line = Number(target.dataset.line);
+        this.monacoEditor.revealLocation(activeTab, {
+            startLineNumber: line,
+            startColumn: 1,
+            endLineNumber: line,
+            endColumn: model.getLineMaxColumn(line)
+        });
+    }
+
+    dispose() {
+        clearTimeout(this.refreshTimeout);
+        clearTimeout(this.scrollTimeout);
+        this.listeners.forEach(listener => listener.dispose());
+        this.listeners = [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PodPreview;
+}
@@ -4,8 +4,39 @@ const { ipcRenderer } = require('electron');
 window.electronAPI = {
     readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
     saveFile: (data) => ipcRenderer.invoke('save-file', data),
-    checkPerlSyntax: (code) => ipcRenderer.invoke('check-perl-syntax', code),
+    listPerlFiles: (rootPath) => ipcRenderer.invoke('list-perl-files', rootPath),
+    checkPerlSyntax: (code, filePath, version) => ipcRenderer.invoke('check-perl-syntax', code, filePath, version),
+    cancelPerlSyntaxCheck: (filePath) => ipcRenderer.send('cancel-perl-syntax', filePath),
     getModulesForLetter: (letter) => ipcRenderer.invoke('get-modules-for-letter', letter),
+    startPerlLanguageServer: (rootPath) => ipcRenderer.invoke('perl-lsp-start', rootPath),
+    perlLanguageRequest: (method, filePath, params) => ipcRenderer.invoke('perl-lsp-request', method, filePath, params),
+    syncPerlDocument: (action, filePath, text) => ipcRenderer.send('perl-lsp-document', { action, filePath, text }),
+    onPerlDiagnostics: (callback) => ipcRenderer.on('perl-lsp-diagnostics', callback),
+    resolvePerlModule: (moduleName, rootPath) => ipcRenderer.invoke('perl-resolve-module', moduleName, rootPath),
+    getPerlModuleCatalogue: (options) => ipcRenderer.invoke('perl-module-catalogue', options),
+    getPerlDoc: (name, kind) => ipcRenderer.invoke('perl-doc', name, kind),
+    runPerlCritic: (code, options, version) => ipcRenderer.invoke('perl-critic', code, options, version),
+    formatPerlCode: (code, options) => ipcRenderer.invoke('perl-tidy', code, options),
+    getWorkspaceTrust: () => ipcRenderer.invoke('workspace-trust'),
+    promptWorkspaceTrust: () => ipcRenderer.invoke('workspace-trust-prompt'),
+    onPerlEnvironmentChanged: (callback) => ipcRenderer.on('perl-environment-changed', callback),
+    startPerlDebug: (options) => ipcRenderer.invoke('perl-debug-start', options),
+    stopPerlDebug: () => ipcRenderer.send('perl-debug-stop'),
+    resumePerlDebug: (mode) => ipcRenderer.invoke('perl-debug-resume', mode),
+    setPerlBreakpoints: (filePath, lines) => ipcRenderer.invoke('perl-debug-breakpoints', filePath, lines),
+    getPerlDebugVariables: (frameIndex) => ipcRenderer.invoke('perl-debug-variables', frameIndex),
+    expandPerlDebugVariable: (ref) => ipcRenderer.invoke('perl-debug-expand', ref),
+    evaluatePerlDebug: (expression) => ipcRenderer.invoke('perl-debug-evaluate', expression),
+    sendPerlDebugInput: (text) => ipcRenderer.send('perl-debug-input', text),
+    onPerlDebugEvent: (callback) => ipcRenderer.on('perl-debug-event', callback),
+    runPerlScript: (filePath, args) => ipcRenderer.invoke('perl-run-start', filePath, args),
+    stopPerlScript: () => ipcRenderer.invoke('perl-run-stop'),
+    onPerlRunEvent: (callback) => ipcRenderer.on('perl-run-event', callback),
+    discoverPerlTests: () => ipcRenderer.invoke('perl-tests-discover'),
+    runPerlTests: (files, options) => ipcRenderer.invoke('perl-tests-run', files, options),
+    stopPerlTests: () => ipcRenderer.invoke('perl-tests-stop'),
+    onPerlTestEvent: (callback) => ipcRenderer.on('perl-test-event', callback),
+    loadPerlCoverage: () => ipcRenderer.invoke('perl-coverage-load'),
     onMenuNewFile: (callback) => ipcRenderer.on('menu-new-file', callback),
     onFileOpened: (callback) => ipcRenderer.on('file-opened', callback),
     onMenuSaveFile: (callback) => ipcRenderer.on('menu-save-file', callback),
@@ -0,0 +1,75 @@
+// Lists Find All References results in the bottom panel, grouped by file.
+// Clicking a file header folds its group; clicking a line opens it.
+class ReferencesPanel {
+    constructor() {
+        this.title = document.getElementById('references-title');
+        this.list = document.getElementById('references-list');
+    }
+
+    // options: { name, results: [{ filePath, label, matches: [{ line, column, length, lineText }] }], onOpen(result, match) }
+    show(options) {
+        const results = options.results.filter(result => result.matches.length > 0);
+        const count = results.reduce((total, result) => total + result.matches.length, 0);
+        this.title.textContent = count === 0
+            ? `No references to '${options.name}'`
+            : `${count} ${count === 1 ? 'reference' : 'references'} to '${options.name}' in ` +
+              `${results.length} ${results.length === 1 ? 'file' : 'files'}`;
+        this.render(results, options.onOpen);
+
+        if (typeof window.showBottomPanelTab === 'function') {
+            window.showBottomPanelTab('references');
+        }
+    }
+
+    render(results, onOpen) {
+        this.list.innerHTML = '';
+
+        results.forEach(result => {
+            const group = document.createElement('div');
+            group.className = 'references-group';
+
+            const header = document.createElement('div');
+            header.className = 'references-file';
+            header.title = result.filePath || result.label;
+            const fileName = document.createElement('span');
+            fileName.textContent = result.label;
+            const badge = document.createElement('span');
+            badge.className = 'references-count';
+            badge.textContent = result.matches.length;
+            header.append(fileName, badge);
+            header.addEventListener('click', () => group.classList.toggle('collapsed'));
+            group.appendChild(header);
+
+            result.matches.forEach(match => {
+                const row = document.createElement('div');
+                row.className = 'references-match';
+
+                const lineNumber = document.createElement('span');
+                lineNumber.className = 'references-line';
+                lineNumber.textContent = match.line;
+
+                const text = document.createElement('span');
+                text.className = 'references-text';
+                const start = match.column - 1;
+                const highlight = document.createElement('span');
+                highlight.className = 'references-highlight';
+                highlight.textContent = match.lineText.substr(start, match.length);
+                text.append(match.lineText.slice(0, start).trimStart(), highlight, match.lineText.slice(start + match.length));
+
+                row.append(lineNumber, text);
+                row.addEventListener('click', () => {
+                    this.list.querySelectorAll('.references-match.selected').forEach(item => item.classList.remove('selected'));
+                    row.classList.add('selected');
+                    onOpen(result, match);
+                });
+                group.appendChild(row);
+            });
+
+            this.list.appendChild(group);
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReferencesPanel;
+}
@@ -0,0 +1,117 @@
+// Shows the edits a rename (or a quick fix) will make, grouped by file, with a
+// checkbox per edit. Nothing is changed until Apply; the caller applies what's
+// still checked.
+class RenamePreview {
+    constructor() {
+        this.overlay = document.getElementById('rename-preview-overlay');
+        this.title = document.getElementById('rename-preview-title');
+        this.list = document.getElementById('rename-preview-list');
+        this.options = null;
+
+        document.getElementById('rename-preview-cancel').addEventListener('click', () => this.hide());
+        document.getElementById('rename-preview-apply').addEventListener('click', () => this.apply());
+        this.overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hide();
+        });
+    }
+
+    // options: { oldName, newName, changes: [{ filePath, label, edits: [{ line, column, lineText }] }], onApply(changes) }.
+    // Edits may carry their own oldText/newText, and options.title replaces the rename heading.
+    // Edits marked uncertain (a method call that may be another class's) start unchecked.
+    show(options) {
+        this.options = options;
+        options.changes.forEach(change => change.edits.forEach(edit => {
+            edit.selected = !edit.uncertain;
+        }));
+
+        const editCount = options.changes.reduce((count, change) => count + change.edits.length, 0);
+        const uncertainCount = options.changes.reduce((count, change) => count + change.edits.filter(edit => edit.uncertain).length, 0);
+        this.title.textContent = `${options.title || `Rename '${options.oldName}' to '${options.newName}'`}: ` +
+            `${editCount} ${editCount === 1 ? 'change' : 'changes'} in ${options.changes.length} ` +
+            `${options.changes.length === 1 ? 'file' : 'files'}` +
+            (uncertainCount > 0 ? `, ${uncertainCount} unchecked (method ${uncertainCount === 1 ? 'call' : 'calls'} on another or unknown class)` : '');
+        this.render();
+        this.overlay.style.display = 'flex';
+        document.getElementById('rename-preview-apply').focus();
+    }
+
+    hide() {
+        this.overlay.style.display = 'none';
+        this.options = null;
+    }
+
+    render() {
+        const { oldName, newName, changes } = this.options;
+        this.list.innerHTML = '';
+
+        changes.forEach(change => {
+            const fileRow = document.createElement('label');
+            fileRow.className = 'rename-preview-file';
+            const fileCheckbox = document.createElement('input');
+            fileCheckbox.type = 'checkbox';
+            fileCheckbox.checked = change.edits.some(edit => edit.selected);
+            const fileName = document.createElement('span');
+            fileName.textContent = change.label;
+            fileRow.append(fileCheckbox, fileName);
+            this.list.appendChild(fileRow);
+
+            const editCheckboxes = change.edits.map(edit => {
+                const row = document.createElement('label');
+                row.className = edit.uncertain ? 'rename-preview-edit uncertain' : 'rename-preview-edit';
+                if (edit.uncertain) row.title = 'A method call on an object whose class is not known to be this package';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = edit.selected;
+                checkbox.addEventListener('change', () => {
+                    edit.selected = checkbox.checked;
+                    fileCheckbox.checked = change.edits.some(item => item.selected);
+                });
+
+                const lineNumber = document.createElement('span');
+                lineNumber.className = 'rename-preview-line';
+                lineNumber.textContent = edit.line;
+
+                // Line text with the renamed occurrence shown as old -> new
+                const oldText = edit.oldText !== undefined ? edit.oldText : oldName;
+                const text = document.createElement('span');
+                text.className = 'rename-preview-text';
+                const before = edit.lineText.slice(0, edit.column - 1).trimStart();
+                const after = edit.lineText.slice(edit.column - 1 + oldText.length);
+                const removed = document.createElement('span');
+                removed.className = 'rename-preview-old';
+                removed.textContent = oldText;
+                const added = document.createElement('span');
+                added.className = 'rename-preview-new';
+                added.textContent = edit.newText !== undefined ? edit.newText : newName;
+                text.append(before, removed, added, after);
+
+                row.append(checkbox, lineNumber, text);
+                this.list.appendChild(row);
+                return checkbox;
+            });
+
+            fileCheckbox.addEventListener('change', () => {
+                change.edits.forEach((edit, index) => {
+                    edit.selected = fileCheckbox.checked;
+                    editCheckboxes[index].checked = fileCheckbox.checked;
+                });
+            });
+        });
+    }
+
+    apply() {
+        const options = this.options;
+        if (!options) return;
+
+        const selected = options.changes
+            .map(change => ({ ...change, edits: change.edits.filter(edit => edit.selected) }))
+            .filter(change => change.edits.length > 0);
+        this.hide();
+        options.onApply(selected);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RenamePreview;
+}
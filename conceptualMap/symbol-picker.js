@@ -0,0 +1,127 @@
+// Quick-open style list with a filter box, used for Go to Symbol in Workspace.
+// Callers supply the items for a query and what to do with the chosen one.
+class SymbolPicker {
+    constructor() {
+        this.overlay = document.getElementById('symbol-picker-overlay');
+        this.input = document.getElementById('symbol-picker-input');
+        this.list = document.getElementById('symbol-picker-list');
+        this.items = [];
+        this.selectedIndex = 0;
+        this.options = null;
+
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.overlay.addEventListener('mousedown', (e) => {
+            // Clicking outside the picker closes it
+            if (e.target === this.overlay) this.hide();
+        });
+    }
+
+    // options: { placeholder, getItems(query) -> [{ label, kind, description, detail }], onSelect(item) }
+    show(options) {
+        this.options = options;
+        this.input.placeholder = options.placeholder || '';
+        this.input.value = '';
+        this.overlay.style.display = 'flex';
+        this.update();
+        this.input.focus();
+    }
+
+    hide() {
+        this.overlay.style.display = 'none';
+        this.options = null;
+    }
+
+    isVisible() {
+        return this.overlay.style.display === 'flex';
+    }
+
+    update() {
+        if (!this.options) return;
+        this.items = this.options.getItems(this.input.value);
+        this.selectedIndex = 0;
+        this.render();
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'symbol-picker-empty';
+            empty.textContent = this.options.emptyMessage || 'No matching symbols';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.items.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = 'symbol-picker-item' + (index === this.selectedIndex ? ' selected' : '');
+
+            const icon = document.createElement('span');
+            icon.className = `outline-icon outline-icon-${item.kind}`;
+
+            const label = document.createElement('span');
+            label.className = 'symbol-picker-label';
+            label.textContent = item.label;
+
+            const description = document.createElement('span');
+            description.className = 'symbol-picker-description';
+            description.textContent = item.description || '';
+
+            const detail = document.createElement('span');
+            detail.className = 'symbol-picker-detail';
+            detail.textContent = item.detail || '';
+
+            row.append(icon, label, description, detail);
+            row.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.select(index);
+            });
+            this.list.appendChild(row);
+        });
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.moveSelection(1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.moveSelection(-1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.select(this.selectedIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.hide();
+                break;
+        }
+    }
+
+    moveSelection(delta) {
+        if (this.items.length === 0) return;
+        this.selectedIndex = (this.selectedIndex + delta + this.items.length) % this.items.length;
+        this.render();
+
+        const selected = this.list.children[this.selectedIndex];
+        if (selected) selected.scrollIntoView({ block: 'nearest' });
+    }
+
+    select(index) {
+        const item = this.items[index];
+        const options = this.options;
+        if (!item || !options) return;
+
+        this.hide();
+        options.onSelect(item);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SymbolPicker;
+}
@@ -0,0 +1,133 @@
+// Parses the TAP a Perl test file prints (with its STDERR merged in) into a
+// tree of assertions. Subtests are the indented TAP Test::More prints before
+// the `ok` line that sums them up; `#` comments after an assertion are its
+// diagnostics, and anything else that isn't TAP is kept as the file's output.
+const PLAN = /^1\.\.(\d+)(?:\s*#\s*(.*))?$/;
+const TEST = /^(not\s+)?ok\b\s*(\d+)?\s*(?:-\s*)?((?:[^#\\]|\\.)*?)\s*(?:#\s*(skip|todo)\S*\s*(.*))?$/i;
+const BAIL_OUT = /^Bail out!\s*(.*)$/;
+const SUBTEST = /^#\s*Subtest:\s*(.*)$/;
+const LOCATION = /\bat (.+?) line (\d+)\.?\s*$/;
+
+class TapParser {
+    // { plan, skipAll, bailOut, tests: [test], output: [lines], status, counts }
+    // test: { number, ok, description, directive, reason, status, diagnostics, location, children }
+    static parse(text) {
+        const result = { plan: null, skipAll: null, bailOut: null, tests: [], output: [] };
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        let last = null;
+        let subtest = null; // { name, lines } of indented TAP waiting for its summary line
+        let yaml = false;
+
+        lines.forEach(line => {
+            // YAML diagnostics: an indented --- ... block after an assertion
+            if (yaml) {
+                if (/^\s+\.\.\.\s*$/.test(line)) {
+                    yaml = false;
+                } else {
+                    last.diagnostics.push(line.trim());
+                }
+                return;
+            }
+            if (last && !subtest && /^\s+---\s*$/.test(line)) {
+                yaml = true;
+                return;
+            }
+
+            if (/^\s+\S/.test(line)) {
+                if (!subtest) subtest = { name: null, lines: [] };
+                subtest.lines.push(line);
+                return;
+            }
+            if (!line.trim()) return;
+
+            let match;
+            if ((match = line.match(SUBTEST))) {
+                subtest = { name: match[1].trim(), lines: [] };
+            } else if ((match = line.match(TEST))) {
+                last = this.createTest(match);
+                if (subtest) {
+                    last.children = this.parse(this.dedent(subtest.lines)).tests;
+                    subtest = null;
+                }
+                result.tests.push(last);
+            } else if ((match = line.match(PLAN))) {
+                result.plan = Number(match[1]);
+                last = null; // what follows a closing plan is about the whole file
+                if (result.plan === 0 && match[2] && /^skip/i.test(match[2])) {
+                    result.skipAll = match[2].replace(/^skip\S*\s*/i, '') || 'skipped';
+                }
+            } else if ((match = line.match(BAIL_OUT))) {
+                result.bailOut = match[1] || 'Bail out!';
+            } else if (line.startsWith('#') && last) {
+                last.diagnostics.push(line.replace(/^#\s?/, ''));
+            } else if (!/^TAP version \d+/i.test(line)) {
+                result.output.push(line);
+            }
+        });
+
+        // A subtest that died before it was summed up
+        if (subtest) {
+            const test = this.createTest([null, 'not ', null, subtest.name || 'subtest']);
+            test.children = this.parse(this.dedent(subtest.lines)).tests;
+            test.diagnostics.push('Subtest did not finish');
+            result.tests.push(test);
+        }
+
+        result.counts = this.count(result.tests);
+        result.status = this.getStatus(result);
+        return result;
+    }
+
+    static createTest(match) {
+        const directive = match[4] ? match[4].toLowerCase() : null;
+        const ok = !match[1];
+        return {
+            number: match[2] ? Number(match[2]) : null,
+            ok: ok,
+            description: (match[3] || '').replace(/\\(.)/g, '$1'),
+            directive: directive,
+            reason: match[5] || '',
+            status: directive === 'skip' ? 'skipped' : directive === 'todo' ? 'todo' : ok ? 'passed' : 'failed',
+            diagnostics: [],
+            location: null,
+            children: []
+        };
+    }
+
+    static dedent(lines) {
+        if (lines.length === 0) return '';
+        const indent = lines[0].match(/^\s*/)[0].length;
+        return lines.map(line => line.slice(Math.min(indent, line.match(/^\s*/)[0].length))).join('\n');
+    }
+
+    static count(tests) {
+        const counts = { passed: 0, failed: 0, skipped: 0, todo: 0 };
+        tests.forEach(test => counts[test.status]++);
+        return counts;
+    }
+
+    // 'passed', 'failed' or 'skipped', from the TAP alone
+    static getStatus(result) {
+        if (result.skipAll !== null) return 'skipped';
+        if (result.bailOut !== null || result.counts.failed > 0) return 'failed';
+        if (result.plan === null || result.plan !== result.tests.length) return 'failed';
+        return 'passed';
+    }
+
+    // Where each failed assertion was made, from Test::More's "at FILE line N";
+    // resolve(file) turns the file name into a path
+    static locate(tests, resolve) {
+        tests.forEach(test => {
+            for (const diagnostic of test.diagnostics) {
+                const match = diagnostic.match(LOCATION);
+                if (match) {
+                    test.location = { filePath: resolve(match[1]), line: Number(match[2]) };
+                    break;
+                }
+            }
+            this.locate(test.children, resolve);
+        });
+    }
+}
+
+module.exports = TapParser;
@@ -0,0 +1,386 @@
+// Tests section of the Bitools panel: the workspace's .t files under t/ and
+// xt/, run through prove by the main process, with each file's TAP shown as a
+// tree of assertions (subtests nested, diagnostics under failures). Failed
+// assertions are marked in the editor at the line Test::More reported, and
+// prove's own report goes to the 'Tests' output channel.
+const TEST_STATUS_ICONS = {
+    unknown: '○',
+    queued: '○',
+    running: '◔',
+    passed: '✓',
+    failed: '✗',
+    skipped: '⊘',
+    todo: '◌'
+};
+
+class TestExplorer {
+    constructor(monacoEditor) {
+        this.monacoEditor = monacoEditor;
+        this.tree = document.getElementById('test-explorer-tree');
+        this.summary = document.getElementById('test-explorer-summary');
+        this.stopButton = document.getElementById('test-stop');
+        this.editor = null;
+        this.rootPath = null;
+        this.files = new Map(); // filePath -> { filePath, name, status, summary, result }
+        this.expanded = new Set(); // keys of open tree nodes
+        this.running = false;
+        this.onFinished = null; // called when the current run has finished
+        this.listeners = [];
+
+        const buttons = {
+            'test-run-all': () => this.run(null),
+            'test-run-failed': () => this.runFailed(),
+            'test-stop': () => this.stop(),
+            'test-refresh': () => this.refresh()
+        };
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', handler);
+        });
+
+        window.electronAPI.onPerlTestEvent((event, testEvent) => this.handleEvent(testEvent));
+        window.electronAPI.onPerlEnvironmentChanged(() => this.refresh());
+        this.refresh();
+    }
+
+    // Follow a (re)created Monaco editor; switching tabs re-applies the markers
+    attach(editor) {
+        this.listeners.forEach(listener => listener.dispose());
+        this.editor = editor;
+        this.listeners = [
+            editor.onDidChangeModelContent((event) => {
+                if (event.isFlush) this.applyMarkers();
+            })
+        ];
+        this.applyMarkers();
+    }
+
+    async refresh() {
+        const result = await window.electronAPI.discoverPerlTests();
+        if (!result.success) {
+            this.showMessage(result.error);
+            return;
+        }
+
+        if (result.rootPath !== this.rootPath) this.files.clear();
+        this.rootPath = result.rootPath;
+        const previous = this.files;
+        this.files = new Map(result.files.map(file => [file.filePath, previous.get(file.filePath) || {
+            ...file,
+            status: 'unknown',
+            summary: '',
+            result: null
+        }]));
+        this.render();
+        this.applyMarkers();
+    }
+
+    // ---- Running ----
+
+    // files: paths to run, or null for all of them
+    // options: { coverage, onFinished(event) }
+    // The files are queued before asking, since prove may report on the first
+    // one before the reply
+    async run(files, options = {}) {
+        const targets = files || Array.from(this.files.keys());
+        targets.forEach(filePath => {
+            const file = this.files.get(filePath);
+            if (file) Object.assign(file, { status: 'queued', summary: '', result: null });
+        });
+        this.running = true;
+        this.onFinished = options.onFinished || null;
+        const output = this.monacoEditor.outputPanel;
+        if (output) {
+            output.clear('Tests');
+            output.setDirectory('Tests', this.rootPath);
+            const coverage = options.coverage ? ' under Devel::Cover' : '';
+            output.appendLine('Tests', `[Running] prove -l${coverage} (${targets.length} ${targets.length === 1 ? 'file' : 'files'})`);
+        }
+        this.render();
+        this.applyMarkers();
+
+        const result = await window.electronAPI.runPerlTests(files, { coverage: Boolean(options.coverage) });
+        if (!result.success) {
+            this.finish();
+            this.monacoEditor.updateStatusMessage(result.error, '#f44336');
+            if (output) output.appendLine('Tests', result.error, 'stderr');
+        }
+    }
+
+    runFailed() {
+        const failed = Array.from(this.files.values()).filter(file => file.status === 'failed').map(file => file.filePath);
+        if (failed.length === 0) {
+            this.monacoEditor.updateStatusMessage('No failed tests to run', '#858585');
+            return;
+        }
+        this.run(failed);
+    }
+
+    // The active tab, when it is a test file
+    runActiveFile() {
+        const filePath = this.monacoEditor.activeTab;
+        if (!filePath || !filePath.endsWith('.t')) {
+            this.monacoEditor.updateStatusMessage('Open a .t file to run its tests', '#f44336');
+            return;
+        }
+        this.run([filePath]);
+    }
+
+    async stop() {
+        const result = await window.electronAPI.stopPerlTests();
+        if (!result.stopped) return;
+        this.finish();
+        if (this.monacoEditor.outputPanel) this.monacoEditor.outputPanel.appendLine('Tests', '[Stopped]');
+    }
+
+    finish() {
+        this.running = false;
+        this.onFinished = null;
+        this.files.forEach(file => {
+            if (file.status === 'queued' || file.status === 'running') file.status = 'unknown';
+        });
+        this.render();
+    }
+
+    handleEvent(event) {
+        const file = this.files.get(event.filePath);
+        switch (event.event) {
+            case 'output':
+                if (this.monacoEditor.outputPanel) this.monacoEditor.outputPanel.append('Tests', event.text);
+                break;
+            case 'file-started':
+                if (file) file.status = 'running';
+                this.render();
+                break;
+            case 'file':
+                if (!file) break;
+                Object.assign(file, { status: event.status, summary: event.summary, result: event.result });
+                if (event.status === 'failed') this.expandFailures(file);
+                this.render();
+                this.applyMarkers();
+                break;
+            case 'finished': {
+                const { onFinished } = this;
+                this.finish();
+                const seconds = (event.duration / 1000).toFixed(1);
+                const failed = Array.from(this.files.values()).filter(other => other.status === 'failed').length;
+                if (this.monacoEditor.outputPanel) {
+                    this.monacoEditor.outputPanel.appendLine('Tests', `[Done] in ${seconds} seconds`);
+                }
+                this.monacoEditor.updateStatusMessage(
+                    failed > 0 ? `Tests: ${failed} ${failed === 1 ? 'file' : 'files'} failed` : 'Tests passed',
+                    failed > 0 ? '#f44336' : '#4ec9b0'
+                );
+                if (onFinished) onFinished(event);
+                break;
+            }
+        }
+    }
+
+    // Open the failed file and its failed assertions, subtests included
+    expandFailures(file) {
+        this.expanded.add(file.filePath);
+        const visit = (tests, parentKey) => {
+            tests.forEach((test, index) => {
+                const key = `${parentKey}/${index}`;
+                if (test.status !== 'failed') return;
+                this.expanded.add(key);
+                visit(test.children, key);
+            });
+        };
+        if (file.result) visit(file.result.tests, file.filePath);
+    }
+
+    // ---- Tree ----
+
+    showMessage(message) {
+        if (!this.tree) return;
+        this.tree.innerHTML = '';
+        const empty = document.createElement('div');
+        empty.className = 'outline-empty';
+        empty.textContent = message;
+        this.tree.appendChild(empty);
+    }
+
+    render() {
+        if (!this.tree) return;
+        this.renderSummary();
+        if (!this.rootPath) {
+            this.showMessage('Open a folder to see its tests');
+            return;
+        }
+        if (this.files.size === 0) {
+            this.showMessage('No .t files under t/ or xt/');
+            return;
+        }
+
+        this.tree.innerHTML = '';
+        this.files.forEach(file => {
+            const children = [];
+            if (file.result) {
+                file.result.tests.forEach((test, index) => children.push(this.renderTest(file, test, `${file.filePath}/${index}`)));
+                // Why a file failed when no assertion did: a death, a wrong plan, prove's verdict
+                const output = file.status === 'failed' ? [...file.result.output, ...file.summary.split('\n')].filter(line => line.trim()) : [];
+                if (output.length > 0) children.push(this.renderDiagnostics(output));
+                if (file.result.skipAll) children.push(this.renderDiagnostics([`Skipped: ${file.result.skipAll}`]));
+            }
+
+            const counts = file.result ? file.result.counts : null;
+            const detail = counts && (counts.passed + counts.failed) > 0 ? `${counts.passed}/${counts.passed + counts.failed}` : '';
+            const row = this.renderRow({
+                key: file.filePath,
+                status: file.status,
+                label: file.name,
+                detail: detail,
+                title: file.summary || file.filePath,
+                hasChildren: children.length > 0,
+                onOpen: () => this.openLocation(file.filePath, 1),
+                onRun: () => this.run([file.filePath])
+            });
+            this.tree.appendChild(this.renderNode(row, children, file.filePath));
+        });
+    }
+
+    renderSummary() {
+        if (this.stopButton) this.stopButton.disabled = !this.running;
+        if (!this.summary) return;
+        const files = Array.from(this.files.values());
+        const count = (status) => files.filter(file => file.status === status).length;
+        if (this.running) {
+            this.summary.textContent = `Running... ${count('passed') + count('failed') + count('skipped')} of ${files.length - count('unknown')} files done`;
+        } else if (files.every(file => file.status === 'unknown')) {
+            this.summary.textContent = `${files.length} test ${files.length === 1 ? 'file' : 'files'}`;
+        } else {
+            this.summary.textContent = `${count('passed')} passed, ${count('failed')} failed, ${count('skipped')} skipped`;
+        }
+    }
+
+    renderTest(file, test, key) {
+        const children = test.children.map((child, index) => this.renderTest(file, child, `${key}/${index}`));
+        if (test.diagnostics.length > 0) children.push(this.renderDiagnostics(test.diagnostics));
+
+        const label = [test.number, test.description].filter(part => part !== null && part !== '').join(' - ') || '(no description)';
+        const directive = test.directive ? `${test.directive.toUpperCase()}${test.reason ? ' ' + test.reason : ''}` : '';
+        const row = this.renderRow({
+            key: key,
+            status: test.status,
+            label: label,
+            detail: directive,
+            title: test.location ? `${test.location.filePath}:${test.location.line}` : label,
+            hasChildren: children.length > 0,
+            onOpen: test.location ? () => this.openLocation(test.location.filePath, test.location.line) : null
+        });
+        return this.renderNode(row, children, key);
+    }
+
+    renderRow(options) {
+        const row = document.createElement('div');
+        row.className = 'outline-row test-row';
+        row.title = options.title;
+
+        const twistie = document.createElement('span');
+        twistie.className = 'test-twistie';
+        twistie.textContent = options.hasChildren ? (this.expanded.has(options.key) ? '▾' : '▸') : '';
+        const icon = document.createElement('span');
+        icon.className = `test-status test-status-${options.status}`;
+        icon.textContent = TEST_STATUS_ICONS[options.status] || TEST_STATUS_ICONS.unknown;
+        const label = document.createElement('span');
+        label.className = 'test-label';
+        label.textContent = options.label;
+        const detail = document.createElement('span');
+        detail.className = 'test-detail';
+        detail.textContent = options.detail || '';
+        row.append(twistie, icon, label, detail);
+
+        if (options.onRun) {
+            const run = document.createElement('button');
+            run.className = 'test-run-button';
+            run.title = 'Run';
+            run.textContent = '▶';
+            run.addEventListener('click', (event) => {
+                event.stopPropagation();
+                options.onRun();
+            });
+            row.appendChild(run);
+        }
+
+        row.addEventListener('click', () => {
+            if (options.hasChildren) {
+                if (this.expanded.has(options.key)) {
+                    this.expanded.delete(options.key);
+                } else {
+                    this.expanded.add(options.key);
+                }
+                this.render();
+            }
+            if (options.onOpen) options.onOpen();
+        });
+        return row;
+    }
+
+    renderNode(row, children, key) {
+        const node = document.createElement('div');
+        node.appendChild(row);
+        if (children.length > 0 && this.expanded.has(key)) {
+            const container = document.createElement('div');
+            container.className = 'outline-children';
+            children.forEach(child => container.appendChild(child));
+            node.appendChild(container);
+        }
+        return node;
+    }
+
+    renderDiagnostics(lines) {
+        const block = document.createElement('pre');
+        block.className = 'test-diagnostics';
+        block.textContent = lines.join('\n');
+        return block;
+    }
+
+    openLocation(filePath, line) {
+        this.monacoEditor.revealLocation(filePath, { startLineNumber: line, startColumn: 1, endLineNumber: line, endColumn: 1 });
+    }
+
+    // ---- Editor markers ----
+
+    // Failed assertions made in the active tab, at the line Test::More named
+    applyMarkers() {
+        const model = this.editor && this.editor.getModel();
+        if (!model) return;
+        const { activeTab } = this.monacoEditor;
+        const markers = [];
+
+        const visit = (tests) => tests.forEach(test => {
+            if (test.status === 'failed' && test.location && test.location.filePath === activeTab && test.location.line <= model.getLineCount()) {
+                const { line } = test.location;
+                markers.push({
+                    severity: monaco.MarkerSeverity.Error,
+                    message: [
+                        `Failed test${test.description ? ` '${test.description}'` : ''}`,
+                        // got/expected and the like; the failure and its location are said already
+                        ...test.diagnostics.filter(text => !/^\s*Failed (?:\(TODO\) )?test\b|\bat .+ line \d+\.?\s*$/.test(text)).map(text => text.trim())
+                    ].join('\n'),
+                    source: 'prove',
+                    startLineNumber: line,
+                    startColumn: model.getLineFirstNonWhitespaceColumn(line) || 1,
+                    endLineNumber: line,
+                    endColumn: model.getLineMaxColumn(line)
+                });
+            }
+            visit(test.children);
+        });
+        this.files.forEach(file => {
+            if (file.result) visit(file.result.tests);
+        });
+        monaco.editor.setModelMarkers(model, 'tests', markers);
+    }
+
+    dispose() {
+        this.listeners.forEach(listener => listener.dispose());
+        this.listeners = [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TestExplorer;
+}
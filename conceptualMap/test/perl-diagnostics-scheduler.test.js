@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PerlDiagnosticsScheduler = require('../perl-diagnostics-scheduler');
+
+// A check that runs until the test finishes it, and stops when aborted like perl would
+const createFakeCheck = () => {
+    const fake = { calls: [], running: 0, peak: 0 };
+    fake.run = (request, signal) => {
+        fake.running++;
+        fake.peak = Math.max(fake.peak, fake.running);
+        return new Promise((resolve, reject) => {
+            fake.calls.push({ request, signal, finish: resolve, fail: reject });
+            signal.addEventListener('abort', () => reject(new Error('killed')));
+        }).finally(() => {
+            fake.running--;
+        });
+    };
+    return fake;
+};
+
+const waitFor = async (predicate) => {
+    for (let tries = 0; tries < 1000 && !predicate(); tries++) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    assert.ok(predicate(), 'timed out waiting');
+};
+
+test('a newer request for a document aborts the check still running for it', async () => {
+    const fake = createFakeCheck();
+    const scheduler = new PerlDiagnosticsScheduler({ run: fake.run, delay: 0 });
+
+    const first = scheduler.schedule('a.pl', 1, 'old code');
+    await waitFor(() => fake.calls.length === 1);
+    const second = scheduler.schedule('a.pl', 2, 'new code');
+
+    assert.strictEqual(fake.calls[0].signal.aborted, true);
+    assert.deepStrictEqual(await first, { superseded: true });
+
+    await waitFor(() => fake.calls.length === 2);
+    assert.strictEqual(fake.calls[1].request, 'new code');
+    fake.calls[1].finish('clean');
+    assert.deepStrictEqual(await second, { version: 2, result: 'clean' });
+});
+
+test('a request still waiting is replaced without being run', async () => {
+    const fake = createFakeCheck();
+    const scheduler = new PerlDiagnosticsScheduler({ run: fake.run, delay: 5 });
+
+    const first = scheduler.schedule('a.pl', 1, 'typing');
+    const second = scheduler.schedule('a.pl', 2, 'typed');
+    assert.deepStrictEqual(await first, { superseded: true });
+
+    await waitFor(() => fake.calls.length === 1);
+    fake.calls[0].finish('clean');
+    assert.deepStrictEqual(await second, { version: 2, result: 'clean' });
+    assert.deepStrictEqual(fake.calls.map(call => call.request), ['typed']);
+});
+
+test('no more than maxConcurrent checks run at once', async () => {
+    const fake = createFakeCheck();
+    const scheduler = new PerlDiagnosticsScheduler({ run: fake.run, delay: 0, maxConcurrent: 2 });
+
+    const results = ['a.pl', 'b.pl', 'c.pl', 'd.pl', 'e.pl'].map((documentId, index) => scheduler.schedule(documentId, index, documentId));
+    for (let finished = 0; finished < results.length; finished++) {
+        await waitFor(() => fake.calls.length > finished);
+        // Give the scheduler the chance to start more than it should
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.ok(fake.running <= 2, `${fake.running} checks running`);
+        fake.calls[finished].finish(`checked ${fake.calls[finished].request}`);
+    }
+
+    assert.deepStrictEqual((await Promise.all(results)).map(outcome => outcome.result),
+        ['checked a.pl', 'checked b.pl', 'checked c.pl', 'checked d.pl', 'checked e.pl']);
+    assert.strictEqual(fake.peak, 2);
+});
+
+test('cancel aborts a running check and the caller hears it was superseded', async () => {
+    const fake = createFakeCheck();
+    const scheduler = new PerlDiagnosticsScheduler({ run: fake.run, delay: 0 });
+
+    const outcome = scheduler.schedule('a.pl', 1, 'code');
+    await waitFor(() => fake.calls.length === 1);
+    scheduler.cancel('a.pl');
+
+    assert.strictEqual(fake.calls[0].signal.aborted, true);
+    assert.deepStrictEqual(await outcome, { superseded: true });
+    await waitFor(() => scheduler.documents.size === 0);
+});
+
+test('a check that fails on its own rejects', async () => {
+    const fake = createFakeCheck();
+    const scheduler = new PerlDiagnosticsScheduler({ run: fake.run, delay: 0 });
+
+    const outcome = scheduler.schedule('a.pl', 1, 'code');
+    await waitFor(() => fake.calls.length === 1);
+    fake.calls[0].fail(new Error('perl not found'));
+    await assert.rejects(outcome, /perl not found/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const PerlSandbox = require('../perl-sandbox');
+
+const HEADER = 'use warnings;\n#line 1 "check.pl"\n';
+const hasPerl = (() => {
+    try {
+        execFileSync('perl', ['-e', '1']);
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+
+// Each prints PWNED if it runs during perl -c
+const PHASE_BLOCKS = {
+    'a comment between BEGIN and its block': 'BEGIN # comment\n{ print "PWNED\\n" }',
+    'a plain BEGIN block': 'BEGIN { print "PWNED\\n" }',
+    'UNITCHECK and CHECK': 'UNITCHECK { print "PWNED\\n" }\nCHECK{ print "PWNED\\n" }',
+    'sub BEGIN': 'sub BEGIN # comment\n{ print "PWNED\\n" }',
+    'a comment between sub and BEGIN': 'sub # comment\n BEGIN { print "PWNED\\n" }',
+    'a qualified sub name': 'sub main::BEGIN { print "PWNED\\n" }',
+    'the old package separator': "sub main'BEGIN { print \"PWNED\\n\" }",
+    'defined-or after shift': 'my $opt = shift // "x";\nBEGIN { print "PWNED\\n" }',
+    'defined-or after a hash element': 'my %o; my $v = $o{a} // 1;\nBEGIN { print "PWNED\\n" }',
+    'a variable with the old package separator': 'my $x = $main\'y; BEGIN { print "PWNED\\n" } # ;'
+};
+
+Object.entries(PHASE_BLOCKS).forEach(([name, code]) => {
+    test(`sanitize keeps ${name} from running`, { skip: !hasPerl && 'perl is not installed' }, async () => {
+        const { stdout, stderr } = await new PerlSandbox().check(code, { header: HEADER });
+        assert.doesNotMatch(stdout + stderr, /PWNED/);
+        assert.match(stderr, /syntax OK/);
+    });
+});
+
+test('sanitize keeps line numbers', () => {
+    const code = 'BEGIN # comment\n{\n  1;\n}\nmy $x = ;\n';
+    const sanitized = PerlSandbox.sanitize(code);
+    assert.strictEqual(sanitized.split('\n').length, code.split('\n').length);
+    assert.strictEqual(sanitized, 'if(0) # comment\n{\n  1;\n}\nmy $x = ;\n');
+});
+
+test('sanitize leaves BEGIN used as a name alone', () => {
+    const code = 'my %h = (BEGIN => 1);\nprint $h{BEGIN}, $obj->BEGIN;\n';
+    assert.strictEqual(PerlSandbox.sanitize(code), code);
+});
+
+test('sanitize neutralizes phase blocks after a string that never ends', () => {
+    const code = "my $s = 'x;\nBEGIN # comment\n{ 1 }\nsub CHECK { 1 }\n";
+    assert.strictEqual(PerlSandbox.sanitize(code), "my $s = 'x;\nXEGIN # comment\n{ 1 }\nsub XHECK { 1 }\n");
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PerlScopeAnalyzer = require('../perl-scope-analyzer');
+
+const CODE = `package Foo;
+our @EXPORT_OK = qw(first);
+sub first { 1 }
+sub go { my $self = shift; $self->first; first() }
+package Bar;
+use Foo;
+sub first { 2 }
+sub run { first(); Bar::first(); Foo::first(); $object->first }
+package Baz;
+use List::Util qw(first);
+sub run { first { $_ } @_ }
+package main;
+use Foo qw(first);
+first();
+`;
+
+// Each occurrence as its line up to and including the name, `?` marking uncertain ones
+const describe = (occurrences) => occurrences.map(({ index, uncertain }) => {
+    const lineStart = CODE.lastIndexOf('\n', index - 1) + 1;
+    return (uncertain ? '? ' : '') + CODE.slice(lineStart, index + 'first'.length);
+});
+
+test('findPackageSubOccurrences keeps to the sub of the given package', () => {
+    assert.deepStrictEqual(describe(PerlScopeAnalyzer.findPackageSubOccurrences(CODE, 'first', 'Foo')), [
+        'our @EXPORT_OK = qw(first',
+        'sub first',
+        'sub go { my $self = shift; $self->first',
+        'sub go { my $self = shift; $self->first; first',
+        'sub run { first(); Bar::first(); Foo::first',
+        '? sub run { first(); Bar::first(); Foo::first(); $object->first',
+        'use Foo qw(first',
+        'first'
+    ]);
+});
+
+test('findPackageSubOccurrences leaves out another package defining the same name', () => {
+    assert.deepStrictEqual(describe(PerlScopeAnalyzer.findPackageSubOccurrences(CODE, 'first', 'Bar')), [
+        'sub first',
+        'sub run { first',
+        'sub run { first(); Bar::first',
+        '? sub run { first(); Bar::first(); Foo::first(); $object->first'
+    ]);
+});
+
+const visibleAtEnd = (code) => PerlScopeAnalyzer.getVisibleVariables(code, code.length).map(variable => variable.sigil + variable.name);
+
+test('scan reads defined-or as an operator, not as the start of a regex', () => {
+    assert.deepStrictEqual(visibleAtEnd('my $b;\nmy $a = $b // 1;\nmy $later = 1;\n'), ['$later', '$a', '$b']);
+    assert.deepStrictEqual(visibleAtEnd('my $b;\n$b //= 2;\nmy $later;\n'), ['$later', '$b']);
+    assert.deepStrictEqual(visibleAtEnd('my $opt = shift // "x";\nmy $later;\n'), ['$later', '$opt']);
+    assert.deepStrictEqual(visibleAtEnd('my %o;\nmy $v = $o{a} // 1;\nmy $later;\n'), ['$later', '$v', '%o']);
+    assert.deepStrictEqual(PerlScopeAnalyzer.scan('my $r = $a / 2 // 3;').literals, []);
+});
+
+test('scan still reads a slash where an operand belongs as a regex', () => {
+    assert.deepStrictEqual(PerlScopeAnalyzer.scan('my @p = split //, $s;').literals, [[14, 16, 'regex']]);
+    assert.deepStrictEqual(PerlScopeAnalyzer.scan('$x =~ /a;b/;').literals, [[6, 11, 'regex']]);
+});
+
+test("scan reads ' after a variable name as the old package separator", () => {
+    const code = "my $x = $main'y;\nmy $later; # '\n";
+    assert.deepStrictEqual(visibleAtEnd(code), ['$later', '$x']);
+    assert.deepStrictEqual(PerlScopeAnalyzer.scan(code).literals, [[28, 31, 'comment']]);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TapParser = require('../tap-parser');
+
+const summarize = (tests) => tests.map(({ description, status, children }) =>
+    children.length > 0 ? [description, status, summarize(children)] : [description, status]);
+
+test('parse checks the plan against the tests run', () => {
+    const passed = TapParser.parse('1..2\nok 1 - first\nok 2 - second\n');
+    assert.strictEqual(passed.plan, 2);
+    assert.strictEqual(passed.status, 'passed');
+    assert.deepStrictEqual(passed.counts, { passed: 2, failed: 0, skipped: 0, todo: 0 });
+
+    const short = TapParser.parse('1..3\nok 1 - first\nok 2 - second\n');
+    assert.strictEqual(short.status, 'failed');
+
+    const unplanned = TapParser.parse('ok 1 - first\n');
+    assert.strictEqual(unplanned.plan, null);
+    assert.strictEqual(unplanned.status, 'failed');
+});
+
+test('parse reads a failure with its diagnostics and location', () => {
+    const result = TapParser.parse([
+        'not ok 1 - equal',
+        '#   Failed test \'equal\'',
+        '#   at t/basic.t line 7.',
+        '#          got: 1',
+        '1..1',
+        '# Looks like you failed 1 test of 1.'
+    ].join('\n'));
+    const [failed] = result.tests;
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(failed.status, 'failed');
+    assert.deepStrictEqual(failed.diagnostics, ['  Failed test \'equal\'', '  at t/basic.t line 7.', '         got: 1']);
+
+    TapParser.locate(result.tests, (name) => `/work/${name}`);
+    assert.deepStrictEqual(failed.location, { filePath: '/work/t/basic.t', line: 7 });
+});
+
+test('parse reads skip_all from a zero plan', () => {
+    const result = TapParser.parse('1..0 # SKIP no database here\n');
+    assert.strictEqual(result.skipAll, 'no database here');
+    assert.strictEqual(result.status, 'skipped');
+});
+
+test('parse reads SKIP and TODO directives', () => {
+    const result = TapParser.parse([
+        '1..3',
+        'ok 1 # skip no network',
+        'not ok 2 - later # TODO not written yet',
+        'ok 3 - escaped \\# hash'
+    ].join('\n'));
+    assert.deepStrictEqual(result.tests.map(({ status, directive, reason }) => [status, directive, reason]), [
+        ['skipped', 'skip', 'no network'],
+        ['todo', 'todo', 'not written yet'],
+        ['passed', null, '']
+    ]);
+    assert.strictEqual(result.tests[2].description, 'escaped # hash');
+    assert.strictEqual(result.status, 'passed');
+});
+
+test('parse adds a YAML block to the diagnostics of the test before it', () => {
+    const result = TapParser.parse([
+        'TAP version 13',
+        'not ok 1 - deep',
+        '  ---',
+        '  message: differs',
+        '  got: 2',
+        '  ...',
+        'ok 2',
+        '1..2'
+    ].join('\n'));
+    assert.deepStrictEqual(result.tests[0].diagnostics, ['message: differs', 'got: 2']);
+    assert.deepStrictEqual(result.tests[1].children, []);
+    assert.deepStrictEqual(result.output, []);
+});
+
+test('parse nests subtests under the line that sums them up', () => {
+    const result = TapParser.parse([
+        '# Subtest: outer',
+        '    # Subtest: inner',
+        '        ok 1 - deepest',
+        '        1..1',
+        '    ok 1 - inner',
+        '    not ok 2 - sibling',
+        '    1..2',
+        'not ok 1 - outer',
+        '1..1'
+    ].join('\n'));
+    assert.deepStrictEqual(summarize(result.tests), [
+        ['outer', 'failed', [['inner', 'passed', [['deepest', 'passed']]], ['sibling', 'failed']]]
+    ]);
+});
+
+test('parse reports a subtest that never finished as failed', () => {
+    const result = TapParser.parse('# Subtest: cut short\n    ok 1 - started\n');
+    const [subtest] = result.tests;
+    assert.deepStrictEqual(summarize(result.tests), [['cut short', 'failed', [['started', 'passed']]]]);
+    assert.deepStrictEqual(subtest.diagnostics, ['Subtest did not finish']);
+    assert.strictEqual(result.status, 'failed');
+});
+
+test('parse takes a Subtest note with no indented TAP after it as a comment', () => {
+    const result = TapParser.parse('# Subtest: x\nok 1 - plain\n1..1\n');
+    assert.deepStrictEqual(summarize(result.tests), [['plain', 'passed']]);
+    assert.strictEqual(result.status, 'passed');
+});
+
+test('parse keeps lines that are not TAP as output', () => {
+    const result = TapParser.parse('Some warning at t/x.t line 3.\nok 1\n1..1\n');
+    assert.deepStrictEqual(result.output, ['Some warning at t/x.t line 3.']);
+});
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// Folders whose code the user trusts to run. Trusting a folder trusts
+// everything below it. Untrusted folders get Restricted Mode: workspace Perl
+// settings are ignored and syntax checks go through PerlSandbox.
+class WorkspaceTrust {
+    constructor(options = {}) {
+        this.storePath = options.storePath;
+        this.folders = null; // Promise of the trusted folder list
+    }
+
+    getFolders() {
+        if (!this.folders) {
+            this.folders = fs.promises.readFile(this.storePath, 'utf8')
+                .then(content => JSON.parse(content).trustedFolders || [])
+                .catch(() => []); // nothing trusted yet
+        }
+        return this.folders;
+    }
+
+    async isTrusted(folderPath) {
+        if (!folderPath) return false;
+        const resolved = path.resolve(folderPath);
+        return (await this.getFolders()).some(folder => this.contains(folder, resolved));
+    }
+
+    // Trusting replaces trusted folders below it; untrusting also drops the
+    // trusted folders above it
+    async setTrusted(folderPath, trusted) {
+        const resolved = path.resolve(folderPath);
+        let folders = (await this.getFolders())
+            .filter(folder => !this.contains(resolved, folder) && (trusted || !this.contains(folder, resolved)));
+        if (trusted) folders = folders.concat(resolved);
+
+        this.folders = Promise.resolve(folders);
+        try {
+            await fs.promises.writeFile(this.storePath, JSON.stringify({ trustedFolders: folders }, null, 2));
+        } catch (error) {
+            console.error('Could not save workspace trust:', error.message);
+        }
+    }
+
+    contains(parent, child) {
+        const relative = path.relative(parent, child);
+        return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+    }
+}
+
+module.exports = WorkspaceTrust;